@@ -0,0 +1,162 @@
+/**
+ * Batch CSV Translation
+ *
+ * Translates one column of a CSV file into one or more target languages.
+ * Every other column is preserved, one `<column>_<code>` column is
+ * added per target language (`text_fr`, `text_pt-BR`, ...), and `tranzio_status` / `tranzio_error`
+ * columns report the outcome of each row. With the `quality` option a
+ * `<column>_<code>_quality` column holds each back-translation score
+ * so low-scoring rows can be sorted to the top. Repeated cells are translated
+ * once per language, and every cell goes through the glossary (RAG),
+ * translation memory and cache before any API call is made.
+ */
+
+import fs from 'fs/promises';
+import { parseCsvRecords, stringifyCsvRecords } from './utils/csv.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { resolveLanguage } from './languages.js';
+
+// Columns added to every output row
+const STATUS_COLUMN = 'tranzio_status';
+const ERROR_COLUMN = 'tranzio_error';
+
+/**
+ * Name of an output column
+ * @param {string} column - Source column name
+ * @param {string} suffix - Language code or locale, or 'quality'
+ * @param {Array<string>} headers - Existing column names
+ * @returns {string} Unused column name
+ */
+const getOutputColumn = (column, suffix, headers) => {
+  const base = `${column}_${suffix}`;
+  let name = base;
+  for (let i = 2; headers.includes(name); i++) {
+    name = `${base}_${i}`;
+  }
+  return name;
+};
+
+/**
+ * Combine the per-language results of a row into one status
+ * @param {Array<Object>} results - Structured results for the row
+ * @returns {string} Row status
+ */
+const getRowStatus = (results) => {
+  const statuses = results.map(result => result.status);
+  if (statuses.every(status => status === 'skipped')) return 'skipped';
+  if (statuses.every(status => status === 'success' || status === 'skipped')) return 'success';
+  if (statuses.every(status => status === 'error')) return 'error';
+  return 'partial_success';
+};
+
+/**
+ * Translate a CSV column
+ * @param {Object} translator - TranzioTranslator instance
+ * @param {Object} options - Batch options
+ * @param {string} options.input - Input CSV path
+ * @param {string} options.column - Column to translate
+ * @param {Array<string>} options.targetLangs - Target languages
+ * @param {string} options.sourceLang - Source language (optional)
+ * @param {Object} options.translateOptions - Options passed to translator.translate()
+ * @param {number} options.concurrency - Rows translated in parallel
+ * @returns {Promise<Object>} { csv, summary }
+ * @throws {UnknownLanguageError} When a target language is not in the registry
+ */
+export const translateCsv = async (translator, {
+  input,
+  column,
+  targetLangs,
+  sourceLang = null,
+  translateOptions = {},
+  concurrency = 2
+}) => {
+  const text = await fs.readFile(input, 'utf8');
+  const { headers, records } = parseCsvRecords(text);
+
+  if (!headers.includes(column)) {
+    throw new Error(`Column "${column}" not found. Available columns: ${headers.join(', ')}`);
+  }
+
+  const outputHeaders = [...headers];
+  const languageColumns = targetLangs.map(targetLang => {
+    // Named after the resolved language, so "es" and "Spanish" give the same column
+    const { code, locale } = resolveLanguage(targetLang);
+    const name = getOutputColumn(column, locale || code, outputHeaders);
+    outputHeaders.push(name);
+    const qualityName = translateOptions.quality ? getOutputColumn(name, 'quality', outputHeaders) : null;
+    if (qualityName) outputHeaders.push(qualityName);
+    return { targetLang, name, qualityName };
+  });
+  // Status columns are ours, so re-running over an output file reuses them
+  [STATUS_COLUMN, ERROR_COLUMN]
+    .filter(name => !outputHeaders.includes(name))
+    .forEach(name => outputHeaders.push(name));
+
+  // Identical cells share one translation per language
+  const pending = new Map();
+  const translateCell = (cell, targetLang) => {
+    const key = `${targetLang}\u0000${cell}`;
+    if (!pending.has(key)) {
+      pending.set(key, translator.translate(cell, targetLang, sourceLang, translateOptions));
+    }
+    return pending.get(key);
+  };
+
+  const summary = { rows: records.length, success: 0, partial_success: 0, error: 0, skipped: 0, rag: 0, memory: 0, cache: 0, flagged: 0 };
+
+  const outputRecords = await mapWithConcurrency(records, concurrency, async (record, index) => {
+    const cell = record[column];
+    const results = await Promise.all(languageColumns.map(async ({ targetLang }) => {
+      if (!cell.trim()) {
+        return { status: 'skipped', translated_text: '', target_language: targetLang };
+      }
+      return translateCell(cell, targetLang);
+    }));
+
+    const row = { ...record };
+    languageColumns.forEach(({ name, qualityName }, i) => {
+      row[name] = results[i].translated_text;
+      if (qualityName) {
+        row[qualityName] = results[i].quality?.score ?? '';
+      }
+    });
+
+    const status = getRowStatus(results);
+    row[STATUS_COLUMN] = status;
+    row[ERROR_COLUMN] = results
+      .filter(result => result.error)
+      .map(result => `${result.target_language}: ${result.error}`)
+      .join('; ');
+
+    summary[status]++;
+    results.forEach(result => {
+      if (result.source === 'rag') summary.rag++;
+      if (result.source === 'memory') summary.memory++;
+      if (result.source === 'cache') summary.cache++;
+      if (result.quality?.flagged) summary.flagged++;
+    });
+
+    console.log(`📄 Row ${index + 1}/${records.length}: ${status}`);
+    return row;
+  });
+
+  return {
+    csv: stringifyCsvRecords(outputHeaders, outputRecords, { bom: text.startsWith('\uFEFF') }),
+    summary
+  };
+};
+
+// Example usage:
+/*
+import TranzioTranslator from './translator.js';
+import { translateCsv } from './batch.js';
+
+const translator = new TranzioTranslator();
+const { csv, summary } = await translateCsv(translator, {
+  input: 'data/input.csv',
+  column: 'text',
+  targetLangs: ['Spanish', 'French']
+});
+
+console.log(summary);
+*/
@@ -0,0 +1,282 @@
+/**
+ * Usage Budget
+ *
+ * Token and cost limits checked before every API call. Limits apply to
+ * the current run (the lifetime of the budget, i.e. one CLI invocation or
+ * one server process), the current day and the current month; day and
+ * month usage starts from the usage ledger so earlier runs count too.
+ * Each call reserves its pre-flight estimate until the real usage is
+ * known, so concurrent batch rows cannot overshoot a limit together.
+ *
+ * When a call would exceed a limit the translator either refuses it,
+ * degrades it to a cheaper model and a shorter prompt, or only serves
+ * what it can without the API (cache, glossary and memory).
+ */
+
+import { readUsageLedger, estimateTokens, calculateCost } from './utils/tokenLogger.js';
+
+export const BUDGET_ACTIONS = ['refuse', 'degrade', 'offline'];
+export const BUDGET_PERIODS = ['run', 'day', 'month'];
+
+// Model used by the 'degrade' action
+const DEFAULT_FALLBACK_MODEL = 'gemini-1.5-flash-8b';
+
+/**
+ * Error raised when a request does not fit the budget
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Exceeded limit
+   * @param {string} details.action - Configured action: refuse, degrade or offline
+   * @param {string} details.period - Period whose limit was hit: run, day or month
+   * @param {string} details.unit - 'tokens' or 'cost'
+   * @param {number} details.limit - Configured limit
+   * @param {number} details.used - Usage so far in the period, including pending calls
+   * @param {number} details.estimated - Pre-flight estimate of the refused call
+   */
+  constructor(message, { action, period, unit, limit, used, estimated }) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.type = 'budget_exceeded';
+    this.retryable = false;
+    this.budget = { action, period, unit, limit, used, estimated };
+  }
+}
+
+// Function-call wrapper around the echoed text and its translation
+const COMPLETION_OVERHEAD_TOKENS = 20;
+// Room for translations that come out longer than their source
+const TRANSLATION_GROWTH = 1.2;
+
+/**
+ * Estimate the output of a translation call
+ * The answer echoes the source text next to its translation, so the
+ * output is about twice the text plus the function-call wrapper.
+ * @param {string} text - Text being translated
+ * @returns {number} Estimated completion tokens, uncapped
+ */
+export const estimateCompletionTokens = (text) => 2 * estimateTokens(text) + COMPLETION_OVERHEAD_TOKENS;
+
+/**
+ * Largest text whose answer still fits an output cap
+ * The inverse of estimateCompletionTokens(), leaving room for
+ * translations that run longer than their source.
+ * @param {number} maxOutputTokens - Output token cap of the request
+ * @returns {number} Maximum estimated tokens of the text
+ */
+export const getMaxInputTokens = (maxOutputTokens) => {
+  return Math.max(1, Math.floor((maxOutputTokens - COMPLETION_OVERHEAD_TOKENS) / (2 * TRANSLATION_GROWTH)));
+};
+
+/**
+ * Estimate the usage of an API call before making it
+ * The output is estimated with estimateCompletionTokens(), capped at
+ * the output token limit.
+ * @param {string} prompt - Full prompt
+ * @param {string} text - Text being translated
+ * @param {string} model - Model the call will use, for its rates
+ * @param {number} maxOutputTokens - Output token cap of the request
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens, cost }
+ */
+export const estimateRequestUsage = (prompt, text, model = null, maxOutputTokens = 500) => {
+  const promptTokens = estimateTokens(prompt);
+  const completionTokens = Math.min(maxOutputTokens, estimateCompletionTokens(text));
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    cost: calculateCost(promptTokens, completionTokens, model)
+  };
+};
+
+/**
+ * Read a limit from the environment
+ * @param {string} name - Variable name
+ * @returns {number} Limit, 0 when unset (unlimited)
+ */
+const getEnvLimit = (name) => Number(process.env[name] || 0);
+
+/**
+ * Key of the day or month a date falls in
+ * @param {string} period - 'day' or 'month'
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD or YYYY-MM
+ */
+const getPeriodKey = (period, date = new Date()) => date.toISOString().slice(0, period === 'day' ? 10 : 7);
+
+export class UsageBudget {
+  /**
+   * @param {Object} options - Budget options (0 disables a limit)
+   * @param {Object} options.run - { tokens, cost } for this run
+   * @param {Object} options.day - { tokens, cost } for the current day (UTC)
+   * @param {Object} options.month - { tokens, cost } for the current month (UTC)
+   * @param {string} options.action - What to do when a call does not fit: refuse, degrade or offline
+   * @param {string} options.fallbackModel - Model the 'degrade' action switches to
+   */
+  constructor({
+    run = {},
+    day = {},
+    month = {},
+    action = process.env.TRANZIO_BUDGET_ACTION || 'refuse',
+    fallbackModel = process.env.TRANZIO_BUDGET_FALLBACK_MODEL || DEFAULT_FALLBACK_MODEL
+  } = {}) {
+    if (!BUDGET_ACTIONS.includes(action)) {
+      throw new Error(`Unknown budget action "${action}". Expected one of: ${BUDGET_ACTIONS.join(', ')}`);
+    }
+
+    this.limits = {
+      run: {
+        tokens: run.tokens ?? getEnvLimit('TRANZIO_BUDGET_RUN_TOKENS'),
+        cost: run.cost ?? getEnvLimit('TRANZIO_BUDGET_RUN_COST')
+      },
+      day: {
+        tokens: day.tokens ?? getEnvLimit('TRANZIO_BUDGET_DAY_TOKENS'),
+        cost: day.cost ?? getEnvLimit('TRANZIO_BUDGET_DAY_COST')
+      },
+      month: {
+        tokens: month.tokens ?? getEnvLimit('TRANZIO_BUDGET_MONTH_TOKENS'),
+        cost: month.cost ?? getEnvLimit('TRANZIO_BUDGET_MONTH_COST')
+      }
+    };
+    this.action = action;
+    this.fallbackModel = fallbackModel;
+    // Usage per period as { key, tokens, cost }; pending holds open reservations
+    this.usage = { run: { key: 'run', tokens: 0, cost: 0 } };
+    this.pending = { tokens: 0, cost: 0 };
+    // Once a limit is hit in 'offline' mode, no further call is attempted
+    this.exhausted = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Whether any limit is configured
+   * @returns {boolean}
+   */
+  isLimited() {
+    return BUDGET_PERIODS.some(period => this.limits[period].tokens > 0 || this.limits[period].cost > 0);
+  }
+
+  /**
+   * Get the usage of a period, loading day and month totals from the ledger
+   * when the period starts (or on first use)
+   * @param {string} period - run, day or month
+   * @returns {Promise<Object>} { key, tokens, cost }
+   */
+  async getUsage(period) {
+    if (period === 'run') return this.usage.run;
+
+    const key = getPeriodKey(period);
+    if (this.usage[period]?.key !== key) {
+      const since = period === 'day' ? key : `${key}-01`;
+      const records = await readUsageLedger({ since });
+      this.usage[period] = {
+        key,
+        tokens: records.reduce((sum, record) => sum + (record.total_tokens || 0), 0),
+        cost: records.reduce((sum, record) => sum + (record.cost || 0), 0)
+      };
+    }
+    return this.usage[period];
+  }
+
+  /**
+   * Find the first limit a call of the given size would exceed
+   * @param {Object} estimate - { total_tokens, cost }
+   * @returns {Promise<Object|null>} { period, unit, limit, used, estimated }, or null when it fits
+   */
+  async findExceededLimit(estimate) {
+    for (const period of BUDGET_PERIODS) {
+      const limits = this.limits[period];
+      if (!limits.tokens && !limits.cost) continue;
+
+      const usage = await this.getUsage(period);
+      const checks = [
+        { unit: 'tokens', limit: limits.tokens, used: usage.tokens + this.pending.tokens, estimated: estimate.total_tokens },
+        { unit: 'cost', limit: limits.cost, used: usage.cost + this.pending.cost, estimated: estimate.cost }
+      ];
+      const exceeded = checks.find(check => check.limit > 0 && check.used + check.estimated > check.limit);
+      if (exceeded) {
+        return { period, ...exceeded };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reserve the estimated usage of a call
+   * @param {Object} estimate - Estimate from estimateRequestUsage()
+   * @returns {Promise<Object>} Reservation; call `settle(tokenUsage)` once usage is known
+   * @throws {BudgetExceededError} When the call does not fit
+   */
+  reserve(estimate) {
+    // Checks run one at a time so each sees the reservations before it
+    const reservation = this.queue.then(() => this.checkAndReserve(estimate));
+    this.queue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  /**
+   * Check the limits and record the reservation
+   * @param {Object} estimate - Estimate from estimateRequestUsage()
+   * @returns {Promise<Object>} Reservation
+   * @throws {BudgetExceededError} When the call does not fit
+   */
+  async checkAndReserve(estimate) {
+    const exceeded = this.exhausted || await this.findExceededLimit(estimate);
+    if (exceeded) {
+      const { period, unit, limit, used, estimated } = exceeded;
+      const format = (value) => (unit === 'cost' ? `$${value.toFixed(6)}` : `${value} tokens`);
+      if (this.action === 'offline') {
+        this.exhausted = exceeded;
+      }
+      throw new BudgetExceededError(
+        `${period} ${unit} budget exceeded: ${format(used)} used + ${format(estimated)} estimated > ${format(limit)} limit`
+          + (this.action === 'offline' ? '; only cached, glossary and memory translations are served' : ''),
+        { action: this.action, ...exceeded }
+      );
+    }
+
+    this.pending.tokens += estimate.total_tokens;
+    this.pending.cost += estimate.cost;
+
+    let settled = false;
+    return {
+      settle: ({ total_tokens: tokens = 0, cost = 0 } = {}) => {
+        if (settled) return;
+        settled = true;
+        this.pending.tokens -= estimate.total_tokens;
+        this.pending.cost -= estimate.cost;
+        Object.values(this.usage).forEach(usage => {
+          usage.tokens += tokens;
+          usage.cost += cost;
+        });
+      }
+    };
+  }
+
+  /**
+   * Get limits and usage for reporting
+   * @returns {Promise<Object>} { action, periods: { <period>: { limits, tokens, cost } } }
+   */
+  async getStatus() {
+    const periods = {};
+    for (const period of BUDGET_PERIODS) {
+      const { tokens, cost } = await this.getUsage(period);
+      periods[period] = { limits: { ...this.limits[period] }, tokens, cost };
+    }
+    return { action: this.action, periods };
+  }
+}
+
+// Example usage:
+/*
+import { UsageBudget, estimateRequestUsage } from './budget.js';
+
+const budget = new UsageBudget({ day: { cost: 0.5 }, action: 'refuse' });
+const estimate = estimateRequestUsage(prompt, text, 'gemini-1.5-flash');
+
+const reservation = await budget.reserve(estimate); // throws BudgetExceededError when over
+// ... call the API ...
+reservation.settle({ total_tokens: 230, cost: 0.00012 });
+*/
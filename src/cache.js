@@ -0,0 +1,227 @@
+/**
+ * Translation Cache
+ *
+ * Persistent, content-addressed cache of API translations. Each entry is
+ * stored as one JSON file named after
+ * sha256(text + source + target + model + strategy + temperature + style + glossary version),
+ * so identical requests are never paid for twice. Entries expire after a
+ * TTL and the oldest entries are evicted once the cache grows past its
+ * size limit.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { hashObject } from './utils/hash.js';
+
+// Default cache settings
+const DEFAULT_CACHE_DIR = './data/cache';
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Build the cache key for a translation request
+ * @param {Object} request - Request parameters
+ * @param {string} request.text - Text to translate
+ * @param {string} request.sourceLang - Source language
+ * @param {string} request.targetLang - Target language
+ * @param {string} request.model - Model name
+ * @param {string} request.strategy - Prompt strategy
+ * @param {number} request.temperature - Sampling temperature
+ * @param {Object} request.style - Normalized style options (formality, tone, audience, domain, locale)
+ * @param {Array<string>} request.instructions - Extra prompt requirements
+ * @param {string} request.template - Content hash of the pack template used, if any
+ * @param {string} request.glossaryVersion - Glossary content hash
+ * @returns {string} Hex cache key
+ */
+export const getCacheKey = ({ text, sourceLang, targetLang, model, strategy, temperature, style = {}, instructions = [], template = null, glossaryVersion }) => {
+  return hashObject({
+    text,
+    sourceLang: sourceLang || null,
+    targetLang,
+    model,
+    strategy,
+    temperature,
+    // Unstyled requests keep the keys they had before styles existed
+    ...(Object.keys(style).length > 0 && { style }),
+    instructions,
+    // Edited templates change the prompt, so they get fresh entries
+    ...(template && { template }),
+    glossaryVersion
+  });
+};
+
+export class TranslationCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - Cache directory
+   * @param {number} options.ttl - Entry lifetime in seconds (0 disables expiry)
+   * @param {number} options.maxEntries - Maximum number of stored entries
+   */
+  constructor({
+    dir = process.env.TRANZIO_CACHE_DIR || DEFAULT_CACHE_DIR,
+    ttl = Number(process.env.TRANZIO_CACHE_TTL || DEFAULT_TTL_SECONDS),
+    maxEntries = Number(process.env.TRANZIO_CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES)
+  } = {}) {
+    this.dir = dir;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * Look up a cached translation
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cached result or null on a miss
+   */
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.getEntryPath(key), 'utf8'));
+
+      if (this.isExpired(entry)) {
+        await fs.rm(this.getEntryPath(key), { force: true });
+        this.stats.evictions++;
+        this.stats.misses++;
+        console.log(`🗑️  Cache entry ${key.slice(0, 12)} expired`);
+        return null;
+      }
+
+      this.stats.hits++;
+      console.log(`💾 Cache hit: ${key.slice(0, 12)}`);
+      return entry.result;
+    } catch (error) {
+      this.stats.misses++;
+      console.log(`💾 Cache miss: ${key.slice(0, 12)}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store a translation result
+   * @param {string} key - Cache key
+   * @param {Object} result - Structured translation result
+   * @returns {Promise<void>}
+   */
+  async set(key, result) {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+
+      // Timestamps and token usage belong to the original response, not to later hits
+      const { timestamp, token_usage, ...stored } = result;
+      await fs.writeFile(this.getEntryPath(key), JSON.stringify({
+        key,
+        storedAt: new Date().toISOString(),
+        result: stored
+      }, null, 2));
+
+      this.stats.writes++;
+      await this.evict();
+    } catch (error) {
+      console.error('❌ Failed to write cache entry:', error.message);
+    }
+  }
+
+  /**
+   * Remove expired entries and trim the cache to its size limit
+   * @returns {Promise<number>} Number of evicted entries
+   */
+  async evict() {
+    const entries = await this.listEntries();
+    const expired = entries.filter(entry => this.isExpired(entry));
+    const live = entries
+      .filter(entry => !this.isExpired(entry))
+      .sort((a, b) => a.storedAt.localeCompare(b.storedAt));
+    const overflow = this.maxEntries > 0 ? live.slice(0, Math.max(0, live.length - this.maxEntries)) : [];
+    const evicted = [...expired, ...overflow];
+
+    await Promise.all(evicted.map(entry => fs.rm(this.getEntryPath(entry.key), { force: true })));
+    this.stats.evictions += evicted.length;
+
+    return evicted.length;
+  }
+
+  /**
+   * Delete every cache entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+
+  /**
+   * Get hit/miss statistics for this cache instance
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? (this.stats.hits / lookups).toFixed(2) : 0
+    };
+  }
+
+  /**
+   * Read the metadata of all stored entries
+   * @returns {Promise<Array>} Stored entries
+   */
+  async listEntries() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+
+    const entries = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async (file) => {
+        try {
+          return JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        } catch (error) {
+          // Unreadable entries are treated as expired
+          return { key: path.basename(file, '.json'), storedAt: new Date(0).toISOString() };
+        }
+      }));
+
+    return entries;
+  }
+
+  /**
+   * Check whether an entry is past its TTL
+   * @param {Object} entry - Stored entry
+   * @returns {boolean} Whether the entry expired
+   */
+  isExpired(entry) {
+    if (!this.ttl) return false;
+    const age = Date.now() - new Date(entry.storedAt).getTime();
+    return Number.isNaN(age) || age >= this.ttl * 1000;
+  }
+
+  /**
+   * Get the file path of an entry
+   * @param {string} key - Cache key
+   * @returns {string} Entry path
+   */
+  getEntryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+// Example usage:
+/*
+import { TranslationCache, getCacheKey } from './cache.js';
+
+const cache = new TranslationCache({ ttl: 3600, maxEntries: 500 });
+const key = getCacheKey({
+  text: 'Hello world',
+  sourceLang: 'English',
+  targetLang: 'French',
+  model: 'gemini-pro',
+  strategy: 'auto',
+  temperature: 0.7,
+  glossaryVersion: 'abc123'
+});
+
+await cache.set(key, { translated_text: 'Bonjour le monde', status: 'success' });
+console.log(await cache.get(key));
+console.log(cache.getStats());
+*/
@@ -0,0 +1,117 @@
+/**
+ * Candidate Translations
+ *
+ * Ranks several translations of the same text so callers can offer
+ * options instead of a single string. Each candidate gets a score from:
+ *
+ * - glossary compliance: the share of required glossary terms it uses
+ * - length ratio: how close its length is to the median candidate's, so
+ *   truncated or padded candidates drop (the median stands in for the
+ *   length a translation into this language usually has)
+ * - back-translation: the quality score, when a quality check was run
+ *
+ * Candidates with a clean status always rank above ones downgraded for
+ * missing placeholders or glossary terms.
+ */
+
+import { checkGlossaryTerms } from './rag.js';
+
+// Requests generating more candidates than this are capped
+export const MAX_CANDIDATES = 5;
+
+// Temperature the candidate temperatures are spread up to
+const MAX_CANDIDATE_TEMPERATURE = 1.0;
+
+// Weight of each signal; signals that are not available are left out
+const RANKING_WEIGHTS = {
+  glossary: 0.5,
+  length: 0.2,
+  back_translation: 0.3
+};
+
+/**
+ * Sampling temperature of each candidate
+ * The first candidate keeps the requested temperature, the others are
+ * spread evenly up to MAX_CANDIDATE_TEMPERATURE for more varied wording.
+ * @param {number} temperature - Requested temperature
+ * @param {number} count - Number of candidates
+ * @returns {Array<number>} One temperature per candidate
+ */
+export const getCandidateTemperatures = (temperature, count) => {
+  const top = Math.max(temperature, MAX_CANDIDATE_TEMPERATURE);
+  return Array.from({ length: count }, (_, index) => {
+    const value = count === 1 ? temperature : temperature + ((top - temperature) * index) / (count - 1);
+    return Math.round(value * 100) / 100;
+  });
+};
+
+/**
+ * Drop failed candidates and candidates repeating an earlier one
+ * Texts differing only in whitespace or Unicode normalization are the same.
+ * @param {Array<Object>} results - Structured results, in generation order
+ * @returns {Array<Object>} Unique successful results, first occurrence kept
+ */
+export const dedupeCandidates = (results) => {
+  const seen = new Set();
+  return results.filter(result => {
+    if (result.status === 'error' || !result.translated_text) return false;
+    const key = result.translated_text.normalize('NFC').trim().replace(/\s+/g, ' ');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Score and sort candidates, best first
+ * @param {Array<Object>} results - Unique results from dedupeCandidates()
+ * @param {string} text - Original source text
+ * @param {Array<Object>} glossaryTerms - Terms from findGlossaryTerms()
+ * @returns {Array<Object>} [{ result, score, scores }], where `scores` holds each signal
+ */
+export const rankCandidates = (results, text, glossaryTerms = []) => {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const ratios = results.map(result => result.translated_text.length / Math.max(text.length, 1));
+  const sorted = [...ratios].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  // With an even count the two middle ratios are averaged geometrically, so they score alike
+  const median = sorted.length % 2 === 1 ? sorted[middle] : Math.sqrt(sorted[middle - 1] * sorted[middle]);
+
+  return results
+    .map((result, index) => {
+      const violations = checkGlossaryTerms(result.translated_text, glossaryTerms);
+      const scores = {
+        glossary: glossaryTerms.length > 0 ? 1 - violations.length / glossaryTerms.length : 1,
+        length: Math.min(ratios[index], median) / Math.max(ratios[index], median),
+        ...(typeof result.quality?.score === 'number' && { back_translation: result.quality.score })
+      };
+      const weights = Object.keys(scores).map(signal => RANKING_WEIGHTS[signal]);
+      const score = Object.entries(scores)
+        .reduce((sum, [signal, value]) => sum + RANKING_WEIGHTS[signal] * value, 0)
+        / weights.reduce((sum, weight) => sum + weight, 0);
+
+      return {
+        result,
+        index,
+        score: round(score),
+        scores: Object.fromEntries(Object.entries(scores).map(([signal, value]) => [signal, round(value)]))
+      };
+    })
+    .sort((a, b) => (b.result.status === 'success') - (a.result.status === 'success')
+      || b.score - a.score
+      || a.index - b.index)
+    .map(({ index, ...ranked }) => ranked);
+};
+
+// Example usage:
+/*
+import { dedupeCandidates, rankCandidates } from './candidates.js';
+
+const results = [
+  { status: 'success', translated_text: 'Achetez maintenant' },
+  { status: 'success', translated_text: 'Achetez  maintenant' },
+  { status: 'success', translated_text: 'Commandez dès aujourd\'hui' }
+];
+const ranked = rankCandidates(dedupeCandidates(results), 'Buy now');
+console.log(ranked.map(({ result, score }) => `${score} ${result.translated_text}`));
+*/
@@ -0,0 +1,780 @@
+#!/usr/bin/env node
+/**
+ * Tranzio CLI
+ *
+ * Command-line front end for the translator. Text can be provided with
+ * --text, read from a file with --file, or piped through STDIN. The
+ * structured result is printed (or written with --out) and the process
+ * exits with a non-zero code when the translation failed.
+ */
+
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import TranzioTranslator from './translator.js';
+import { getProviderNames } from './providers/index.js';
+import { translateCsv } from './batch.js';
+import { translateMarkdown } from './markdown.js';
+import { startServer } from './server.js';
+import {
+  listGlossaryEntries,
+  addGlossaryEntry,
+  updateGlossaryEntry,
+  deleteGlossaryEntry,
+  readGlossaryFile,
+  importGlossaryRecords,
+  exportGlossary,
+  getGlossaryCoverage
+} from './glossary.js';
+import { prettyPrintOutput } from './utils/structuredOutput.js';
+import { readUsageLedger, summarizeUsage, USAGE_GROUPS } from './utils/tokenLogger.js';
+import { BUDGET_ACTIONS } from './budget.js';
+import { MAX_CANDIDATES } from './candidates.js';
+import { normalizeStyle } from './prompts/style.js';
+import { resolveLanguage, isAutoDetect } from './languages.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Exit codes returned by the CLI
+ */
+const EXIT_CODES = {
+  success: 0,
+  translationError: 1,
+  usageError: 2
+};
+
+/**
+ * Supported command-line options
+ * `type` is either 'string' (takes a value) or 'boolean' (flag)
+ */
+const OPTIONS = {
+  text: { alias: 't', type: 'string', description: 'Text to translate' },
+  file: { alias: 'f', type: 'string', description: 'Read the text to translate from a file' },
+  markdown: { alias: 'm', type: 'boolean', description: 'Treat the input as Markdown (default for .md files)' },
+  csv: { type: 'string', description: 'Translate a column of a CSV file (batch mode)' },
+  col: { type: 'string', description: 'CSV column to translate (batch mode)' },
+  concurrency: { type: 'string', description: 'Translations run in parallel in batch and server mode (default: 2 / 4)' },
+  lang: { alias: 'l', type: 'string', description: 'Target language (e.g. "French"); comma-separated list in batch mode' },
+  source: { alias: 's', type: 'string', description: 'Source language (auto-detected if omitted)' },
+  'no-detect': { type: 'boolean', description: 'Leave a missing --source to the model instead of detecting it offline' },
+  strategy: { type: 'string', description: 'Prompt strategy: auto|zero|one|multi|cot (default: auto)' },
+  model: { type: 'string', description: 'Model to translate with (default: $GEMINI_MODEL, or $TRANZIO_MODEL_<STRATEGY>)' },
+  temperature: { type: 'string', description: 'Sampling temperature 0.0-1.0 (default: 0.7)' },
+  style: { type: 'string', description: 'Formality: formal|neutral|casual (default: neutral)' },
+  tone: { type: 'string', description: 'Tone of voice (e.g. "friendly", "authoritative")' },
+  audience: { type: 'string', description: 'Intended readers (e.g. "children", "developers")' },
+  locale: { type: 'string', description: 'Locale variant of the target language (e.g. pt-BR, en-GB)' },
+  templates: { type: 'string', description: 'Directory of prompt templates overriding the built-in ones (default: $TRANZIO_TEMPLATES_DIR)' },
+  'no-cache': { type: 'boolean', description: 'Bypass the translation cache for this run' },
+  'no-memory': { type: 'boolean', description: 'Do not use or update the translation memory' },
+  quality: { type: 'boolean', description: 'Back-translate and score each result (costs a second call)' },
+  candidates: { type: 'string', description: 'Generate up to 5 candidate translations and rank them (costs one call each)' },
+  'quality-threshold': { type: 'string', description: 'Quality score below which results are flagged (default: 0.5)' },
+  'budget-tokens': { type: 'string', description: 'Token budget for this run (day/month budgets: see env.example)' },
+  'budget-cost': { type: 'string', description: 'Cost budget for this run in USD' },
+  'on-budget': { type: 'string', description: 'When a call exceeds a budget: refuse|degrade|offline (default: refuse)' },
+  provider: { type: 'string', description: 'Translation provider: gemini|local (default: gemini)' },
+  record: { type: 'string', description: 'Record provider responses to a cassette directory' },
+  replay: { type: 'string', description: 'Replay provider responses from a cassette directory' },
+  format: { type: 'string', description: 'Output format: text|json (default: text)' },
+  out: { alias: 'o', type: 'string', description: 'Write the result to a file instead of STDOUT' },
+  host: { type: 'string', description: 'Server mode: interface to bind (default: 127.0.0.1)' },
+  port: { alias: 'p', type: 'string', description: 'Server mode: port to listen on (default: 8000)' },
+  'max-queue': { type: 'string', description: 'Server mode: translations allowed to wait (default: 100)' },
+  domain: { type: 'string', description: 'Domain (legal, medical, marketing, ui, ...): glossary to use or edit and terminology to follow (default: general)' },
+  author: { type: 'string', description: 'Glossary edits: author recorded with the entry (default: $TRANZIO_AUTHOR or OS user)' },
+  overwrite: { type: 'boolean', description: 'Glossary import: replace existing translations that differ' },
+  by: { type: 'string', description: 'Usage report: group by day|model|pair|strategy|source (default: all but source)' },
+  since: { type: 'string', description: 'Usage report: first day to include (YYYY-MM-DD)' },
+  until: { type: 'string', description: 'Usage report: last day to include (YYYY-MM-DD)' },
+  verbose: { alias: 'v', type: 'boolean', description: 'Show the reasoning behind chain-of-thought translations' },
+  help: { alias: 'h', type: 'boolean', description: 'Show this help' }
+};
+
+const STRATEGIES = ['auto', 'zero', 'one', 'multi', 'cot'];
+const FORMATS = ['text', 'json'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Raw arguments (without node and script path)
+ * @returns {Object} Parsed options and positional arguments
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  const positionals = [];
+  const aliases = Object.fromEntries(
+    Object.entries(OPTIONS)
+      .filter(([, spec]) => spec.alias)
+      .map(([name, spec]) => [spec.alias, name])
+  );
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const name = arg.startsWith('--') ? flag : aliases[flag];
+    const spec = OPTIONS[name];
+
+    if (!spec) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (spec.type === 'boolean') {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Option ${arg} requires a value`);
+    }
+  }
+
+  return { options, positionals };
+};
+
+/**
+ * Build the help text from the options table
+ * @returns {string} Usage information
+ */
+const getHelpText = () => {
+  const lines = Object.entries(OPTIONS).map(([name, spec]) => {
+    const flags = spec.alias ? `-${spec.alias}, --${name}` : `    --${name}`;
+    return `  ${flags.padEnd(20)} ${spec.description}`;
+  });
+
+  return `
+Usage: tranzio [options]
+       tranzio serve [--host <host>] [--port <port>]
+       tranzio glossary <list|search|add|update|delete|import|export|stats> [args]
+       tranzio usage [--by <grouping>] [--since <date>] [--until <date>]
+       tranzio prompt --text <text> --lang <language> [--strategy <strategy>] [--templates <dir>]
+
+Examples:
+  tranzio --text "Good morning" --lang French
+  echo "Good morning" | tranzio --lang French
+  tranzio --file notes.txt --lang German --out notes.de.txt
+  tranzio --file README.md --lang Spanish --out README.es.md
+  tranzio --csv input.csv --col text --lang Spanish,French --out output.csv
+  tranzio --text "Good morning" --lang French --source English --quality
+  tranzio --text "Save your changes" --lang Portuguese --locale pt-BR --style formal --domain ui
+  tranzio --csv input.csv --col text --lang German --budget-cost 0.50 --on-budget degrade
+  tranzio serve --port 8000 --provider local
+  tranzio glossary search dash
+  tranzio glossary add dashboard "tableau de bord" --lang French
+  tranzio glossary add Rechnung facture --source German --lang French --domain billing
+  tranzio glossary delete dashboard [--lang French]
+  tranzio glossary import terms.tbx --source English [--overwrite]
+  tranzio glossary export glossary.csv
+  tranzio glossary stats
+  tranzio usage --since 2024-06-01 --by model
+  tranzio prompt --text "Break a leg!" --lang French --templates ./prompts --domain marketing
+
+Options:
+${lines.join('\n')}
+`.trim();
+};
+
+/**
+ * Read all data piped through STDIN
+ * @returns {Promise<string>} STDIN contents
+ */
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Resolve the input text from --text, --file or STDIN
+ * @param {Object} options - Parsed options
+ * @returns {Promise<string>} Text to translate
+ */
+const readInput = async (options) => {
+  if (options.text !== undefined && options.file !== undefined) {
+    throw new Error('Use either --text or --file, not both');
+  }
+
+  if (options.text !== undefined) {
+    return options.text;
+  }
+
+  if (options.file !== undefined) {
+    return fs.readFile(options.file, 'utf8');
+  }
+
+  if (!process.stdin.isTTY) {
+    // Drop the newline added by `echo` and friends
+    const input = await readStdin();
+    return input.replace(/\r?\n$/, '');
+  }
+
+  throw new Error('No input provided. Use --text, --file or pipe text through STDIN');
+};
+
+/**
+ * Render a translation result in the requested format
+ * @param {Object} result - Structured translation result
+ * @param {string} format - Output format
+ * @param {boolean} toFile - Whether the output is written to a file
+ * @param {boolean} verbose - Include the model's reasoning
+ * @returns {string} Rendered output
+ */
+const renderResult = (result, format, toFile, verbose = false) => {
+  const { reasoning, ...rest } = result;
+  const shown = verbose ? result : rest;
+
+  if (format === 'json') {
+    return JSON.stringify(shown, null, 2);
+  }
+
+  // Files get the bare translation, the terminal gets the full report
+  return toFile ? result.translated_text : prettyPrintOutput(shown);
+};
+
+/**
+ * Build translator options from the parsed CLI options
+ * @param {Object} options - Parsed options
+ * @returns {Object} Options for TranzioTranslator
+ */
+const getTranslatorOptions = (options) => {
+  if (options.record && options.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+  if (options.provider && !getProviderNames().includes(options.provider)) {
+    throw new Error(`Invalid --provider "${options.provider}". Expected one of: ${getProviderNames().join(', ')}`);
+  }
+
+  const translatorOptions = {};
+  if (options.provider) {
+    translatorOptions.provider = options.provider;
+  }
+  if (options.record) {
+    translatorOptions.cassette = { mode: 'record', dir: options.record };
+  } else if (options.replay) {
+    translatorOptions.cassette = { mode: 'replay', dir: options.replay };
+  }
+
+  const run = {};
+  if (options['budget-tokens'] !== undefined) {
+    run.tokens = getIntegerOption(options, 'budget-tokens', 0, 1);
+  }
+  if (options['budget-cost'] !== undefined) {
+    const cost = Number(options['budget-cost']);
+    if (Number.isNaN(cost) || cost <= 0) {
+      throw new Error(`Invalid --budget-cost "${options['budget-cost']}". Expected a positive amount in USD`);
+    }
+    run.cost = cost;
+  }
+  if (options['on-budget'] !== undefined && !BUDGET_ACTIONS.includes(options['on-budget'])) {
+    throw new Error(`Invalid --on-budget "${options['on-budget']}". Expected one of: ${BUDGET_ACTIONS.join(', ')}`);
+  }
+  translatorOptions.budget = {
+    run,
+    ...(options['on-budget'] && { action: options['on-budget'] })
+  };
+  if (options.templates) {
+    translatorOptions.templates = options.templates;
+  }
+
+  return translatorOptions;
+};
+
+/**
+ * Create the translator, loading its prompt templates up front so an
+ * invalid template pack is reported before any work starts
+ * @param {Object} options - Parsed options
+ * @returns {Promise<TranzioTranslator>} Translator
+ */
+const createTranslator = async (options) => {
+  const translator = new TranzioTranslator(getTranslatorOptions(options));
+  await translator.loadTemplates();
+  return translator;
+};
+
+/**
+ * Parse an integer option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {number} defaultValue - Value when the option is absent
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Parsed value
+ */
+const getIntegerOption = (options, name, defaultValue, min = 0) => {
+  if (options[name] === undefined) return defaultValue;
+
+  const value = Number(options[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid --${name} "${options[name]}". Expected an integer >= ${min}`);
+  }
+  return value;
+};
+
+/**
+ * Validate and collect the options shared by single and batch translation
+ * @param {Object} options - Parsed options
+ * @returns {Object} Options for translator.translate()
+ */
+const getTranslateOptions = (options) => {
+  const strategy = options.strategy || 'auto';
+
+  if (!options.lang) {
+    throw new Error('Missing required option --lang');
+  }
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid --strategy "${strategy}". Expected one of: ${STRATEGIES.join(', ')}`);
+  }
+  // Unknown languages fail here with suggestions rather than once per row
+  options.lang.split(',').map(lang => lang.trim()).filter(Boolean).forEach(lang => resolveLanguage(lang));
+  if (!isAutoDetect(options.source)) {
+    resolveLanguage(options.source);
+  }
+  const candidates = getIntegerOption(options, 'candidates', 1, 1);
+  if (candidates > MAX_CANDIDATES) {
+    throw new Error(`Invalid --candidates "${options.candidates}". Expected at most ${MAX_CANDIDATES}`);
+  }
+
+  const translateOptions = {
+    strategy,
+    noCache: Boolean(options['no-cache']),
+    memory: !options['no-memory'],
+    detect: !options['no-detect'],
+    candidates,
+    ...(options.domain && { domain: options.domain }),
+    ...(options.model && { model: options.model }),
+    // Normalizing validates the values and drops the defaults
+    ...normalizeStyle({
+      formality: options.style,
+      tone: options.tone,
+      audience: options.audience,
+      locale: options.locale
+    })
+  };
+  if (options.temperature !== undefined) {
+    const temperature = Number(options.temperature);
+    if (Number.isNaN(temperature) || temperature < 0 || temperature > 1) {
+      throw new Error(`Invalid --temperature "${options.temperature}". Expected a number between 0 and 1`);
+    }
+    translateOptions.temperature = temperature;
+  }
+  if (options.quality) {
+    translateOptions.quality = true;
+  }
+  if (options['quality-threshold'] !== undefined) {
+    const threshold = Number(options['quality-threshold']);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      throw new Error(`Invalid --quality-threshold "${options['quality-threshold']}". Expected a number between 0 and 1`);
+    }
+    translateOptions.qualityThreshold = threshold;
+  }
+
+  return translateOptions;
+};
+
+/**
+ * Send progress logs to STDERR
+ * The modules report progress with console.log; moving those lines off
+ * STDOUT leaves it to the command output, so JSON and CSV can be piped.
+ */
+const routeLogsToStderr = () => {
+  console.log = (...args) => console.error(...args);
+};
+
+/**
+ * Write output to --out or STDOUT
+ * @param {string} output - Rendered output
+ * @param {Object} options - Parsed options
+ * @returns {Promise<void>}
+ */
+const writeOutput = async (output, options) => {
+  const content = output.endsWith('\n') ? output : `${output}\n`;
+  if (options.out) {
+    await fs.writeFile(options.out, content);
+    console.log(`💾 Saved translation to ${options.out}`);
+  } else {
+    process.stdout.write(content);
+  }
+};
+
+/**
+ * Run a translation from the parsed options
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+const runTranslate = async (options) => {
+  const format = options.format || 'text';
+  const translateOptions = getTranslateOptions(options);
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid --format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  const input = await readInput(options);
+  if (!input.trim()) {
+    throw new Error('Input text is empty');
+  }
+
+  const translator = await createTranslator(options);
+  const isMarkdown = options.markdown || /\.(md|markdown)$/i.test(options.file || '');
+  const result = isMarkdown
+    ? await translateMarkdown(translator, input, options.lang, options.source || null, translateOptions)
+    : await translator.translate(input, options.lang, options.source || null, translateOptions);
+  await writeOutput(renderResult(result, format, Boolean(options.out), Boolean(options.verbose)), options);
+
+  if (result.status === 'error') {
+    console.error(`❌ Translation failed: ${result.error}`);
+    return EXIT_CODES.translationError;
+  }
+
+  return EXIT_CODES.success;
+};
+
+/**
+ * Run a batch CSV translation from the parsed options
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+const runBatch = async (options) => {
+  const translateOptions = getTranslateOptions(options);
+  const concurrency = getIntegerOption(options, 'concurrency', 2, 1);
+
+  if (!options.col) {
+    throw new Error('Missing required option --col for batch mode');
+  }
+
+  const translator = await createTranslator(options);
+  const { csv, summary } = await translateCsv(translator, {
+    input: options.csv,
+    column: options.col,
+    targetLangs: options.lang.split(',').map(lang => lang.trim()).filter(Boolean),
+    sourceLang: options.source || null,
+    translateOptions,
+    concurrency
+  });
+
+  await writeOutput(csv, options);
+  console.log(`📊 Batch complete: ${summary.rows} rows, ${summary.success} succeeded, ${summary.partial_success} partial, ${summary.error} failed, ${summary.skipped} skipped (${summary.rag} glossary hits, ${summary.memory} memory hits, ${summary.cache} cache hits)`);
+  if (translateOptions.quality) {
+    console.log(`🚩 ${summary.flagged} translations flagged for review`);
+  }
+
+  return summary.error > 0 ? EXIT_CODES.translationError : EXIT_CODES.success;
+};
+
+/**
+ * Start the HTTP server from the parsed options
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number|null>} Exit code, or null while the server keeps running
+ */
+const runServe = async (options) => {
+  const translator = await createTranslator(options);
+
+  await startServer(translator, {
+    host: options.host || '127.0.0.1',
+    port: getIntegerOption(options, 'port', 8000),
+    concurrency: getIntegerOption(options, 'concurrency', 4, 1),
+    maxQueue: getIntegerOption(options, 'max-queue', 100)
+  });
+
+  return null;
+};
+
+/**
+ * Print glossary entries as text
+ * @param {Array<Object>} entries - Entries from listGlossaryEntries()
+ * @returns {string} One line per entry
+ */
+const formatGlossaryEntries = (entries) => {
+  if (entries.length === 0) {
+    return 'No matching glossary entries';
+  }
+  return entries
+    .map(({ term, translation, source_language, target_language, domain, provenance = {} }) => {
+      const origin = [provenance.origin, provenance.author, provenance.updated_at?.slice(0, 10)].filter(Boolean).join(', ');
+      return `[${domain}] ${source_language} → ${target_language}: ${term} = ${translation}${origin ? ` (${origin})` : ''}`;
+    })
+    .join('\n');
+};
+
+/**
+ * Print an import report as text
+ * @param {Object} report - Report from importGlossaryRecords()
+ * @param {number} skipped - TBX concepts without a source term
+ * @param {Array<Object>} ignored - CSV columns that are no language, as { column, reason }
+ * @returns {string} One line per skipped concept count, ignored column, duplicate and conflict
+ */
+const formatImportReport = (report, skipped, ignored = []) => {
+  const lines = skipped ? [`⚠️  ${skipped} concepts without a source term skipped`] : [];
+  ignored.forEach(({ column, reason }) => {
+    lines.push(`⚠️  Column "${column}" ignored: ${reason}`);
+  });
+  report.duplicates.forEach(({ term, sourceLang, language, count }) => {
+    lines.push(`⚠️  Duplicate: "${term}" (${sourceLang} → ${language}) appears ${count} times`);
+  });
+  report.conflicts.forEach(({ term, sourceLang, language, existing, incoming, origin }) => {
+    lines.push(`❌ Conflict: "${term}" (${sourceLang} → ${language}) is "${existing}" in the ${origin}, import has "${incoming}"`);
+  });
+  return lines.length > 0 ? lines.join('\n') : '✅ Import complete';
+};
+
+/**
+ * Run a glossary management command
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} args - Positional arguments after `glossary`
+ * @returns {Promise<number>} Exit code
+ */
+const runGlossary = async (options, args) => {
+  const [action, ...params] = args;
+  const format = options.format || 'text';
+  const entryOptions = {
+    ...(options.source && { sourceLang: options.source }),
+    ...(options.domain && { domain: options.domain }),
+    ...(options.author && { author: options.author })
+  };
+  const expect = (count, usage) => {
+    if (params.length !== count) throw new Error(`Usage: tranzio glossary ${action} ${usage}`);
+  };
+  const print = (value, text) => writeOutput(format === 'json' ? JSON.stringify(value, null, 2) : text, options);
+
+  switch (action) {
+    case 'list':
+    case 'search': {
+      if (action === 'search') expect(1, '<text>');
+      const entries = await listGlossaryEntries({
+        search: params[0] || null,
+        lang: options.lang || null,
+        sourceLang: options.source || null,
+        domain: options.domain || null
+      });
+      await print(entries, formatGlossaryEntries(entries));
+      return EXIT_CODES.success;
+    }
+    case 'add':
+    case 'update': {
+      expect(2, '<term> <translation> --lang <language> [--source <language>] [--domain <domain>]');
+      const change = action === 'add' ? addGlossaryEntry : updateGlossaryEntry;
+      const outcome = await change(params[0], params[1], options.lang, entryOptions);
+      await print({ outcome }, `✅ ${outcome}`);
+      return EXIT_CODES.success;
+    }
+    case 'delete': {
+      expect(1, '<term> [--lang <language>] [--source <language>] [--domain <domain>]');
+      const removed = await deleteGlossaryEntry(params[0], options.lang || null, entryOptions);
+      await print({ removed }, `✅ removed ${removed} translation(s)`);
+      return EXIT_CODES.success;
+    }
+    case 'import': {
+      expect(1, '<file.csv|file.tbx> [--source <language>] [--domain <domain>] [--overwrite]');
+      const { records, skipped, ignored } = await readGlossaryFile(params[0], entryOptions);
+      const report = await importGlossaryRecords(records, {
+        overwrite: Boolean(options.overwrite),
+        author: options.author || null,
+        file: params[0]
+      });
+      await print({ ...report, skipped, ignored }, formatImportReport(report, skipped, ignored));
+      // Conflicts were left out, which a script should notice
+      return report.conflicts.length > 0 ? EXIT_CODES.translationError : EXIT_CODES.success;
+    }
+    case 'export': {
+      expect(1, '<file.csv|file.tbx> [--source <language>] [--domain <domain>]');
+      const { entries, skipped } = await exportGlossary(params[0], {
+        sourceLang: options.source || 'English',
+        domain: options.domain || null
+      });
+      console.log(`💾 Exported ${entries} entries to ${params[0]}${skipped ? ` (${skipped} wildcard-only entries skipped)` : ''}`);
+      return EXIT_CODES.success;
+    }
+    case 'stats': {
+      const coverage = await getGlossaryCoverage();
+      const lines = coverage.languages.map(({ language, translations, coverage: percent }) =>
+        `  ${language.padEnd(12)} ${String(translations).padStart(5)}  ${percent}%`);
+      await print(coverage, [
+        `${coverage.totalEntries} entries, ${coverage.totalTranslations} translations`,
+        `Domains: ${coverage.domains.join(', ') || 'none'}`,
+        `Language pairs: ${coverage.languagePairs.join(', ') || 'none'}`,
+        ...lines
+      ].join('\n'));
+      return EXIT_CODES.success;
+    }
+    default:
+      throw new Error(`Unknown glossary command "${action ?? ''}". Expected one of: list, search, add, update, delete, import, export, stats`);
+  }
+};
+
+/**
+ * Print usage rows as a table
+ * @param {string} groupBy - Grouping the rows were built with
+ * @param {Array<Object>} rows - Rows from summarizeUsage()
+ * @returns {string} Table with a totals line
+ */
+const formatUsageTable = (groupBy, rows) => {
+  const total = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+  const toCells = (row) => [
+    row.group,
+    String(row.requests),
+    String(row.api_calls),
+    String(row.cache_hits),
+    String(row.rag_hits + row.memory_hits),
+    String(row.prompt_tokens),
+    String(row.completion_tokens),
+    `$${row.cost.toFixed(6)}`
+  ];
+  const header = [groupBy, 'requests', 'api', 'cache', 'rag/tm', 'prompt', 'completion', 'cost'];
+  const body = rows.map(toCells);
+  const totals = toCells({
+    group: 'total',
+    ...Object.fromEntries(
+      ['requests', 'api_calls', 'cache_hits', 'rag_hits', 'memory_hits', 'prompt_tokens', 'completion_tokens', 'cost']
+        .map(field => [field, total(field)])
+    )
+  });
+
+  const widths = header.map((cell, i) => Math.max(...[header, ...body, totals].map(row => row[i].length)));
+  // The grouping column is text, every other column is a number
+  const toLine = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+  const rule = widths.map(width => '-'.repeat(width)).join('  ');
+
+  return [toLine(header), rule, ...body.map(toLine), rule, toLine(totals)].join('\n');
+};
+
+/**
+ * Report token usage and cost from the usage ledger
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} args - Positional arguments after `usage`
+ * @returns {Promise<number>} Exit code
+ */
+const runUsage = async (options, args) => {
+  if (args.length > 0) {
+    throw new Error(`Unexpected argument: ${args[0]}`);
+  }
+
+  ['since', 'until'].forEach(name => {
+    if (options[name] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(options[name])) {
+      throw new Error(`--${name} must be a date as YYYY-MM-DD`);
+    }
+  });
+
+  const groupings = options.by ? [options.by] : ['day', 'model', 'pair', 'strategy'];
+  const invalid = groupings.find(groupBy => !USAGE_GROUPS[groupBy]);
+  if (invalid) {
+    throw new Error(`Invalid --by "${invalid}". Expected one of: ${Object.keys(USAGE_GROUPS).join(', ')}`);
+  }
+
+  const records = await readUsageLedger({ since: options.since || null, until: options.until || null });
+  const report = Object.fromEntries(groupings.map(groupBy => [groupBy, summarizeUsage(records, groupBy)]));
+
+  if ((options.format || 'text') === 'json') {
+    await writeOutput(JSON.stringify({ records: records.length, ...report }, null, 2), options);
+    return EXIT_CODES.success;
+  }
+
+  const text = records.length === 0
+    ? 'No usage recorded for this period'
+    : groupings.map(groupBy => formatUsageTable(groupBy, report[groupBy])).join('\n\n');
+  await writeOutput(text, options);
+  return EXIT_CODES.success;
+};
+
+/**
+ * Preview the prompt a translation would send
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} args - Positional arguments after `prompt`
+ * @returns {Promise<number>} Exit code
+ */
+const runPrompt = async (options, args) => {
+  if (args.length > 0) {
+    throw new Error(`Unexpected argument: ${args[0]}`);
+  }
+
+  const format = options.format || 'text';
+  const translateOptions = getTranslateOptions(options);
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid --format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  const input = await readInput(options);
+  if (!input.trim()) {
+    throw new Error('Input text is empty');
+  }
+
+  const translator = await createTranslator(options);
+  const preview = await translator.previewPrompt(input, options.lang, options.source || null, translateOptions);
+
+  if (format === 'json') {
+    await writeOutput(JSON.stringify(preview, null, 2), options);
+  } else {
+    // Files get the bare prompt, the terminal also gets where it came from
+    await writeOutput(options.out
+      ? preview.prompt
+      : `📝 Strategy: ${preview.strategy} | Model: ${preview.model} | Template: ${preview.template}\n\n${preview.prompt}`, options);
+  }
+  return EXIT_CODES.success;
+};
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Raw arguments
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${getHelpText()}`);
+    return EXIT_CODES.usageError;
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(getHelpText());
+    return EXIT_CODES.success;
+  }
+
+  const [command, ...extra] = positionals;
+  const isServe = command === 'serve';
+  const isGlossary = command === 'glossary';
+  const isUsage = command === 'usage';
+  const isPrompt = command === 'prompt';
+
+  if ((command && !isServe && !isGlossary && !isUsage && !isPrompt) || (isServe && extra.length > 0)) {
+    console.error(`❌ Unexpected argument: ${isServe ? extra[0] : command}\n\n${getHelpText()}`);
+    return EXIT_CODES.usageError;
+  }
+
+  try {
+    if (isServe) {
+      return await runServe(options);
+    }
+    // The server logs requests to STDOUT; every other command keeps it for its output
+    routeLogsToStderr();
+    if (isGlossary) {
+      return await runGlossary(options, extra);
+    }
+    if (isUsage) {
+      return await runUsage(options, extra);
+    }
+    if (isPrompt) {
+      return await runPrompt(options, extra);
+    }
+    return options.csv !== undefined ? await runBatch(options) : await runTranslate(options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.usageError;
+  }
+};
+
+main(process.argv.slice(2)).then((code) => {
+  if (code !== null) {
+    process.exitCode = code;
+  }
+});
@@ -0,0 +1,308 @@
+/**
+ * Offline Language Detection
+ *
+ * Identifies the language of a text without an API call, in two steps:
+ *
+ * 1. Unicode script analysis. Most scripts belong to a single supported
+ *    language (Hangul → Korean, Thai, Greek, ...), which settles it.
+ * 2. Character trigram profiles. Scripts shared by several languages
+ *    (Latin, Cyrillic, Arabic, Devanagari, Hebrew) are resolved with a
+ *    naive Bayes classifier over trigram profiles built from each
+ *    language's most frequent words.
+ *
+ * Confidence reflects both how clearly one language wins and how much
+ * text there was to go on, so a two-word input rarely clears the
+ * threshold the translator uses to trust a detection. Between close
+ * neighbours (Dutch and Afrikaans, the Scandinavian languages, ...) only
+ * the winner's lead over the neighbour counts.
+ */
+
+import { findLanguage } from './languages.js';
+
+// Scripts used by exactly one supported language
+const SCRIPT_LANGUAGES = {
+  Hangul: 'Korean',
+  Hiragana: 'Japanese',
+  Katakana: 'Japanese',
+  Han: 'Chinese',
+  Thai: 'Thai',
+  Greek: 'Greek',
+  Armenian: 'Armenian',
+  Georgian: 'Georgian',
+  Bengali: 'Bengali',
+  Gurmukhi: 'Punjabi',
+  Gujarati: 'Gujarati',
+  Tamil: 'Tamil',
+  Telugu: 'Telugu',
+  Kannada: 'Kannada',
+  Malayalam: 'Malayalam',
+  Sinhala: 'Sinhala',
+  Myanmar: 'Burmese',
+  Khmer: 'Khmer',
+  Lao: 'Lao',
+  Ethiopic: 'Amharic'
+};
+
+// Frequent words per language of the shared scripts; trigram profiles are built from these.
+// Languages that are easily confused (Dutch and Afrikaans, the Scandinavian
+// languages, ...) use the same everyday sentences so their profiles compare
+const PROFILE_SAMPLES = {
+  Latin: {
+    English: 'the of and to in is that it for was on are with as his they be at one have this from or had by not but what some we can out other were all there when up use your how said an each she which do their time if will way about many then them would like so these her make see him two has more day could go come did no most people my over know than who may down been now find any new work part take get place made where after back little only man year show every good me give our under name very through just great think say help before move right old too same tell does three want well also small end put home read hand large even land here must big high such why ask went kind need house try again world near',
+    Spanish: 'de la que el en y a los se del las un por con no una su para es al lo como más o pero sus le ha me si sin sobre este ya entre cuando todo esta ser son dos también fue había era muy años hasta desde está mi porque qué sólo han yo hay vez puede todos así nos ni parte tiene él uno donde bien tiempo mismo ese ahora cada e vida otro después te otros aunque esa eso hace otra gobierno tan durante siempre día tanto ella tres sí dijo sido gran país según menos año antes estado quiero señor niño mañana también qué cómo dónde están tenemos hacer pequeño ciudad mujer hombre',
+    French: 'de la le et les des en un du une que est pour qui dans par plus pas au sur ne se ce il sont avec son elle nous vous ils mais ou comme aux on tout été fait bien sa cette leur ses même ont deux aussi sans peut très entre faire était alors après encore tous où avoir avant donc ces autres moi dont chez lui quand être rien car notre leurs depuis toujours peu jamais trop beaucoup maintenant ici aujourdhui déjà voilà là ça quelque chose merci bonjour français où était fût maison homme femme enfant pourquoi parce monde',
+    German: 'guten morgen abend tag nacht danke bitte schön wetter freunde freund morgen heute gestern arbeit möchten gehen kommen machen sagen wissen der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird bei einer um am sind noch wie einem über einen so zum war haben nur oder aber vor zur bis mehr durch man sein wurde sei ihr wir ich du schon wenn ihre können zwischen immer heute jetzt hier sehr viel müssen gibt ganz diese dieser dieses weil wieder nichts unter gegen ohne große straße grüße für über können müssen würde möchte kinder haus mann frau leben welt',
+    Italian: 'di e il la che in a per un è del non sono le con si una da al dei della i gli come più ma anche lo nel alla ha questo se delle suo ci sua mi tra ho essere dalla hanno io cosa quando molto tutto fare stato ancora nella tutti degli loro sul perché già questa può fatto solo fra due così dopo lei lui noi voi sempre oggi qui bene grazie ciao buongiorno casa uomo donna bambino mondo città giorno anni altro stesso ogni niente nostro vostro',
+    Portuguese: 'amanhã vamos temos bom boa nossos nossa trabalho melhor filho senhor então hoje ontem porque sempre agora lugar mulher homem criança muito obrigada de a o que e do da em um para é com não uma os no se na por mais as dos como mas foi ao ele das tem à seu sua ou ser quando muito há nos já está eu também só pelo pela até isso ela entre era depois sem mesmo aos ter seus quem nas me esse eles estão você tinha foram essa num nem suas meu às minha têm numa pelos elas havia seja qual será nós tenho lhe deles essas esses pelas este fosse dele tu te vocês vos lhes meus minhas não então ainda coração obrigado cidade ação informação também são irmão',
+    Dutch: 'Goedemorgen, hoe is het met jullie? Het gaat goed met me, dank je. En met jou? We gaan morgen met onze vrienden naar de stad. Het weer is vandaag heel mooi, maar gisteren was het koud. Kun je me helpen? Ik begrijp niet wat hij zegt. Waar is het station? Het is niet ver van hier. Mijn zus woont in een klein huis bij de zee. Ze hebben al gegeten, maar de kinderen hebben nog honger. Ik wil graag een kopje koffie en een stuk brood, alsjeblieft. Hoe laat is het?',
+    Swedish: 'God morgon, hur mår ni? Jag mår bra, tack. Och du? Vi ska åka till staden i morgon med våra vänner. Vädret är väldigt fint i dag, men i går var det kallt. Kan du hjälpa mig? Jag förstår inte vad han säger. Var ligger stationen? Den ligger inte långt härifrån. Min syster bor i ett litet hus nära havet. De har redan ätit, men barnen är fortfarande hungriga. Jag skulle vilja ha en kopp kaffe och en bit bröd, tack. Vad är klockan?',
+    Norwegian: 'God morgen, hvordan har dere det? Jeg har det bra, takk. Og du? Vi skal til byen i morgen med vennene våre. Været er veldig fint i dag, men i går var det kaldt. Kan du hjelpe meg? Jeg forstår ikke hva han sier. Hvor ligger stasjonen? Den ligger ikke langt herfra. Søsteren min bor i et lite hus nær havet. De har allerede spist, men barna er fortsatt sultne. Jeg vil gjerne ha en kopp kaffe og et stykke brød, takk. Hva er klokka?',
+    Danish: 'Godmorgen, hvordan har I det? Jeg har det godt, tak. Og du? Vi skal ind til byen i morgen med vores venner. Vejret er meget fint i dag, men i går var det koldt. Kan du hjælpe mig? Jeg forstår ikke, hvad han siger. Hvor ligger stationen? Den ligger ikke langt herfra. Min søster bor i et lille hus nær havet. De har allerede spist, men børnene er stadig sultne. Jeg vil gerne have en kop kaffe og et stykke brød, tak. Hvad er klokken?',
+    Finnish: 'ja on ei se että oli hän mutta kun niin ovat myös jo vain olla tai kuin mitä sen hänen joka ole nyt tämä ne me te he minä sinä sitten kanssa mukaan jälkeen vuoden kaikki paljon vielä hyvin aina missä miksi koska täällä siellä tänään huomenna kiitos hyvää päivää talo lapsi mies nainen maailma suomi suomen olemme olette kaupunki elämä työ',
+    Polish: 'jutro dzisiaj wczoraj przyjaciel przyjaciółmi pogoda ładna ładny duży mały praca chcę idziemy jestem jesteś jesteśmy naszymi nasz nasza który więc bardzo dobrze i w nie na się z do to że jest o jak a ale po co tak za od jego czy tylko już by może być przez jej ich ten dla mnie ma są tym jeszcze bardzo gdy było sobie kiedy przy nawet też tu ja ty my wy oni gdzie dlaczego który która które jednak teraz zawsze dzień dobry dziękuję proszę dom człowiek świat życie miasto dziecko będzie można trzeba wszystko',
+    Turkish: 'Günaydın, nasılsınız? İyiyim, teşekkür ederim. Ya sen? Yarın arkadaşlarımızla şehre gidiyoruz. Bugün hava çok güzel, ama dün soğuktu. Bana yardım edebilir misin? Ne dediğini anlamıyorum. İstasyon nerede? Buradan uzak değil. Kız kardeşim denize yakın küçük bir evde yaşıyor. Onlar çoktan yemek yedi, ama çocuklar hâlâ aç. Bir fincan kahve ve bir parça ekmek istiyorum, lütfen. Saat kaç? Neredeyse üç buçuk. Büyük bir şirkette çalışıyor ve iyi para kazanıyor.',
+    Vietnamese: 'và của là có không được trong cho người những một các với này đã để đến khi cũng như từ tôi bạn anh em chúng ta họ nhưng rất nhiều theo đó về ra sẽ vào thì lại làm năm nước việt nam nói biết đi ngày thời gian hôm nay cảm ơn xin chào nhà thành phố',
+    Indonesian: 'yang dan di itu dengan untuk tidak ini dari dalam akan pada juga saya ke karena tersebut bisa ada mereka lebih kata tahun sudah atau hanya oleh harus sebagai kami kita anda dia apa bagaimana mengapa sekarang hari ini terima kasih selamat pagi rumah orang anak dunia kota belum sangat banyak sedang telah menjadi bahwa adalah seperti',
+    Malay: 'yang dan di itu dengan untuk tidak ini dari dalam akan pada juga saya ke kerana tersebut boleh ada mereka lebih kata tahun sudah atau hanya oleh perlu sebagai kami kita anda dia apa bagaimana mengapa sekarang hari ini terima kasih selamat pagi rumah orang anak dunia bandar belum sangat banyak sedang telah menjadi bahawa adalah seperti kerajaan',
+    Tagalog: 'ang ng sa na at mga ay hindi ko siya mo ako ka niya kung para may ito pa lang din rin naman kami tayo sila kayo po opo salamat magandang umaga bahay tao bata mundo lungsod araw taon ngayon bakit paano saan kailan gusto mahal maraming lahat isang dalawa',
+    Czech: 'zítra dnes včera přítel přátelé počasí hezké hezký velký malý práce chci jdeme jsem jsi jsme náš naše který proto velmi dobře protože a v se na je že to s z o do i k ve jsem jako pro by ale jak tak jsou jeho který která které byl byla bylo jsme jste mě mi ty já my vy oni co když už jen ještě také tady teď dnes zítra děkuji prosím dobrý den dům člověk svět život město dítě může musí všechno není být mít řekl',
+    Slovak: 'a v sa na je že to s z o do i k vo som ako pre by ale ako tak sú jeho ktorý ktorá ktoré bol bola bolo sme ste ma mi ty ja my vy oni čo keď už len ešte tiež tu teraz dnes zajtra ďakujem prosím dobrý deň dom človek svet život mesto dieťa môže musí všetko nie byť mať povedal',
+    Hungarian: 'holnap ma tegnap barát barátok idő szép nagy kicsi ember nő férfi gyerekek munka szeretnék megyünk vagyok vagy vannak lesz volt neki nekem velem egészen köszönjük kérem igen nem a az és hogy nem is van egy meg de csak már el ki még mint volt fel ha mert vagy lesz most itt ott én te ő mi ti ők mit miért hol hogyan nagyon minden semmi köszönöm szia jó napot ház ember világ élet város gyerek lehet kell azt ezt amely amikor után előtt között',
+    Romanian: 'Bună dimineața, ce mai faceți? Sunt bine, mulțumesc. Și tu? Mâine mergem în oraș cu prietenii noștri. Vremea este foarte frumoasă astăzi, dar ieri a fost frig. Mă poți ajuta? Nu înțeleg ce spune el. Unde este gara? Nu este departe de aici. Sora mea locuiește într-o casă mică lângă mare. Ei au mâncat deja, dar copiilor încă le este foame. Aș dori o ceașcă de cafea și o bucată de pâine, vă rog. Cât este ceasul? Este aproape trei și jumătate. Ea lucrează la o companie mare și câștigă bani buni.',
+    Croatian: 'i je u da se na za su od to ne a s što kao iz koji koja koje ali bi sam smo ste mi ti on ona mi vi oni ovo ovdje sada danas sutra hvala molim dobar dan kuća čovjek svijet život grad dijete može mora sve nije biti imati rekao gdje kako zašto tko',
+    Bosnian: 'i je u da se na za su od to ne a s šta kao iz koji koja koje ali bi sam smo ste mi ti on ona mi vi oni ovo ovdje sada danas sutra hvala molim dobar dan kuća čovjek svijet život grad dijete može mora sve nije biti imati rekao gdje kako zašto ko',
+    Slovenian: 'in je v da se na za so od to ne a s kaj kot iz ki ali bi sem smo ste jaz ti on ona mi vi oni to tukaj zdaj danes jutri hvala prosim dober dan hiša človek svet življenje mesto otrok lahko mora vse ni biti imeti rekel kje kako zakaj kdo',
+    Albanian: 'dhe të në një për që me është nga i e si nuk por ka u do janë ishte jam ti ai ajo ne ju ata këtu tani sot nesër faleminderit ju lutem mirëdita shtëpi njeri botë jetë qytet fëmijë mund duhet gjithçka ku si pse kush',
+    Lithuanian: 'ir į yra kad su ne iš per kaip o bet tai jis ji mes jūs jie aš tu buvo bus apie dar jau tik labai čia dabar šiandien rytoj ačiū prašau labas namas žmogus pasaulis gyvenimas miestas vaikas gali turi viskas kur kodėl kas',
+    Latvian: 'un ir ka ar no uz par kā bet tas tā viņš viņa mēs jūs viņi es tu bija būs vēl jau tikai ļoti šeit tagad šodien rīt paldies lūdzu labdien māja cilvēks pasaule dzīve pilsēta bērns var vajag viss kur kāpēc kas',
+    Estonian: 'Tere hommikust, kuidas teil läheb? Mul läheb hästi, aitäh. Aga sinul? Homme läheme sõpradega linna. Ilm on täna väga ilus, aga eile oli külm. Kas sa saad mind aidata? Ma ei saa aru, mida ta ütleb. Kus on jaam? See ei ole siit kaugel. Mu õde elab väikeses majas mere ääres. Nad on juba söönud, aga lapsed on ikka veel näljased. Ma sooviksin tassi kohvi ja tüki leiba, palun. Mis kell on? Kell on peaaegu pool neli. Ta töötab suures ettevõttes ja teenib head raha.',
+    Icelandic: 'Góðan daginn, hvernig hafið þið það? Ég hef það gott, takk. En þú? Við förum í bæinn á morgun með vinum okkar. Veðrið er mjög gott í dag, en í gær var kalt. Getur þú hjálpað mér? Ég skil ekki hvað hann segir. Hvar er stöðin? Hún er ekki langt héðan. Systir mín býr í litlu húsi nálægt sjónum. Þau eru búin að borða, en börnin eru ennþá svöng. Mig langar í kaffibolla og brauðsneið, takk. Hvað er klukkan? Hún er næstum hálf fjögur. Hún vinnur hjá stóru fyrirtæki og þénar vel.',
+    Irish: 'agus an na is ar a i le ag go sé sí siad mé tú muid sibh bhí tá níl ach nó seo sin anseo anois inniu amárach go raibh maith agat dia duit teach duine domhan saol cathair páiste féidir gach áit cén fáth conas',
+    Welsh: 'a y yr yn i o ar ei ac mae am fel gyda ond hefyd roedd bydd dw i ti fe hi ni chi nhw yma nawr heddiw yfory diolch bore da tŷ dyn byd bywyd dinas plentyn gallu rhaid popeth ble pam sut pwy cymru',
+    Catalan: 'de la que i el a en les els per un una és amb no del al es com més però seu seva hi ha són va jo tu ell ella nosaltres vosaltres ells aquí ara avui demà gràcies si us plau bon dia casa home món vida ciutat nen pot ha de tot on per què com qui també molt',
+    Basque: 'eta da ez bat du ere dira zen izan dut duzu hori hau hemen orain gaur bihar eskerrik asko egun on etxe gizon mundu bizitza hiri haur dezake behar guztia non zergatik nola nor baina oso gure zure bere',
+    Galician: 'de a o que e do da en un para é con non unha os no se na por máis as dos como pero foi ao el das ten á seu súa ou ser cando moito hai xa está eu tamén só polo pola ata iso ela entre era despois sen mesmo nós vós eles aquí agora hoxe mañá grazas bo día casa home mundo vida cidade neno',
+    Maltese: 'u il ta li fil mill għal huwa hija minn ma kien kienet jien int aħna intom huma hawn issa illum għada grazzi bonġu dar raġel dinja ħajja belt tifel jista għandu kollox fejn għaliex kif min',
+    Luxembourgish: 'an de d den der ass net mat fir a sinn ech du hien hatt mir dir si hei elo haut muer merci moien haus mann welt liewen stad kand kann muss alles wou firwat wéi wien och awer',
+    Kurdish: 'û di de ji ku ev ew bi li bo jî ne em hûn ew ez tu min te wî wê me we wan heye tune niha îro sibê spas roj baş mal mirov dinya jiyan bajar zarok dikare divê her tişt ku çima çawa kî',
+    Uzbek: 'va bu bir u men sen biz siz ular bilan uchun emas ham edi bor yoʻq hozir bugun ertaga rahmat salom uy odam dunyo hayot shahar bola mumkin kerak hamma qayerda nega qanday kim juda lekin',
+    Azerbaijani: 'və bu bir o mən sən biz siz onlar ilə üçün deyil də idi var yox indi bu gün sabah təşəkkür salam ev adam dünya həyat şəhər uşaq bilər lazımdır hər şey harada niyə necə kim çox amma',
+    Swahili: 'na ya wa kwa ni la katika za au kama hii huo yeye mimi wewe sisi ninyi wao si ndiyo hapana sasa leo kesho asante habari nyumba mtu dunia maisha mji mtoto anaweza lazima kila kitu wapi kwa nini vipi nani sana lakini',
+    Somali: 'iyo waa ku ka in oo ah u ay la soo ma aan uu ay waxaa aniga adiga isaga iyada annaga idinka iyaga halkan hadda maanta berri mahadsanid nabad guri nin adduun nolol magaalo ilmo karaa waa inuu wax walba xagee maxay sidee yaa',
+    Yoruba: 'ati ni o si ti won a mo ko fun pe je e ninu bi yi naa emi iwo awa eyin awon nibi bayi loni ola e se bawo ile eniyan aye aiye ilu omo le gbodo ohun gbogbo nibo kilode bawo tani pupo sugbon',
+    Igbo: 'na ya ka ha m anyi unu o bu nke a di ga ma mgbe ugbu a taa echi daalu ndewo ulo mmadu uwa ndu obodo nwa nwere ike kwesiri ihe niile ebee gini kedu onye nke ukwuu mana',
+    Hausa: 'da a ya ta na ba su in ce wannan wanda kuma shi ita mu ku su ni kai ke yanzu yau gobe na gode sannu gida mutum duniya rayuwa gari yaro zai iya dole kome ina me yasa yaya wane sosai amma',
+    Zulu: 'ukuthi futhi kodwa lapho uma ngoba naye mina wena thina nina bona lokhu lapha manje namuhla kusasa ngiyabonga sawubona indlu umuntu umhlaba impilo idolobha ingane angakwazi kufanele konke kuphi kungani kanjani ubani kakhulu',
+    Xhosa: 'ukuba kwaye kodwa apho xa kuba naye mna wena thina nina bona oku apha ngoku namhlanje ngomso enkosi molo indlu umntu ilizwe ubomi isixeko umntwana angakwazi kufuneka konke phi kutheni njani ngubani kakhulu',
+    Afrikaans: 'Goeiemôre, hoe gaan dit met julle? Dit gaan goed met my, dankie. En met jou? Ons gaan môre saam met ons vriende stad toe. Die weer is vandag baie mooi, maar gister was dit koud. Kan jy my help? Ek verstaan nie wat hy sê nie. Waar is die stasie? Dit is nie ver van hier af nie. My suster woon in \'n klein huisie naby die see. Hulle het al klaar geëet, maar die kinders is nog honger. Ek wil graag \'n koppie koffie en \'n stuk brood hê, asseblief. Hoe laat is dit?',
+    'Haitian Creole': 'mwen ou li nou yo pa se ak nan pou gen sa ki te ap kap men tout kote poukisa kijan kiyes jodi a demen mèsi bonjou kay moun mond lavi vil timoun kapab dwe anpil tankou lè',
+    Latin: 'et in est non ad cum quod ut sed qui quae si esse sunt erat ego tu nos vos ille hic nunc hodie cras gratias salve domus homo mundus vita urbs puer potest debet omnia ubi cur quomodo quis etiam atque enim autem neque',
+    Esperanto: 'la kaj de en estas al ne mi vi li ŝi ni ili kun por sed ankaŭ tio ĉi tiu kiu kio kie kiel kial nun hodiaŭ morgaŭ dankon saluton domo homo mondo vivo urbo infano povas devas ĉio estis estos multe'
+  },
+  Cyrillic: {
+    Russian: 'и в не на я что он с как а то все она так его но да ты к у же вы за бы по только ее мне было вот от меня еще нет о из ему теперь когда даже ну ли если уже или ни быть был до вас опять там потом себя ничего может они тут где есть надо для мы тебя их чем была сам без чего раз тоже себе под будет тогда кто этот того потому этого какой здесь один мой чтобы сейчас были куда всех никогда можно при два другой после над больше через эти нас про много хорошо перед лучше такой всегда конечно между спасибо здравствуйте пожалуйста добрый день утро вечер находится вокзал улица город дом работа время человек люди год сегодня завтра вчера вопрос ответ сохраните изменения файл настройки пользователь ошибка сообщение страница нажмите кнопку выберите язык перевод текст новый старый большой маленький хочу знаю говорить делать объём съезд',
+    Ukrainian: 'і в не на я що він з як а то все вона так його але ти до у же ви за би по тільки її мені було ось від мене ще немає о із йому тепер коли навіть ну чи якщо вже або ні бути був до вас знову там потім себе нічого може вони тут де є треба для ми тебе їх чим була сам без чого раз також собі під буде тоді хто цей того тому цього який один мій щоб зараз куди всіх ніколи можна при два інший після над більше через ці нас про багато добре перед краще такий завжди звичайно між дякую привіт будь ласка добрий день ранок вечір знаходиться вокзал вулиця місто дім робота час людина люди рік сьогодні завтра вчора питання відповідь збережіть зміни файл налаштування користувач помилка повідомлення сторінка натисніть кнопку виберіть мову переклад текст новий старий великий маленький хочу знаю говорити робити ґанок',
+    Bulgarian: 'и в не на аз че той с как а то всичко тя така го но да ти към у вече вие за би по само нея ми беше ето от мен още няма му сега когато дори или ни бъде бил него до вас отново там после себе си нищо може те тук къде е трябва ние теб тях отколкото сам без сякаш какво път също под ще тогава кой този защото това който съвсем един почти мой защо всички никога при накрая два друг след над повече през тези нас много добре преди по-добре такъв винаги разбира се между благодаря здравейте моля добър ден сутрин вечер намира гара улица град къща работа време човек хора година днес утре вчера въпрос отговор запазете промените файл настройки потребител грешка съобщение страница натиснете бутона изберете език превод текст нов стар голям малък искам знам говоря правя съм сте сме любов шофьор онези покрай срещу живее ходи казва иска',
+    Serbian: 'и у не на ја да он са као а то све она тако га али ти ка код већ ви за би по само њу ми било ево од мене још нема о из му сада када чак или ни бити био њега до вас опет тамо после себе ништа јој може они овде где је треба њој ми тебе њих него била сам без чега пут такође себи под ће тада ко овај тога зато овога који сасвим један скоро мој куда зашто свих никада при најзад два други иако изнад више кроз ови нас њих која много добро пре понекад боље такав увек наравно између хвала здраво молим добар дан јутро вече налази железничка станица улица град кућа посао време човек људи година данас сутра јуче питање одговор сачувајте измене датотека подешавања корисник грешка порука страница кликните дугме изаберите језик превод текст нови стари велики мали хоћу знам говорити радити овом том мом свом поред испред према живи иде каже жели телефон џеп',
+    Belarusian: 'і ў не на я што ён з як а то ўсё яна так яго але ты да у ужо вы за б па толькі яе мне было вось ад мяне яшчэ няма пра яму цяпер калі нават ну раптам ці або ні быць быў да вас зноў там потым сябе нічога ёй можа яны тут дзе ёсць трэба для мы цябе іх чым была сам без быццам чаго раз таксама сабе пад будзе тады хто гэты таго таму гэтага які зусім адзін амаль мой каб зараз куды усіх ніколі можна пры нарэшце два іншы хоць пасля над больш праз гэтыя нас шмат добра перад лепш такі заўсёды вядома паміж дзякуй прывітанне калі ласка добры дзень раніца вечар знаходзіцца вакзал вуліца горад дом праца час чалавек людзі год сёння заўтра учора пытанне адказ захавайце змены файл налады карыстальнік памылка паведамленне старонка націсніце кнопку абярыце мову пераклад тэкст новы стары вялікі маленькі хачу ведаю гаварыць рабіць',
+    Macedonian: 'и во не на јас дека тој со како а тоа сѐ таа така го но да ти кон кај веќе вие за би по само неа ми беше еве од мене уште нема му сега кога дури или ни биде бил него до вас пак таму потоа себе ништо ѝ може тие тука каде е треба ние тебе нив отколку сам без што пат исто под ќе тогаш кој овој затоа ова сосема еден речиси мој зошто сите никогаш при конечно два друг иако по над повеќе низ овие нас многу добро пред понекогаш подобро таков секогаш секако меѓу благодарам здраво ве молам добар ден утро вечер се наоѓа железничка станица улица град куќа работа време човек луѓе година денес утре вчера прашање одговор зачувајте ги промените датотека поставки корисник грешка порака страница кликнете копчето изберете јазик превод текст нов стар голем мал сакам знам зборува прави ѕвезда оваа оние покрај спроти живее оди вели сака љубов телефон хотел џеб',
+    Kazakh: 'және мен бұл бір ол сен біз сіз олар үшін емес де да еді бар жоқ қазір бүгін ертең кеше рахмет сәлеметсіз бе сәлем өтінемін қайырлы күн таң кеш үй адам адамдар әлем өмір қала бала болады болды керек бәрі қайда неге қалай кім өте бірақ жақсы жаман үлкен кішкентай жаңа ескі қазақ тіл сөз уақыт жыл жұмыс көше вокзал орналасқан ба ма ме па пе сұрақ жауап өзгерістерді сақтаңыз файл баптаулар пайдаланушы қате хабарлама бет түймені басыңыз тілді таңдаңыз аударма мәтін білемін айту істеу келу бару алу беру көру тұру жазу оқу сөйлеу тағы ғана осы сол мына анау барлық әр көп аз ең енді әлі содан кейін бұрын дейін арқылы туралы сияқты сондықтан егер онда мұнда жерде мені сені оны бізді сізді оларды менің сенің оның біздің сіздің олардың шаһар компьютер экран полиция чемодан объект',
+    Mongolian: 'ба бол энэ нэг тэр би чи бид та тэд нь юм байна гэж гэсэн биш ч байсан байгаа алга одоо өнөөдөр маргааш өчигдөр баярлалаа сайн байна уу сайн уу өдрийн мэнд өглөө орой гэр хүн хүмүүс дэлхий амьдрал хот хүүхэд чадна хэрэгтэй бүх хаана яагаад яаж хэн маш гэхдээ сайхан муу том жижиг шинэ хуучин монгол хэл үг цаг жил ажил гудамж галт тэрэгний буудал байрладаг вэ бэ үү асуулт хариулт өөрчлөлтийг хадгална уу файл тохиргоо хэрэглэгч алдаа мэдээлэл хуудас товчийг дарна уу хэлээ сонгоно уу орчуулга текст мэдэж байна хэлэх хийх ирэх явах авах өгөх харах суух бичих унших ярих бас зөвхөн энд тэнд бүгд олон цөөн хамгийн дараа нь өмнө хүртэл тухай шиг тиймээс хэрэв намайг чамайг түүнийг биднийг тантай миний чиний түүний бидний таны тэдний ёс ёстой явъя паспорт'
+  },
+  Arabic: {
+    Arabic: 'في من على أن إلى عن مع هذا هذه التي الذي كان لا ما هو هي قد كل بين بعد ذلك عند أو ثم لم لقد إن هناك حتى كانت نحن أنا أنت هم اليوم غدا شكرا مرحبا بيت رجل عالم حياة مدينة طفل يمكن يجب كيف لماذا أين من جدا ولكن العربية الله والله',
+    Persian: 'و در به از که این را با است برای آن یک خود تا کرد بر هم نیز شود شده ای می های بود کند گفت او ما شما آنها من تو امروز فردا ممنون سلام خانه مرد جهان زندگی شهر بچه میتواند باید چگونه چرا کجا چه خیلی اما فارسی پدر چیز گفتگو ژاله',
+    Urdu: 'اور کے میں کی ہے کو سے کہ پر یہ ایک نے ہیں بھی تھا وہ کیا لیے ہو جو کر تو ہم آپ میں تم آج کل شکریہ سلام گھر آدمی دنیا زندگی شہر بچہ سکتا چاہیے کیسے کیوں کہاں بہت لیکن اردو ہوں گے ٹھیک ڈاکٹر بڑا نہیں',
+    Pashto: 'او د په چې دا له ته یو هم کې دی وو شو ده کړي څه ولې چیرې زه ته موږ تاسو دوی نن سبا مننه سلام کور سړی نړۍ ژوند ښار ماشوم کولی باید ټول ډېر خو پښتو ښه ګران ړوند'
+  },
+  Devanagari: {
+    Hindi: 'के है में की और को से का एक यह हैं पर भी नहीं कि था लिए ने कर हो तो जो वह कुछ गया किया साथ होता अपने करने रहा इस उस मैं तुम आप हम वे आज कल धन्यवाद नमस्ते घर आदमी दुनिया जीवन शहर बच्चा सकता चाहिए कैसे क्यों कहाँ बहुत लेकिन हिंदी',
+    Marathi: 'आणि आहे या ते की मी तू आम्ही तुम्ही ते एक हे होते नाही त्या त्याने करण्यासाठी म्हणून आज उद्या धन्यवाद नमस्कार घर माणूस जग जीवन शहर मूल शकतो पाहिजे कसे का कुठे खूप पण मराठी आहेत होता केले झाले',
+    Nepali: 'र छ मा को ले लाई यो त्यो एक हो थियो छैन पनि गर्न भएको गरेको म तिमी हामी तपाईं उनीहरू आज भोलि धन्यवाद नमस्ते घर मान्छे संसार जीवन सहर बच्चा सक्छ पर्छ कसरी किन कहाँ धेरै तर नेपाली हुन्छ गर्छ'
+  },
+  Hebrew: {
+    Hebrew: 'של את על לא זה הוא היא אני אתה אנחנו הם עם כל גם אם כי מה יש אין היה הייתה אבל או רק עוד כמו אחרי לפני היום מחר תודה שלום בית איש עולם חיים עיר ילד יכול צריך איך למה איפה מאוד עברית',
+    Yiddish: 'דער די דאָס און איז אין ניט נישט מיט צו פֿון אַ אויף ער זי איך דו מיר איר זיי האָט געווען וועט אויך אָבער נאָר ווי וואָס ווען הײַנט מאָרגן אַ דאַנק שלום הויז מענטש וועלט לעבן שטאָט קינד קען מוז אַלץ וווּ פֿאַרוואָס ייִדיש'
+  }
+};
+
+// Scripts checked per letter, in order; the Latin-like scripts of PROFILE_SAMPLES come from these names
+const SCRIPTS = [...Object.keys(PROFILE_SAMPLES), ...Object.keys(SCRIPT_LANGUAGES)]
+  .map(script => ({ script, pattern: new RegExp(`\\p{Script=${script}}`, 'u') }));
+
+// Smoothing of unseen trigrams, and the amount of text after which more text adds no confidence
+const SMOOTHING = 0.5;
+const EVIDENCE_CAP = 12;
+// Scripts whose samples spell out each language's whole alphabet; there a
+// trigram with a letter the language lacks (ы, ј, ї, ъ, ...) is this much less likely
+const FULL_ALPHABET_SCRIPTS = ['Cyrillic'];
+const FOREIGN_LETTER_FACTOR = 0.01;
+// Languages close enough to be mistaken for each other on a sentence or
+// two; against one of these only the lead over it counts as confidence
+const CLOSE_NEIGHBOURS = [
+  ['Dutch', 'Afrikaans'],
+  ['Swedish', 'Danish', 'Norwegian'],
+  ['Indonesian', 'Malay'],
+  ['Croatian', 'Bosnian']
+];
+// Fewer letters than this are not worth guessing from; n-gram guesses
+// only reach full confidence from FULL_CONFIDENCE_LETTERS letters on
+const MIN_LETTERS = 3;
+const FULL_CONFIDENCE_LETTERS = 20;
+
+/**
+ * Split text into padded trigrams of its words
+ * @param {string} text - Text
+ * @returns {Array<string>} Trigrams, e.g. " th", "the", "he " for "the"
+ */
+const toTrigrams = (text) => (text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [])
+  .flatMap(word => {
+    const padded = ` ${word} `;
+    const grams = [];
+    for (let i = 0; i + 3 <= [...padded].length; i++) {
+      grams.push([...padded].slice(i, i + 3).join(''));
+    }
+    return grams;
+  });
+
+/**
+ * Build the trigram profiles of one script
+ * @param {Object} samples - Sample text by language
+ * @param {boolean} fullAlphabet - Whether the samples use every letter of their languages
+ * @returns {Object} { languages: [{ name, counts, total, alphabet }], vocabulary }, where
+ *   `alphabet` is null unless the samples are full alphabets
+ */
+const buildProfiles = (samples, fullAlphabet = false) => {
+  const vocabulary = new Set();
+  const languages = Object.entries(samples).map(([name, sample]) => {
+    const counts = new Map();
+    toTrigrams(sample).forEach(gram => {
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+      vocabulary.add(gram);
+    });
+    const alphabet = fullAlphabet ? new Set(sample.toLowerCase().match(/[\p{L}\p{M}]/gu)) : null;
+    return { name, counts, total: [...counts.values()].reduce((sum, count) => sum + count, 0), alphabet };
+  });
+  return { languages, vocabulary: vocabulary.size };
+};
+
+const PROFILES = Object.fromEntries(
+  Object.entries(PROFILE_SAMPLES).map(([script, samples]) =>
+    [script, buildProfiles(samples, FULL_ALPHABET_SCRIPTS.includes(script))])
+);
+
+/**
+ * Remove what says nothing about the language: URLs, e-mail addresses,
+ * markup, placeholders and code spans
+ * @param {string} text - Text
+ * @returns {string} Prose only
+ */
+const stripNonProse = (text) => text
+  .replace(/https?:\/\/\S+|www\.\S+|\S+@\S+\.\w+/g, ' ')
+  .replace(/`[^`]*`|<[^>]+>|&\w+;|\{\{?[^}]*\}\}?|%\(?\w*\)?[sdif]|\$\{[^}]*\}/g, ' ');
+
+/**
+ * Count the letters of each script
+ * @param {string} text - Text
+ * @returns {Object} { counts: { <script>: letters }, letters }
+ */
+const countScripts = (text) => {
+  const counts = {};
+  let letters = 0;
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) continue;
+    letters++;
+    const match = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    if (match) counts[match.script] = (counts[match.script] || 0) + 1;
+  }
+  return { counts, letters };
+};
+
+/**
+ * Rank the languages of a script by their trigram profiles
+ * @param {string} text - Text
+ * @param {Object} profiles - Profiles of the text's script
+ * @returns {Array<Object>} [{ language, probability }] sorted by probability
+ */
+const classify = (text, { languages, vocabulary }) => {
+  const grams = toTrigrams(text);
+  if (grams.length === 0) return [];
+
+  // Average log-likelihood per trigram, scaled by the (capped) amount of evidence
+  const evidence = Math.min(grams.length, EVIDENCE_CAP);
+  const scores = languages.map(({ name, counts, total, alphabet }) => {
+    const logLikelihood = grams.reduce((sum, gram) => {
+      const foreign = alphabet && [...gram].some(char => char !== ' ' && !alphabet.has(char));
+      const probability = ((counts.get(gram) || 0) + SMOOTHING) / (total + SMOOTHING * vocabulary);
+      return sum + Math.log(foreign ? probability * FOREIGN_LETTER_FACTOR : probability);
+    }, 0);
+    return { language: name, score: (logLikelihood / grams.length) * evidence };
+  });
+
+  const best = Math.max(...scores.map(({ score }) => score));
+  const weights = scores.map(({ language, score }) => ({ language, weight: Math.exp(score - best) }));
+  const sum = weights.reduce((total, { weight }) => total + weight, 0);
+  return weights
+    .map(({ language, weight }) => ({ language, probability: weight / sum }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Text to analyze
+ * @returns {Object|null} { language, code, confidence, method }, where `method` is 'script'
+ *   or 'ngram'; null when the text has too few letters to tell
+ */
+export const detectLanguage = (text) => {
+  const prose = stripNonProse(String(text || ''));
+  const { counts, letters } = countScripts(prose);
+  if (letters < MIN_LETTERS) return null;
+
+  // Japanese mixes kana with Han characters; any kana settles it
+  const japanese = (counts.Hiragana || 0) + (counts.Katakana || 0);
+  if (japanese > 0) {
+    counts.Hiragana = japanese + (counts.Han || 0);
+    delete counts.Katakana;
+    delete counts.Han;
+  }
+
+  const [script, scriptLetters] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  if (!script) return null;
+  const share = scriptLetters / letters;
+
+  let language;
+  let confidence;
+  let method;
+  if (SCRIPT_LANGUAGES[script]) {
+    language = SCRIPT_LANGUAGES[script];
+    confidence = share;
+    method = 'script';
+  } else {
+    const [best, ...others] = classify(prose, PROFILES[script]);
+    if (!best) return null;
+    const group = CLOSE_NEIGHBOURS.find(languages => languages.includes(best.language)) || [];
+    const neighbour = others.find(({ language }) => group.includes(language));
+    language = best.language;
+    confidence = (best.probability - (neighbour ? neighbour.probability : 0))
+      * share * Math.min(1, letters / FULL_CONFIDENCE_LETTERS);
+    method = 'ngram';
+  }
+
+  return {
+    language,
+    code: findLanguage(language).code,
+    confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100,
+    method
+  };
+};
+
+// Example usage:
+/*
+import { detectLanguage } from './detector.js';
+
+console.log(detectLanguage('Où se trouve la gare, s\'il vous plaît ?'));
+// { language: 'French', code: 'fr', confidence: 0.99, method: 'ngram' }
+
+console.log(detectLanguage('안녕하세요'));
+// { language: 'Korean', code: 'ko', confidence: 0.99, method: 'script' }
+*/
@@ -39,6 +39,10 @@ export const getFunctionSchema = () => {
         culturalNotes: {
           type: "string",
           description: "Any cultural context or notes about the translation"
+        },
+        reasoning: {
+          type: "string",
+          description: "Step-by-step notes behind the translation, when asked to reason first (never part of translatedText)"
         }
       },
       required: ["text", "sourceLang", "targetLang", "translatedText"]
@@ -75,25 +79,88 @@ export const getSimpleFunctionSchema = () => {
   };
 };
 
+// Structured result field of each schema property
+const RESULT_FIELDS = {
+  text: 'source_text',
+  sourceLang: 'source_language',
+  targetLang: 'target_language',
+  translatedText: 'translated_text',
+  confidence: 'confidence',
+  culturalNotes: 'cultural_notes',
+  reasoning: 'reasoning'
+};
+
+/**
+ * Validate function call arguments against a schema
+ * Checks required fields, property types, unexpected properties and the
+ * 0-1 range of `confidence`. Required strings must not be blank.
+ * @param {Object} args - Function call arguments
+ * @param {Object} schema - Function declaration (default: getFunctionSchema())
+ * @returns {Object} { valid, errors }, with one message per problem
+ */
+export const validateFunctionArgs = (args, schema = getFunctionSchema()) => {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return { valid: false, errors: ['arguments are missing'] };
+  }
+
+  const { properties, required = [] } = schema.parameters;
+  const errors = [];
+
+  required
+    .filter(field => args[field] === undefined || args[field] === null)
+    .forEach(field => errors.push(`missing required field "${field}"`));
+
+  Object.entries(args).forEach(([field, value]) => {
+    const property = properties[field];
+    if (!property) {
+      errors.push(`unexpected field "${field}"`);
+      return;
+    }
+    // Missing values were reported above when required
+    if (value === undefined || value === null) return;
+
+    if (typeof value !== property.type) {
+      errors.push(`"${field}" must be a ${property.type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+    } else if (property.type === 'string' && required.includes(field) && !value.trim()) {
+      errors.push(`"${field}" must not be empty`);
+    } else if (property.type === 'number' && !Number.isFinite(value)) {
+      errors.push(`"${field}" must be a finite number`);
+    }
+  });
+
+  if (typeof args.confidence === 'number' && (args.confidence < 0 || args.confidence > 1)) {
+    errors.push(`"confidence" must be between 0 and 1, got ${args.confidence}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
 /**
- * Validate function call arguments
+ * Map function call arguments to structured result fields
+ * Only fields that are present and of the schema's type are mapped.
  * @param {Object} args - Function call arguments
- * @returns {boolean} Whether the arguments are valid
+ * @param {Object} schema - Function declaration (default: getFunctionSchema())
+ * @returns {Object} e.g. { translated_text, confidence, cultural_notes, ... }
  */
-export const validateFunctionArgs = (args) => {
-  if (!args) return false;
-  
-  const required = ['sourceLang', 'targetLang', 'translatedText'];
-  return required.every(field => args[field] && typeof args[field] === 'string');
+export const mapFunctionArgs = (args, schema = getFunctionSchema()) => {
+  const { properties } = schema.parameters;
+  return Object.fromEntries(
+    Object.entries(RESULT_FIELDS)
+      .filter(([field]) => properties[field] && typeof args?.[field] === properties[field].type)
+      .map(([field, resultField]) => [resultField, args[field]])
+  );
 };
 
 // Example usage:
 /*
-import { getFunctionSchema, getSimpleFunctionSchema } from './functions.js';
+import { getFunctionSchema, getSimpleFunctionSchema, validateFunctionArgs } from './functions.js';
 
 const fullSchema = getFunctionSchema();
 const simpleSchema = getSimpleFunctionSchema();
 
 console.log('Full schema:', fullSchema);
 console.log('Simple schema:', simpleSchema);
+
+console.log(validateFunctionArgs({ sourceLang: 'English', targetLang: 'French', translatedText: 'Bonjour', confidence: 2 }));
+// { valid: false, errors: ['missing required field "text"', '"confidence" must be between 0 and 1, got 2'] }
 */
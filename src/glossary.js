@@ -0,0 +1,472 @@
+/**
+ * Glossary Management
+ *
+ * Editing operations on the glossary for terminologists: list and search
+ * entries, add, update and delete translations, bulk import from CSV or
+ * TBX, export back to either format and report per-language coverage.
+ * Every entry belongs to a domain and a source → target language pair
+ * and carries its provenance (see glossaryStore.js). Imports are
+ * validated first: repeated rows are reported as duplicates, and rows
+ * that disagree with each other or with the existing glossary are
+ * reported as conflicts and left out unless the import is told to
+ * overwrite.
+ *
+ * CSV files use one row per term: a `term` column, optional
+ * `source_language` and `domain` columns, then one column per target
+ * language, e.g. `term,source_language,French,Spanish`. Column names are
+ * matched case-insensitively; columns that name no known language (notes,
+ * comments) are left out of the import and reported.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getGlossaryStats } from './rag.js';
+import {
+  loadGlossary,
+  saveGlossary,
+  getGlossaryEntries,
+  findGlossaryEntry,
+  setGlossaryEntry,
+  removeGlossaryEntry,
+  createProvenance,
+  normalizeTerm,
+  ANY_LANGUAGE,
+  DO_NOT_TRANSLATE,
+  DEFAULT_DOMAIN
+} from './glossaryStore.js';
+import { parseCsvRecords, stringifyCsvRecords } from './utils/csv.js';
+import { parseTbx, stringifyTbx } from './utils/tbx.js';
+import { resolveLanguage } from './languages.js';
+
+// CSV columns that are not target languages
+const SOURCE_COLUMN = 'source_language';
+const DOMAIN_COLUMN = 'domain';
+
+/**
+ * Check the fields of a single glossary translation
+ * @param {string} term - Source term
+ * @param {string} translation - Translation
+ * @param {string} language - Target language
+ * @param {string} sourceLang - Source language
+ * @throws {UnknownLanguageError} When a language is neither '*' nor in the registry
+ */
+const assertTranslation = (term, translation, language, sourceLang) => {
+  if (!term || !term.trim()) throw new Error('Term must not be empty');
+  if (!translation || !translation.trim()) throw new Error('Translation must not be empty');
+  if (!language || !language.trim()) throw new Error('Language is required (use --lang)');
+  [language, sourceLang].filter(lang => lang !== ANY_LANGUAGE).forEach(resolveLanguage);
+};
+
+/**
+ * Detect the file format from its extension
+ * @param {string} file - File path
+ * @returns {string} 'csv' or 'tbx'
+ */
+const getFileFormat = (file) => {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.tbx' || extension === '.xml') return 'tbx';
+  throw new Error(`Unsupported glossary file "${file}". Expected a .csv, .tbx or .xml file`);
+};
+
+/**
+ * Describe the entry a key points at, for messages
+ * @param {Object} key - { term, targetLang, sourceLang, domain }
+ * @returns {string} e.g. '"rechnung" (German → French, billing)'
+ */
+const describeKey = ({ term, targetLang, sourceLang, domain }) =>
+  `"${normalizeTerm(term)}" (${sourceLang} → ${targetLang}${domain !== DEFAULT_DOMAIN ? `, ${domain}` : ''})`;
+
+/**
+ * Group flat entries into one row per domain, source language and term
+ * @param {Array<Object>} entries - Flat entries
+ * @returns {Array<Object>} Rows as { term, source_language, domain, translations }
+ */
+const groupByTerm = (entries) => {
+  const rows = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.domain}\u0000${entry.source_language}\u0000${entry.term}`;
+    if (!rows.has(key)) {
+      rows.set(key, { term: entry.term, source_language: entry.source_language, domain: entry.domain, translations: {} });
+    }
+    rows.get(key).translations[entry.target_language] = entry.translation;
+  });
+  return [...rows.values()];
+};
+
+/**
+ * List glossary entries, optionally filtered
+ * @param {Object} options - Filters
+ * @param {string} options.search - Case-insensitive text to find in terms or translations
+ * @param {string} options.lang - Target language
+ * @param {string} options.sourceLang - Source language
+ * @param {string} options.domain - Domain
+ * @returns {Promise<Array<Object>>} Flat entries sorted by domain, source language, term and target language
+ */
+export const listGlossaryEntries = async ({ search = null, lang = null, sourceLang = null, domain = null } = {}) => {
+  const query = search ? search.toLowerCase() : null;
+  const entries = getGlossaryEntries(await loadGlossary(), {
+    ...(lang && { targetLang: lang }),
+    ...(sourceLang && { sourceLang }),
+    ...(domain && { domain })
+  });
+
+  return entries
+    .filter(entry => !query || entry.term.includes(query) || entry.translation.toLowerCase().includes(query))
+    .sort((a, b) => a.domain.localeCompare(b.domain)
+      || a.source_language.localeCompare(b.source_language)
+      || a.term.localeCompare(b.term)
+      || a.target_language.localeCompare(b.target_language));
+};
+
+/**
+ * Add a translation for a term
+ * Fails when the term already has a different translation for that
+ * language pair and domain; use updateGlossaryEntry() to change it.
+ * @param {string} term - Source term
+ * @param {string} translation - Translation ('*' keeps the term untranslated)
+ * @param {string} language - Target language ('*' for every language)
+ * @param {Object} options - { sourceLang: '*', domain: 'general', author }
+ * @returns {Promise<string>} 'added' or 'unchanged'
+ */
+export const addGlossaryEntry = async (term, translation, language, {
+  sourceLang = ANY_LANGUAGE,
+  domain = DEFAULT_DOMAIN,
+  author = null
+} = {}) => {
+  assertTranslation(term, translation, language, sourceLang);
+  const store = await loadGlossary();
+  const key = { term, targetLang: language, sourceLang, domain };
+  const existing = findGlossaryEntry(store, key);
+
+  if (existing?.translation === translation) {
+    return 'unchanged';
+  }
+  if (existing) {
+    throw new Error(`Conflict: ${describeKey(key)} is already translated as "${existing.translation}". Use update to change it`);
+  }
+
+  setGlossaryEntry(store, {
+    term,
+    translation,
+    source_language: sourceLang,
+    target_language: language,
+    domain,
+    provenance: createProvenance('manual', { author })
+  });
+  await saveGlossary(store);
+  console.log(`💾 Added ${describeKey(key)} → "${translation}"`);
+  return 'added';
+};
+
+/**
+ * Change the existing translation of a term
+ * The provenance keeps its origin and creation date and records who
+ * made the change.
+ * @param {string} term - Source term
+ * @param {string} translation - New translation
+ * @param {string} language - Target language
+ * @param {Object} options - { sourceLang: '*', domain: 'general', author }
+ * @returns {Promise<string>} 'updated' or 'unchanged'
+ */
+export const updateGlossaryEntry = async (term, translation, language, {
+  sourceLang = ANY_LANGUAGE,
+  domain = DEFAULT_DOMAIN,
+  author = null
+} = {}) => {
+  assertTranslation(term, translation, language, sourceLang);
+  const store = await loadGlossary();
+  const key = { term, targetLang: language, sourceLang, domain };
+  const existing = findGlossaryEntry(store, key);
+
+  if (!existing) {
+    throw new Error(`No entry for ${describeKey(key)}. Use add to create it`);
+  }
+  if (existing.translation === translation) {
+    return 'unchanged';
+  }
+
+  const change = createProvenance('manual', { author });
+  setGlossaryEntry(store, {
+    ...existing,
+    translation,
+    provenance: { ...existing.provenance, updated_at: change.updated_at, updated_by: change.author }
+  });
+  await saveGlossary(store);
+  console.log(`💾 Updated ${describeKey(key)}: "${existing.translation}" → "${translation}"`);
+  return 'updated';
+};
+
+/**
+ * Delete a term, or only its translation for one target language
+ * @param {string} term - Source term
+ * @param {string} language - Target language to remove (optional, removes every target language when omitted)
+ * @param {Object} options - { sourceLang: '*', domain: 'general' }
+ * @returns {Promise<number>} Number of translations removed
+ */
+export const deleteGlossaryEntry = async (term, language = null, {
+  sourceLang = ANY_LANGUAGE,
+  domain = DEFAULT_DOMAIN
+} = {}) => {
+  const store = await loadGlossary();
+  const entries = getGlossaryEntries(store, { term, sourceLang, domain, ...(language && { targetLang: language }) });
+
+  if (entries.length === 0) {
+    throw new Error(`No entry for ${describeKey({ term, targetLang: language || ANY_LANGUAGE, sourceLang, domain })}`);
+  }
+
+  entries.forEach(entry => removeGlossaryEntry(store, {
+    term,
+    sourceLang,
+    domain,
+    targetLang: entry.target_language
+  }));
+  await saveGlossary(store);
+  console.log(`🗑️  Deleted ${entries.length} translation(s) of "${normalizeTerm(term)}"`);
+  return entries.length;
+};
+
+/**
+ * Find duplicate and conflicting rows in a set of records
+ * @param {Array<Object>} records - Records as { term, language, translation, sourceLang, domain }
+ * @returns {Object} { records, duplicates, conflicts } where `records` holds
+ *   the unique, non-conflicting rows
+ */
+export const validateGlossaryRecords = (records) => {
+  const groups = new Map();
+  records.forEach(record => {
+    const term = normalizeTerm(record.term);
+    const sourceLang = record.sourceLang || ANY_LANGUAGE;
+    const domain = record.domain || DEFAULT_DOMAIN;
+    const key = [domain, sourceLang, record.language, term].join('\u0000');
+    if (!groups.has(key)) groups.set(key, { term, language: record.language, sourceLang, domain, translations: [] });
+    groups.get(key).translations.push(record.translation.trim());
+  });
+
+  const valid = [];
+  const duplicates = [];
+  const conflicts = [];
+
+  groups.forEach(({ translations, ...key }) => {
+    const distinct = [...new Set(translations)];
+    if (distinct.length > 1) {
+      conflicts.push({ ...key, existing: distinct[0], incoming: distinct.slice(1).join(' | '), origin: 'file' });
+      return;
+    }
+    if (translations.length > 1) {
+      duplicates.push({ ...key, translation: distinct[0], count: translations.length });
+    }
+    valid.push({ ...key, translation: distinct[0] });
+  });
+
+  return { records: valid, duplicates, conflicts };
+};
+
+/**
+ * Merge records into the glossary
+ * @param {Array<Object>} records - Records as { term, language, translation, sourceLang, domain }
+ * @param {Object} options - Import options
+ * @param {boolean} options.overwrite - Replace existing translations that differ
+ * @param {string} options.author - Author recorded in the provenance
+ * @param {string} options.file - Imported file, recorded in the provenance
+ * @returns {Promise<Object>} Report { added, updated, unchanged, duplicates, conflicts }
+ */
+export const importGlossaryRecords = async (records, { overwrite = false, author = null, file = null } = {}) => {
+  const validation = validateGlossaryRecords(records.filter(record =>
+    record.term?.trim() && record.translation?.trim() && record.language?.trim()
+  ));
+  const store = await loadGlossary();
+  const provenance = createProvenance('imported', { author, ...(file && { file: path.basename(file) }) });
+  const report = { added: 0, updated: 0, unchanged: 0, duplicates: validation.duplicates, conflicts: [...validation.conflicts] };
+
+  validation.records.forEach(({ term, language, translation, sourceLang, domain }) => {
+    const existing = findGlossaryEntry(store, { term, targetLang: language, sourceLang, domain });
+    const entry = { term, translation, source_language: sourceLang, target_language: language, domain, provenance };
+
+    if (existing?.translation === translation) {
+      report.unchanged++;
+    } else if (!existing) {
+      setGlossaryEntry(store, entry);
+      report.added++;
+    } else if (overwrite) {
+      setGlossaryEntry(store, entry);
+      report.updated++;
+    } else {
+      report.conflicts.push({ term, language, sourceLang, domain, existing: existing.translation, incoming: translation, origin: 'glossary' });
+    }
+  });
+
+  if (report.added > 0 || report.updated > 0) {
+    await saveGlossary(store);
+  }
+
+  console.log(`📥 Imported glossary: ${report.added} added, ${report.updated} updated, ${report.unchanged} unchanged, ${report.duplicates.length} duplicates, ${report.conflicts.length} conflicts`);
+  return report;
+};
+
+/**
+ * Read glossary records from a CSV or TBX file
+ * @param {string} file - File path (.csv, .tbx or .xml)
+ * @param {Object} options - Read options
+ * @param {string} options.sourceLang - Language of the terms: rows without a
+ *   `source_language` column in CSV (default: any), the source langSet in TBX (default: English)
+ * @param {string} options.domain - Domain of entries that do not name one (default: 'general')
+ * @returns {Promise<Object>} { records, skipped, ignored } where `skipped` counts
+ *   TBX concepts without a term in the source language and `ignored` lists the CSV
+ *   columns that are no language as { column, reason }
+ */
+export const readGlossaryFile = async (file, { sourceLang = null, domain = DEFAULT_DOMAIN } = {}) => {
+  const content = await fs.readFile(file, 'utf8');
+
+  if (getFileFormat(file) === 'csv') {
+    const { headers, records } = parseCsvRecords(content);
+    const termColumn = headers.find(header => ['term', 'source'].includes(header.trim().toLowerCase()));
+    if (!termColumn) {
+      throw new Error(`CSV glossary needs a "term" column. Found: ${headers.join(', ')}`);
+    }
+
+    const findColumn = (name) => headers.find(header => header.trim().toLowerCase() === name);
+    const sourceColumn = findColumn(SOURCE_COLUMN);
+    const domainColumn = findColumn(DOMAIN_COLUMN);
+
+    const languages = [];
+    const ignored = [];
+    headers
+      .filter(header => ![termColumn, sourceColumn, domainColumn].includes(header))
+      .forEach(header => {
+        try {
+          if (header.trim() !== ANY_LANGUAGE) resolveLanguage(header.trim());
+          languages.push(header);
+        } catch (error) {
+          ignored.push({ column: header, reason: error.message });
+        }
+      });
+
+    return {
+      records: records.flatMap(record => languages
+        .filter(language => record[language] && record[language].trim())
+        .map(language => ({
+          term: record[termColumn],
+          language: language.trim(),
+          translation: record[language],
+          sourceLang: (sourceColumn && record[sourceColumn]?.trim()) || sourceLang || ANY_LANGUAGE,
+          domain: (domainColumn && record[domainColumn]?.trim()) || domain
+        }))),
+      skipped: 0,
+      ignored
+    };
+  }
+
+  const tbxSource = sourceLang || 'English';
+  let skipped = 0;
+  const records = parseTbx(content).flatMap(({ terms, domain: subject }) => {
+    const sourceTerms = terms[tbxSource];
+    if (!sourceTerms) {
+      skipped++;
+      return [];
+    }
+
+    // The first term of each language is its preferred one
+    return sourceTerms.flatMap(term => Object.entries(terms)
+      .filter(([language]) => language !== tbxSource)
+      .map(([language, translations]) => ({
+        term,
+        language,
+        translation: translations[0],
+        sourceLang: tbxSource,
+        domain: subject || domain
+      })));
+  });
+
+  return { records, skipped, ignored: [] };
+};
+
+/**
+ * Write the glossary to a CSV or TBX file
+ * @param {string} file - File path (.csv, .tbx or .xml)
+ * @param {Object} options - Export options
+ * @param {string} options.sourceLang - Language written for entries stored
+ *   for any source language in TBX (default: English)
+ * @param {string} options.domain - Only export this domain (optional)
+ * @returns {Promise<Object>} { entries, skipped } where `skipped` counts
+ *   entries TBX cannot express (translations for every language, '*')
+ */
+export const exportGlossary = async (file, { sourceLang = 'English', domain = null } = {}) => {
+  const rows = groupByTerm(await listGlossaryEntries({ domain }));
+
+  if (getFileFormat(file) === 'csv') {
+    const languages = [...new Set(rows.flatMap(row => Object.keys(row.translations)))].sort();
+    const records = rows.map(({ term, source_language, domain: rowDomain, translations }) =>
+      ({ term, [SOURCE_COLUMN]: source_language, [DOMAIN_COLUMN]: rowDomain, ...translations }));
+    await fs.writeFile(file, stringifyCsvRecords(['term', SOURCE_COLUMN, DOMAIN_COLUMN, ...languages], records));
+    return { entries: rows.length, skipped: 0 };
+  }
+
+  let skipped = 0;
+  const concepts = rows.flatMap(({ term, source_language, domain: rowDomain, translations }, index) => {
+    const languages = Object.entries(translations).filter(([language]) => language !== ANY_LANGUAGE);
+    if (languages.length === 0) {
+      skipped++;
+      return [];
+    }
+
+    // Do-not-translate entries carry the source term in the target language
+    const terms = Object.fromEntries(languages.map(([language, translation]) =>
+      [language, translation === DO_NOT_TRANSLATE ? term : translation]));
+    const source = source_language === ANY_LANGUAGE ? sourceLang : source_language;
+    return [{
+      id: `t${index + 1}`,
+      ...(rowDomain !== DEFAULT_DOMAIN && { domain: rowDomain }),
+      terms: { [source]: term, ...terms }
+    }];
+  });
+
+  await fs.writeFile(file, stringifyTbx(concepts, sourceLang));
+  return { entries: concepts.length, skipped };
+};
+
+/**
+ * Glossary statistics with per-language coverage
+ * @returns {Promise<Object>} getGlossaryStats() fields plus `languages`:
+ *   [{ language, translations, coverage }] where coverage is the percentage
+ *   of entries translated into that target language
+ */
+export const getGlossaryCoverage = async () => {
+  const stats = await getGlossaryStats();
+  const entries = getGlossaryEntries(await loadGlossary());
+
+  const counts = new Map();
+  entries.forEach(({ target_language }) => counts.set(target_language, (counts.get(target_language) || 0) + 1));
+
+  const languages = [...counts.entries()]
+    .map(([language, translations]) => ({
+      language,
+      translations,
+      coverage: stats.totalEntries > 0 ? Math.round((translations / stats.totalEntries) * 1000) / 10 : 0
+    }))
+    .sort((a, b) => b.translations - a.translations || a.language.localeCompare(b.language));
+
+  return { ...stats, languages };
+};
+
+// Example usage:
+/*
+import {
+  listGlossaryEntries,
+  addGlossaryEntry,
+  readGlossaryFile,
+  importGlossaryRecords,
+  exportGlossary,
+  getGlossaryCoverage
+} from './glossary.js';
+
+await addGlossaryEntry('Rechnung', 'facture', 'French', { sourceLang: 'German', domain: 'billing' });
+console.log(await listGlossaryEntries({ search: 'rech' }));
+
+const { records } = await readGlossaryFile('terms.tbx', { sourceLang: 'English' });
+const report = await importGlossaryRecords(records, { file: 'terms.tbx' });
+console.log(report.conflicts);
+
+await exportGlossary('glossary.csv');
+console.log(await getGlossaryCoverage());
+*/
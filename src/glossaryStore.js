@@ -0,0 +1,378 @@
+/**
+ * Glossary Store
+ *
+ * Persistence for the glossary (`./data/glossary.json`). Entries are keyed
+ * by domain, source language, target language and term, and every entry
+ * records its provenance:
+ *
+ *   {
+ *     "version": 2,
+ *     "domains": {
+ *       "general": {
+ *         "English": {
+ *           "French": {
+ *             "hello": {
+ *               "translation": "bonjour",
+ *               "provenance": { "origin": "manual", "author": "ana", "created_at": "...", "updated_at": "..." }
+ *             }
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * `*` as a language means "any language", and `*` as a translation means
+ * "keep the term as written". Version 1 files (`{ term: { TargetLang:
+ * translation } }`) are migrated on first load; the original is kept next
+ * to the new file as `glossary.v1.json`.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getLanguageName } from './languages.js';
+
+// Default glossary path
+const GLOSSARY_PATH = './data/glossary.json';
+const GLOSSARY_FORMAT_VERSION = 2;
+
+export const ANY_LANGUAGE = '*';
+export const DO_NOT_TRANSLATE = '*';
+export const DEFAULT_DOMAIN = 'general';
+
+// Where an entry came from
+export const ORIGINS = ['manual', 'imported', 'learned', 'migrated', 'default'];
+
+/**
+ * Language key an entry is stored under
+ * Codes, tags and aliases share the entries of the registry name, so
+ * "es" and "Spanish" find the same terms.
+ * @param {string} language - Language name, code or `*`
+ * @returns {string} Registry name, `*`, or the input when it is not in the registry
+ */
+const toLanguageKey = (language) => (language === ANY_LANGUAGE ? language : getLanguageName(language));
+
+/**
+ * Built-in glossary used until a glossary file exists (version 1 format)
+ * This can be expanded with domain-specific terminology
+ */
+const DEFAULT_GLOSSARY = {
+  "hello": {
+    "Spanish": "hola",
+    "French": "bonjour",
+    "German": "hallo",
+    "Italian": "ciao",
+    "Portuguese": "olá",
+    "Russian": "привет",
+    "Japanese": "こんにちは",
+    "Korean": "안녕하세요",
+    "Chinese": "你好",
+    "Arabic": "مرحبا"
+  },
+  "goodbye": {
+    "Spanish": "adiós",
+    "French": "au revoir",
+    "German": "auf wiedersehen",
+    "Italian": "arrivederci",
+    "Portuguese": "adeus",
+    "Russian": "до свидания",
+    "Japanese": "さようなら",
+    "Korean": "안녕히 가세요",
+    "Chinese": "再见",
+    "Arabic": "مع السلامة"
+  },
+  "thank you": {
+    "Spanish": "gracias",
+    "French": "merci",
+    "German": "danke",
+    "Italian": "grazie",
+    "Portuguese": "obrigado",
+    "Russian": "спасибо",
+    "Japanese": "ありがとう",
+    "Korean": "감사합니다",
+    "Chinese": "谢谢",
+    "Arabic": "شكرا"
+  },
+  "yes": {
+    "Spanish": "sí",
+    "French": "oui",
+    "German": "ja",
+    "Italian": "sì",
+    "Portuguese": "sim",
+    "Russian": "да",
+    "Japanese": "はい",
+    "Korean": "네",
+    "Chinese": "是",
+    "Arabic": "نعم"
+  },
+  "no": {
+    "Spanish": "no",
+    "French": "non",
+    "German": "nein",
+    "Italian": "no",
+    "Portuguese": "não",
+    "Russian": "нет",
+    "Japanese": "いいえ",
+    "Korean": "아니요",
+    "Chinese": "不",
+    "Arabic": "لا"
+  }
+};
+
+/**
+ * Normalize a term the same way glossary lookups do
+ * @param {string} term - Term as written
+ * @returns {string} Glossary key
+ */
+export const normalizeTerm = (term) => term.toLowerCase().trim();
+
+/**
+ * Name recorded as the author of new entries
+ * @returns {string|null} TRANZIO_AUTHOR or the OS user name
+ */
+const getDefaultAuthor = () => {
+  if (process.env.TRANZIO_AUTHOR) return process.env.TRANZIO_AUTHOR;
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the provenance record of a new entry
+ * @param {string} origin - One of ORIGINS
+ * @param {Object} details - { author } plus any origin-specific fields (e.g. `file`)
+ * @returns {Object} Provenance record
+ */
+export const createProvenance = (origin, { author = null, ...details } = {}) => {
+  if (!ORIGINS.includes(origin)) {
+    throw new Error(`Unknown glossary origin "${origin}". Expected one of: ${ORIGINS.join(', ')}`);
+  }
+
+  const now = new Date().toISOString();
+  return { origin, author: author || getDefaultAuthor(), created_at: now, updated_at: now, ...details };
+};
+
+/**
+ * Convert a version 1 glossary to the current format
+ * @param {Object} glossary - Glossary in either format
+ * @param {Object} options - Migration options
+ * @param {string} options.sourceLang - Language of the version 1 terms (default: any)
+ * @param {string} options.origin - Provenance origin of migrated entries (default: 'migrated')
+ * @returns {Object} Glossary in the current format
+ */
+export const migrateGlossary = (glossary, { sourceLang = ANY_LANGUAGE, origin = 'migrated' } = {}) => {
+  if (glossary && glossary.version === GLOSSARY_FORMAT_VERSION) {
+    return glossary;
+  }
+
+  const store = { version: GLOSSARY_FORMAT_VERSION, domains: {} };
+  const now = new Date().toISOString();
+
+  Object.entries(glossary || {}).forEach(([term, translations]) => {
+    Object.entries(translations || {}).forEach(([targetLang, translation]) => {
+      setGlossaryEntry(store, {
+        term,
+        translation,
+        source_language: sourceLang,
+        target_language: targetLang,
+        domain: DEFAULT_DOMAIN,
+        // Version 1 files carry no author or dates
+        provenance: { origin, author: null, created_at: now, updated_at: now }
+      });
+    });
+  });
+
+  return store;
+};
+
+// Built-in glossary in the current format, created on first use
+let defaultStore = null;
+
+/**
+ * Load the glossary, migrating version 1 files in place
+ * @returns {Promise<Object>} Glossary in the current format
+ */
+export const loadGlossary = async () => {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(GLOSSARY_PATH, 'utf8'));
+  } catch (error) {
+    // File doesn't exist or can't be read, use default
+    if (!defaultStore) {
+      console.log('📚 Using default glossary (no custom file found)');
+      defaultStore = migrateGlossary(DEFAULT_GLOSSARY, { sourceLang: 'English', origin: 'default' });
+    }
+    // Callers edit the store they get before saving it
+    return structuredClone(defaultStore);
+  }
+
+  if (data.version === GLOSSARY_FORMAT_VERSION) {
+    return data;
+  }
+
+  const backupPath = path.join(path.dirname(GLOSSARY_PATH), 'glossary.v1.json');
+  const store = migrateGlossary(data);
+  await fs.writeFile(backupPath, JSON.stringify(data, null, 2));
+  await saveGlossary(store);
+  console.log(`📚 Migrated glossary to version ${GLOSSARY_FORMAT_VERSION} (original kept as ${backupPath})`);
+  return store;
+};
+
+/**
+ * Write the glossary file, creating its directory if needed
+ * @param {Object} store - Glossary in the current format
+ * @returns {Promise<void>}
+ */
+export const saveGlossary = async (store) => {
+  await fs.mkdir(path.dirname(GLOSSARY_PATH), { recursive: true });
+  await fs.writeFile(GLOSSARY_PATH, JSON.stringify(store, null, 2));
+};
+
+/**
+ * List glossary entries as flat records
+ * Filters match exactly, so `sourceLang: '*'` only returns entries stored
+ * for any source language.
+ * @param {Object} store - Glossary
+ * @param {Object} filters - { domain, sourceLang, targetLang, term } (all optional)
+ * @returns {Array<Object>} Entries as
+ *   { term, translation, source_language, target_language, domain, provenance }
+ */
+export const getGlossaryEntries = (store, { domain, sourceLang, targetLang, term } = {}) => {
+  const key = term !== undefined ? normalizeTerm(term) : undefined;
+  const sourceKey = sourceLang !== undefined ? toLanguageKey(sourceLang) : undefined;
+  const targetKey = targetLang !== undefined ? toLanguageKey(targetLang) : undefined;
+  const entries = [];
+
+  Object.entries(store.domains).forEach(([domainName, sources]) => {
+    if (domain !== undefined && domainName !== domain) return;
+    Object.entries(sources).forEach(([source, targets]) => {
+      if (sourceKey !== undefined && toLanguageKey(source) !== sourceKey) return;
+      Object.entries(targets).forEach(([target, terms]) => {
+        if (targetKey !== undefined && toLanguageKey(target) !== targetKey) return;
+        Object.entries(terms).forEach(([entryTerm, record]) => {
+          if (key !== undefined && entryTerm !== key) return;
+          entries.push({
+            term: entryTerm,
+            translation: record.translation,
+            source_language: source,
+            target_language: target,
+            domain: domainName,
+            provenance: record.provenance
+          });
+        });
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Find a single entry
+ * @param {Object} store - Glossary
+ * @param {Object} key - { domain, sourceLang, targetLang, term }
+ * @returns {Object|null} Flat entry or null
+ */
+export const findGlossaryEntry = (store, { domain = DEFAULT_DOMAIN, sourceLang = ANY_LANGUAGE, targetLang, term }) => {
+  const [entry] = getGlossaryEntries(store, { domain, sourceLang, targetLang, term });
+  return entry || null;
+};
+
+/**
+ * Insert or replace an entry
+ * @param {Object} store - Glossary (modified in place)
+ * @param {Object} entry - Flat entry; `domain` and `source_language` default to general / any
+ * @returns {Object} The store
+ */
+export const setGlossaryEntry = (store, entry) => {
+  const domain = entry.domain || DEFAULT_DOMAIN;
+  const source = toLanguageKey(entry.source_language || ANY_LANGUAGE);
+  const target = toLanguageKey(entry.target_language);
+
+  store.domains[domain] ??= {};
+  store.domains[domain][source] ??= {};
+  store.domains[domain][source][target] ??= {};
+  store.domains[domain][source][target][normalizeTerm(entry.term)] = {
+    translation: entry.translation,
+    provenance: entry.provenance
+  };
+  return store;
+};
+
+/**
+ * Remove an entry, pruning empty branches
+ * @param {Object} store - Glossary (modified in place)
+ * @param {Object} key - { domain, sourceLang, targetLang, term }
+ * @returns {boolean} Whether an entry was removed
+ */
+export const removeGlossaryEntry = (store, { domain = DEFAULT_DOMAIN, sourceLang = ANY_LANGUAGE, targetLang, term }) => {
+  // Files written before the registry may store codes rather than names
+  const findKey = (branch, language) => Object.keys(branch || {}).find(key => toLanguageKey(key) === toLanguageKey(language));
+  const source = findKey(store.domains[domain], sourceLang);
+  const target = findKey(store.domains[domain]?.[source], targetLang);
+  const terms = store.domains[domain]?.[source]?.[target];
+  const key = normalizeTerm(term);
+  if (!terms || !terms[key]) return false;
+
+  delete terms[key];
+  if (Object.keys(terms).length === 0) delete store.domains[domain][source][target];
+  if (Object.keys(store.domains[domain][source]).length === 0) delete store.domains[domain][source];
+  if (Object.keys(store.domains[domain]).length === 0) delete store.domains[domain];
+  return true;
+};
+
+/**
+ * Resolve the glossary that applies to one translation request
+ * When several entries share a term, a domain-specific entry beats a
+ * general one, then an exact source language beats "any", then an exact
+ * target language beats "any".
+ * @param {Object} store - Glossary
+ * @param {string} targetLang - Target language
+ * @param {string} sourceLang - Source language (optional; any source when omitted)
+ * @param {string} domain - Domain to apply on top of the general glossary (optional)
+ * @returns {Map<string, Object>} Normalized term → flat entry
+ */
+export const resolveGlossaryTerms = (store, targetLang, sourceLang = null, domain = null) => {
+  const targetKey = toLanguageKey(targetLang);
+  const sourceKey = sourceLang ? toLanguageKey(sourceLang) : null;
+  const domains = [DEFAULT_DOMAIN, ...(domain && domain !== DEFAULT_DOMAIN ? [domain] : [])];
+  const rank = (entry) =>
+    (entry.domain !== DEFAULT_DOMAIN ? 4 : 0)
+    + (sourceKey && toLanguageKey(entry.source_language) === sourceKey ? 2 : 0)
+    + (toLanguageKey(entry.target_language) === targetKey ? 1 : 0);
+
+  const resolved = new Map();
+  getGlossaryEntries(store)
+    .filter(entry => domains.includes(entry.domain))
+    .filter(entry => !sourceKey || [sourceKey, ANY_LANGUAGE].includes(toLanguageKey(entry.source_language)))
+    .filter(entry => [targetKey, ANY_LANGUAGE].includes(toLanguageKey(entry.target_language)))
+    .forEach(entry => {
+      const current = resolved.get(entry.term);
+      if (!current || rank(entry) > rank(current)) {
+        resolved.set(entry.term, entry);
+      }
+    });
+
+  return resolved;
+};
+
+// Example usage:
+/*
+import { loadGlossary, saveGlossary, setGlossaryEntry, resolveGlossaryTerms, createProvenance } from './glossaryStore.js';
+
+const store = await loadGlossary();
+setGlossaryEntry(store, {
+  term: 'Rechnung',
+  translation: 'facture',
+  source_language: 'German',
+  target_language: 'French',
+  domain: 'billing',
+  provenance: createProvenance('manual', { author: 'ana' })
+});
+await saveGlossary(store);
+
+const terms = resolveGlossaryTerms(store, 'French', 'German', 'billing');
+console.log(terms.get('rechnung').translation); // 'facture'
+*/
@@ -0,0 +1,282 @@
+/**
+ * Language Registry
+ *
+ * Canonical names for every language the translator accepts, with their
+ * ISO 639-1 and ISO 639-3 codes, native names and text direction. Inputs
+ * may be a name ("French"), a native name ("Français"), a code ("fr",
+ * "fra"), a common alias ("Farsi") or a BCP 47 tag with a region or
+ * script ("pt-BR", "zh-Hant"); they all resolve to the English name used
+ * throughout the glossary, the translation memory and the prompts. The
+ * region or script of a tag is kept as the locale variant.
+ */
+
+import { levenshtein } from './utils/similarity.js';
+
+/**
+ * Supported languages
+ * `direction` defaults to 'ltr'; `aliases` are extra spellings and
+ * legacy or bibliographic codes.
+ */
+const LANGUAGE_DATA = [
+  { name: 'English', code: 'en', code3: 'eng', native: 'English' },
+  { name: 'Spanish', code: 'es', code3: 'spa', native: 'Español', aliases: ['Castilian', 'Castellano'] },
+  { name: 'French', code: 'fr', code3: 'fra', native: 'Français', aliases: ['fre'] },
+  { name: 'German', code: 'de', code3: 'deu', native: 'Deutsch', aliases: ['ger'] },
+  { name: 'Italian', code: 'it', code3: 'ita', native: 'Italiano' },
+  { name: 'Portuguese', code: 'pt', code3: 'por', native: 'Português' },
+  { name: 'Russian', code: 'ru', code3: 'rus', native: 'Русский' },
+  { name: 'Japanese', code: 'ja', code3: 'jpn', native: '日本語' },
+  { name: 'Korean', code: 'ko', code3: 'kor', native: '한국어' },
+  { name: 'Chinese', code: 'zh', code3: 'zho', native: '中文', aliases: ['Mandarin', 'chi', 'cmn'] },
+  { name: 'Arabic', code: 'ar', code3: 'ara', native: 'العربية', direction: 'rtl' },
+  { name: 'Hindi', code: 'hi', code3: 'hin', native: 'हिन्दी' },
+  { name: 'Dutch', code: 'nl', code3: 'nld', native: 'Nederlands', aliases: ['Flemish', 'dut'] },
+  { name: 'Swedish', code: 'sv', code3: 'swe', native: 'Svenska' },
+  { name: 'Norwegian', code: 'no', code3: 'nor', native: 'Norsk', aliases: ['Bokmål', 'Bokmal', 'nb', 'nob', 'Nynorsk', 'nn', 'nno'] },
+  { name: 'Danish', code: 'da', code3: 'dan', native: 'Dansk' },
+  { name: 'Finnish', code: 'fi', code3: 'fin', native: 'Suomi' },
+  { name: 'Polish', code: 'pl', code3: 'pol', native: 'Polski' },
+  { name: 'Turkish', code: 'tr', code3: 'tur', native: 'Türkçe' },
+  { name: 'Greek', code: 'el', code3: 'ell', native: 'Ελληνικά', aliases: ['gre'] },
+  { name: 'Hebrew', code: 'he', code3: 'heb', native: 'עברית', direction: 'rtl', aliases: ['iw'] },
+  { name: 'Thai', code: 'th', code3: 'tha', native: 'ไทย' },
+  { name: 'Vietnamese', code: 'vi', code3: 'vie', native: 'Tiếng Việt' },
+  { name: 'Indonesian', code: 'id', code3: 'ind', native: 'Bahasa Indonesia', aliases: ['in'] },
+  { name: 'Malay', code: 'ms', code3: 'msa', native: 'Bahasa Melayu', aliases: ['may', 'zsm'] },
+  { name: 'Tagalog', code: 'tl', code3: 'tgl', native: 'Tagalog', aliases: ['Filipino', 'fil'] },
+  { name: 'Czech', code: 'cs', code3: 'ces', native: 'Čeština', aliases: ['cze'] },
+  { name: 'Slovak', code: 'sk', code3: 'slk', native: 'Slovenčina', aliases: ['slo'] },
+  { name: 'Hungarian', code: 'hu', code3: 'hun', native: 'Magyar' },
+  { name: 'Romanian', code: 'ro', code3: 'ron', native: 'Română', aliases: ['Moldovan', 'mo', 'rum'] },
+  { name: 'Bulgarian', code: 'bg', code3: 'bul', native: 'Български' },
+  { name: 'Ukrainian', code: 'uk', code3: 'ukr', native: 'Українська' },
+  { name: 'Belarusian', code: 'be', code3: 'bel', native: 'Беларуская' },
+  { name: 'Serbian', code: 'sr', code3: 'srp', native: 'Српски' },
+  { name: 'Croatian', code: 'hr', code3: 'hrv', native: 'Hrvatski' },
+  { name: 'Bosnian', code: 'bs', code3: 'bos', native: 'Bosanski' },
+  { name: 'Slovenian', code: 'sl', code3: 'slv', native: 'Slovenščina', aliases: ['Slovene'] },
+  { name: 'Macedonian', code: 'mk', code3: 'mkd', native: 'Македонски', aliases: ['mac'] },
+  { name: 'Albanian', code: 'sq', code3: 'sqi', native: 'Shqip', aliases: ['alb'] },
+  { name: 'Lithuanian', code: 'lt', code3: 'lit', native: 'Lietuvių' },
+  { name: 'Latvian', code: 'lv', code3: 'lav', native: 'Latviešu' },
+  { name: 'Estonian', code: 'et', code3: 'est', native: 'Eesti' },
+  { name: 'Icelandic', code: 'is', code3: 'isl', native: 'Íslenska', aliases: ['ice'] },
+  { name: 'Irish', code: 'ga', code3: 'gle', native: 'Gaeilge', aliases: ['Irish Gaelic'] },
+  { name: 'Welsh', code: 'cy', code3: 'cym', native: 'Cymraeg', aliases: ['wel'] },
+  { name: 'Catalan', code: 'ca', code3: 'cat', native: 'Català', aliases: ['Valencian'] },
+  { name: 'Basque', code: 'eu', code3: 'eus', native: 'Euskara', aliases: ['baq'] },
+  { name: 'Galician', code: 'gl', code3: 'glg', native: 'Galego' },
+  { name: 'Maltese', code: 'mt', code3: 'mlt', native: 'Malti' },
+  { name: 'Luxembourgish', code: 'lb', code3: 'ltz', native: 'Lëtzebuergesch' },
+  { name: 'Persian', code: 'fa', code3: 'fas', native: 'فارسی', direction: 'rtl', aliases: ['Farsi', 'per'] },
+  { name: 'Urdu', code: 'ur', code3: 'urd', native: 'اردو', direction: 'rtl' },
+  { name: 'Pashto', code: 'ps', code3: 'pus', native: 'پښتو', direction: 'rtl', aliases: ['Pushto'] },
+  { name: 'Yiddish', code: 'yi', code3: 'yid', native: 'ייִדיש', direction: 'rtl' },
+  { name: 'Kurdish', code: 'ku', code3: 'kur', native: 'Kurdî' },
+  { name: 'Bengali', code: 'bn', code3: 'ben', native: 'বাংলা', aliases: ['Bangla'] },
+  { name: 'Punjabi', code: 'pa', code3: 'pan', native: 'ਪੰਜਾਬੀ', aliases: ['Panjabi'] },
+  { name: 'Gujarati', code: 'gu', code3: 'guj', native: 'ગુજરાતી' },
+  { name: 'Marathi', code: 'mr', code3: 'mar', native: 'मराठी' },
+  { name: 'Nepali', code: 'ne', code3: 'nep', native: 'नेपाली' },
+  { name: 'Tamil', code: 'ta', code3: 'tam', native: 'தமிழ்' },
+  { name: 'Telugu', code: 'te', code3: 'tel', native: 'తెలుగు' },
+  { name: 'Kannada', code: 'kn', code3: 'kan', native: 'ಕನ್ನಡ' },
+  { name: 'Malayalam', code: 'ml', code3: 'mal', native: 'മലയാളം' },
+  { name: 'Sinhala', code: 'si', code3: 'sin', native: 'සිංහල', aliases: ['Sinhalese'] },
+  { name: 'Burmese', code: 'my', code3: 'mya', native: 'မြန်မာ', aliases: ['Myanmar', 'bur'] },
+  { name: 'Khmer', code: 'km', code3: 'khm', native: 'ខ្មែរ', aliases: ['Cambodian'] },
+  { name: 'Lao', code: 'lo', code3: 'lao', native: 'ລາວ', aliases: ['Laotian'] },
+  { name: 'Mongolian', code: 'mn', code3: 'mon', native: 'Монгол' },
+  { name: 'Kazakh', code: 'kk', code3: 'kaz', native: 'Қазақ' },
+  { name: 'Uzbek', code: 'uz', code3: 'uzb', native: 'Oʻzbek' },
+  { name: 'Azerbaijani', code: 'az', code3: 'aze', native: 'Azərbaycan', aliases: ['Azeri'] },
+  { name: 'Georgian', code: 'ka', code3: 'kat', native: 'ქართული', aliases: ['geo'] },
+  { name: 'Armenian', code: 'hy', code3: 'hye', native: 'Հայերեն', aliases: ['arm'] },
+  { name: 'Swahili', code: 'sw', code3: 'swa', native: 'Kiswahili' },
+  { name: 'Amharic', code: 'am', code3: 'amh', native: 'አማርኛ' },
+  { name: 'Somali', code: 'so', code3: 'som', native: 'Soomaali' },
+  { name: 'Yoruba', code: 'yo', code3: 'yor', native: 'Yorùbá' },
+  { name: 'Igbo', code: 'ig', code3: 'ibo', native: 'Igbo' },
+  { name: 'Hausa', code: 'ha', code3: 'hau', native: 'Hausa' },
+  { name: 'Zulu', code: 'zu', code3: 'zul', native: 'isiZulu' },
+  { name: 'Xhosa', code: 'xh', code3: 'xho', native: 'isiXhosa' },
+  { name: 'Afrikaans', code: 'af', code3: 'afr', native: 'Afrikaans' },
+  { name: 'Haitian Creole', code: 'ht', code3: 'hat', native: 'Kreyòl ayisyen', aliases: ['Haitian'] },
+  { name: 'Latin', code: 'la', code3: 'lat', native: 'Latina' },
+  { name: 'Esperanto', code: 'eo', code3: 'epo', native: 'Esperanto' }
+];
+
+// Names that imply a locale variant as well as a language
+const VARIANT_ALIASES = {
+  'brazilian portuguese': 'pt-BR',
+  'european portuguese': 'pt-PT',
+  'mexican spanish': 'es-MX',
+  'latin american spanish': 'es-419',
+  'american english': 'en-US',
+  'british english': 'en-GB',
+  'canadian french': 'fr-CA',
+  'swiss german': 'de-CH',
+  'simplified chinese': 'zh-Hans',
+  'chinese (simplified)': 'zh-Hans',
+  'traditional chinese': 'zh-Hant',
+  'chinese (traditional)': 'zh-Hant',
+  'cantonese': 'zh-HK'
+};
+
+// Spellings that mean "detect the source language"
+const AUTO_DETECT = ['auto', 'auto-detect', 'auto-detected', 'detect'];
+
+export const LANGUAGES = LANGUAGE_DATA.map(({ aliases = [], direction = 'ltr', ...language }) => ({
+  ...language,
+  direction,
+  aliases
+}));
+
+const normalizeKey = (input) => input.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Lookup tables: codes, and every name, native name and alias
+const BY_CODE = new Map();
+const BY_NAME = new Map();
+LANGUAGES.forEach(language => {
+  BY_CODE.set(language.code, language);
+  BY_CODE.set(language.code3, language);
+  [language.name, language.native, ...language.aliases].forEach(alias => {
+    const key = normalizeKey(alias);
+    (/^[a-z]{2,3}$/.test(alias) ? BY_CODE : BY_NAME).set(key, language);
+  });
+});
+
+/**
+ * Canonical form of a BCP 47 tag ("PT_br" → "pt-BR", "zh-hant" → "zh-Hant")
+ * @param {string} tag - Language tag
+ * @returns {string} Tag with a lowercase language, title-case script and uppercase region
+ */
+export const canonicalizeTag = (tag) => tag
+  .trim()
+  .replace(/_/g, '-')
+  .split('-')
+  .map((part, index) => {
+    if (index === 0) return part.toLowerCase();
+    if (/^[a-z]{2}$/i.test(part)) return part.toUpperCase();
+    if (/^[a-z]{4}$/i.test(part)) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+    return part;
+  })
+  .join('-');
+
+/**
+ * Error raised for languages missing from the registry
+ */
+export class UnknownLanguageError extends Error {
+  /**
+   * @param {string} input - Language as given
+   * @param {Array<string>} suggestions - Closest known language names
+   */
+  constructor(input, suggestions = []) {
+    const hint = suggestions.length > 0
+      ? `Did you mean ${suggestions.length > 1 ? `${suggestions.slice(0, -1).join(', ')} or ${suggestions[suggestions.length - 1]}` : suggestions[0]}?`
+      : 'Use a language name (e.g. "French") or an ISO 639 / BCP 47 code (e.g. "fr", "pt-BR").';
+    super(`Unknown language "${input}". ${hint}`);
+    this.name = 'UnknownLanguageError';
+    this.type = 'unknown_language';
+    this.retryable = false;
+    this.input = input;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Look up a language by name, code, alias or BCP 47 tag
+ * @param {string} input - Language as given by the user
+ * @returns {Object|null} { name, code, code3, native, direction, aliases, locale }, where
+ *   `locale` is the region or script variant implied by the input (or null)
+ */
+export const findLanguage = (input) => {
+  if (typeof input !== 'string' || !input.trim()) return null;
+  const key = normalizeKey(input);
+
+  const language = BY_CODE.get(key) || BY_NAME.get(key);
+  if (language) return { ...language, locale: null };
+
+  if (VARIANT_ALIASES[key]) {
+    const locale = VARIANT_ALIASES[key];
+    return { ...BY_CODE.get(locale.split('-')[0]), locale };
+  }
+
+  // Language subtag followed by script, region or variant subtags
+  const tag = key.replace(/_/g, '-').match(/^([a-z]{2,3})(-[a-z0-9]{2,8})+$/);
+  if (tag && BY_CODE.has(tag[1])) {
+    return { ...BY_CODE.get(tag[1]), locale: canonicalizeTag(input) };
+  }
+
+  return null;
+};
+
+/**
+ * Closest known languages to a misspelled input
+ * @param {string} input - Unknown language
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<string>} Language names, closest first
+ */
+export const suggestLanguages = (input, limit = 3) => {
+  const key = normalizeKey(String(input || ''));
+  if (!key) return [];
+
+  // Short inputs look like codes, longer ones like names
+  const candidates = key.length <= 3 ? BY_CODE : BY_NAME;
+  const maxDistance = key.length <= 4 ? 1 : 2;
+  const scored = [];
+  candidates.forEach((language, candidate) => {
+    const distance = candidate.startsWith(key) && key.length >= 3 ? 0 : levenshtein(key, candidate, maxDistance);
+    if (distance <= maxDistance) scored.push({ name: language.name, distance });
+  });
+
+  return [...new Set(scored.sort((a, b) => a.distance - b.distance).map(({ name }) => name))].slice(0, limit);
+};
+
+/**
+ * Look up a language, failing with suggestions when it is unknown
+ * @param {string} input - Language as given by the user
+ * @returns {Object} Language, as returned by findLanguage()
+ * @throws {UnknownLanguageError} When the language is not in the registry
+ */
+export const resolveLanguage = (input) => {
+  const language = findLanguage(input);
+  if (!language) {
+    throw new UnknownLanguageError(input, suggestLanguages(input));
+  }
+  return language;
+};
+
+/**
+ * Whether a source language asks for detection rather than naming one
+ * @param {string} input - Source language as given (null when omitted)
+ * @returns {boolean}
+ */
+export const isAutoDetect = (input) => !input || AUTO_DETECT.includes(normalizeKey(input));
+
+/**
+ * Canonical name of a language, or the input unchanged when it is unknown
+ * Used where stored data or model output may name languages freely.
+ * @param {string} input - Language name, code or tag
+ * @returns {string} e.g. "Spanish" for "es"
+ */
+export const getLanguageName = (input) => findLanguage(input)?.name || input;
+
+/**
+ * ISO 639-1 code of a language, or the input unchanged when it is unknown
+ * @param {string} input - Language name, code or tag
+ * @returns {string} e.g. "fr" for "French"
+ */
+export const getLanguageCode = (input) => findLanguage(input)?.code || input;
+
+// Example usage:
+/*
+import { findLanguage, resolveLanguage } from './languages.js';
+
+console.log(findLanguage('pt_br'));
+// { name: 'Portuguese', code: 'pt', code3: 'por', native: 'Português', direction: 'ltr', aliases: [], locale: 'pt-BR' }
+
+console.log(findLanguage('fa').direction); // 'rtl'
+
+resolveLanguage('Frnech'); // throws UnknownLanguageError: Unknown language "Frnech". Did you mean French?
+*/
@@ -0,0 +1,308 @@
+/**
+ * Markdown-Aware Translation
+ *
+ * Splits a Markdown document into protected structure (front matter, code
+ * blocks, list and heading markers, table pipes, link targets, inline
+ * code, HTML) and human-readable text spans. Only the text spans are
+ * translated; everything else is copied byte for byte. A verification
+ * step compares code blocks, inline code and link targets between the
+ * source and the rebuilt document and fails the translation if any of
+ * them changed.
+ */
+
+import { formatStructuredOutput } from './utils/structuredOutput.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { sumTokenUsage } from './utils/tokenLogger.js';
+import { maskSpans, unmaskSpans } from './utils/placeholders.js';
+import { checkQuality } from './quality.js';
+
+const DEFAULT_CONCURRENCY = 3;
+
+// Block-level patterns (matched against a line without its line ending)
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+const INDENTED_CODE = /^( {4}|\t)/;
+const HTML_BLOCK = /^ {0,3}<(?:\/?[a-zA-Z][\w-]*[\s/>]|\/?[a-zA-Z][\w-]*$|!--)/;
+const REFERENCE_DEFINITION = /^ {0,3}\[[^\]]+\]:\s*\S/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}=+\s*$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Structural prefix of a line: indentation, blockquotes, headings, list markers and task boxes
+const LINE_PREFIX = /^\s*(?:>\s?)*(?:#{1,6}\s+|(?:[-*+]|\d{1,9}[.)])\s+(?:\[[ xX]\]\s+)?)?/;
+const LIST_ITEM = /^\s*(?:>\s?)*(?:[-*+]|\d{1,9}[.)])\s+/;
+
+// Structural suffix of a line: closing heading hashes and trailing whitespace (hard breaks)
+const LINE_SUFFIX = /(?:\s+#+)?\s*$/;
+
+// Inline spans that must never be translated
+const INLINE_PROTECTED = new RegExp([
+  /``[\s\S]+?``|`[^`\n]+`/.source,                           // inline code
+  /\]\((?:[^()\s]|\([^()\s]*\))*(?:\s+"[^"]*")?\)/.source,  // link / image destination
+  /\]\[[^\]]*\]/.source,                                      // reference link label
+  /<(?:https?|ftp|mailto):[^>\s]+>/.source,                   // autolink
+  /<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>/.source,                // inline HTML
+  /\bhttps?:\/\/[^\s)<>]+/.source,                            // bare URL
+  /&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);/.source                // HTML entity
+].join('|'), 'g');
+
+/**
+ * Split a Markdown document into protected and translatable pieces
+ * Concatenating every piece's value gives back the original document.
+ * @param {string} markdown - Markdown source
+ * @returns {Array<Object>} Pieces as { type: 'protected'|'text', value, kind? }
+ */
+export const parseMarkdown = (markdown) => {
+  const lines = markdown.split(/(?<=\n)/);
+  const pieces = [];
+  const protect = (value, kind = 'structure') => value && pieces.push({ type: 'protected', kind, value });
+  const text = (value) => value && pieces.push({ type: 'text', value });
+  const content = (line) => line.replace(/\r?\n$/, '');
+  const isBlank = (line) => !content(line).trim();
+
+  const tableRows = new Set();
+  let inList = false;
+  let i = 0;
+
+  // YAML / TOML front matter
+  const frontMatter = lines.length > 0 && content(lines[0]).match(/^(---|\+\+\+)\s*$/);
+  if (frontMatter) {
+    const close = lines.findIndex((line, index) => index > 0 && content(line).trim() === frontMatter[1]);
+    if (close > 0) {
+      protect(lines.slice(0, close + 1).join(''), 'front_matter');
+      i = close + 1;
+    }
+  }
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const body = content(line);
+    const previous = i > 0 ? lines[i - 1] : '\n';
+
+    // Fenced code block, up to the matching closing fence (or end of document)
+    const fence = body.match(FENCE_OPEN);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+      let end = i + 1;
+      while (end < lines.length && !closing.test(content(lines[end]))) end++;
+      protect(lines.slice(i, end + 1).join(''), 'code');
+      i = end + 1;
+      continue;
+    }
+
+    // Indented lines continue a list; elsewhere they start an indented code block
+    if (!isBlank(line) && !INDENTED_CODE.test(body)) {
+      inList = LIST_ITEM.test(body);
+    }
+
+    // Indented code block
+    if (!inList && INDENTED_CODE.test(body) && !isBlank(line) && isBlank(previous)) {
+      let end = i;
+      while (end + 1 < lines.length && (INDENTED_CODE.test(content(lines[end + 1])) || isBlank(lines[end + 1]))) end++;
+      protect(lines.slice(i, end + 1).join(''), 'code');
+      i = end + 1;
+      continue;
+    }
+
+    // HTML block, up to the next blank line
+    if (HTML_BLOCK.test(body)) {
+      let end = i;
+      while (end + 1 < lines.length && !isBlank(lines[end + 1])) end++;
+      protect(lines.slice(i, end + 1).join(''));
+      i = end + 1;
+      continue;
+    }
+
+    if (isBlank(line) || REFERENCE_DEFINITION.test(body) || THEMATIC_BREAK.test(body) ||
+        SETEXT_UNDERLINE.test(body) || TABLE_DELIMITER.test(body)) {
+      protect(line);
+      i++;
+      continue;
+    }
+
+    // Table row: translate each cell, keep the pipes and padding
+    const isTableRow = body.includes('|') && (
+      (i + 1 < lines.length && TABLE_DELIMITER.test(content(lines[i + 1]))) ||
+      TABLE_DELIMITER.test(content(previous)) ||
+      tableRows.has(i - 1)
+    );
+    if (isTableRow) {
+      body.split(/(\s*(?<!\\)\|\s*)/).forEach((cell, index) => {
+        if (index % 2 === 1 || !cell.trim()) protect(cell);
+        else text(cell);
+      });
+      protect(line.slice(body.length));
+      tableRows.add(i);
+      i++;
+      continue;
+    }
+
+    // Heading, list item, blockquote or paragraph line
+    const prefix = body.match(LINE_PREFIX)[0];
+    let end = i;
+
+    // Plain paragraph lines are translated together so sentences stay whole
+    if (!prefix.trim()) {
+      while (end + 1 < lines.length && isParagraphContinuation(content(lines[end + 1]))) end++;
+    }
+
+    const block = lines.slice(i, end + 1).join('');
+    const blockBody = block.slice(prefix.length).replace(/\r?\n$/, '');
+    const suffix = blockBody.match(LINE_SUFFIX)[0];
+
+    protect(prefix);
+    text(blockBody.slice(0, blockBody.length - suffix.length));
+    protect(suffix + block.slice(prefix.length + blockBody.length));
+    i = end + 1;
+  }
+
+  return pieces;
+};
+
+/**
+ * Whether a line continues the current paragraph
+ * @param {string} body - Line without its line ending
+ * @returns {boolean} Whether the line is plain paragraph text
+ */
+const isParagraphContinuation = (body) => {
+  return Boolean(body.trim()) &&
+    !LINE_PREFIX.exec(body)[0].trim() &&
+    !FENCE_OPEN.test(body) &&
+    !HTML_BLOCK.test(body) &&
+    !REFERENCE_DEFINITION.test(body) &&
+    !THEMATIC_BREAK.test(body) &&
+    !SETEXT_UNDERLINE.test(body) &&
+    !TABLE_DELIMITER.test(body) &&
+    !body.includes('|');
+};
+
+/**
+ * Collect everything that must survive translation unchanged
+ * @param {string} markdown - Markdown document
+ * @returns {Object} { codeBlocks, inlineCode, linkTargets }
+ */
+export const extractProtectedContent = (markdown) => {
+  const pieces = parseMarkdown(markdown);
+  const protectedPieces = pieces.filter(piece => piece.type === 'protected');
+  const textPieces = pieces.filter(piece => piece.type === 'text');
+
+  const codeBlocks = protectedPieces
+    .filter(piece => piece.kind === 'code' || piece.kind === 'front_matter')
+    .map(piece => piece.value);
+
+  const inlineCode = textPieces.flatMap(piece => piece.value.match(/``[\s\S]+?``|`[^`\n]+`/g) || []);
+
+  const linkTargets = [
+    ...textPieces.flatMap(piece => [...piece.value.matchAll(/\]\(((?:[^()\s]|\([^()\s]*\))*)/g)].map(match => match[1])),
+    ...textPieces.flatMap(piece => [...piece.value.matchAll(/<((?:https?|ftp|mailto):[^>\s]+)>/g)].map(match => match[1])),
+    ...protectedPieces.flatMap(piece => [...piece.value.matchAll(/^ {0,3}\[[^\]]+\]:\s*(\S+)/gm)].map(match => match[1]))
+  ];
+
+  return { codeBlocks, inlineCode, linkTargets };
+};
+
+/**
+ * Check that code and link targets are unchanged after translation
+ * @param {string} original - Source document
+ * @param {string} translated - Rebuilt document
+ * @returns {Object} { passed, mismatches }
+ */
+export const verifyMarkdown = (original, translated) => {
+  const before = extractProtectedContent(original);
+  const after = extractProtectedContent(translated);
+  const mismatches = [];
+
+  for (const kind of Object.keys(before)) {
+    const count = Math.max(before[kind].length, after[kind].length);
+    for (let index = 0; index < count; index++) {
+      if (before[kind][index] !== after[kind][index]) {
+        mismatches.push({ kind, index, expected: before[kind][index] ?? null, actual: after[kind][index] ?? null });
+      }
+    }
+  }
+
+  return { passed: mismatches.length === 0, mismatches };
+};
+
+/**
+ * Translate a Markdown document, leaving code and structure untouched
+ * @param {Object} translator - TranzioTranslator instance
+ * @param {string} markdown - Markdown source
+ * @param {string} targetLang - Target language
+ * @param {string} sourceLang - Source language (optional)
+ * @param {Object} options - Options passed to translator.translate(), plus `concurrency`
+ * @returns {Promise<Object>} Structured translation result with a `verification` report
+ */
+export const translateMarkdown = async (translator, markdown, targetLang, sourceLang = null, options = {}) => {
+  const { concurrency = DEFAULT_CONCURRENCY, quality = false, qualityThreshold } = options;
+
+  // Quality is checked once for the whole document, not per span
+  if (quality) {
+    const documentOptions = { ...options, quality: false };
+    const result = await translateMarkdown(translator, markdown, targetLang, sourceLang, documentOptions);
+    return checkQuality(result, markdown, sourceLang,
+      (backText, backTarget, backSource) => translateMarkdown(translator, backText, backTarget, backSource, documentOptions),
+      { threshold: qualityThreshold });
+  }
+
+  const pieces = parseMarkdown(markdown);
+  const textPieces = pieces.filter(piece => piece.type === 'text');
+
+  console.log(`📝 Markdown: ${textPieces.length} text spans to translate`);
+
+  // Identical spans (repeated headings, table cells) are translated once
+  const pending = new Map();
+  const translateSpan = (value) => {
+    if (!pending.has(value)) {
+      // The translator treats the ⟦n⟧ tokens as placeholders and checks they survive
+      const { masked, spans } = maskSpans(value.replace(/\s*\n\s*/g, ' '), INLINE_PROTECTED);
+      pending.set(value, translator.translate(masked, targetLang, sourceLang, { ...options, protectPlaceholders: true })
+        .then(result => ({ ...result, translated_text: unmaskSpans(result.translated_text, spans) })));
+    }
+    return pending.get(value);
+  };
+
+  const results = await mapWithConcurrency(textPieces, concurrency, piece => translateSpan(piece.value));
+
+  let next = 0;
+  const translated = pieces.map(piece => {
+    if (piece.type === 'protected') return piece.value;
+    const result = results[next++];
+    return result.status === 'error' ? piece.value : result.translated_text;
+  }).join('');
+
+  const verification = verifyMarkdown(markdown, translated);
+  const failed = results.filter(result => result.status === 'error');
+  const errors = results.filter(result => result.error).map(result => result.error);
+
+  let status = results.every(result => result.status === 'success') ? 'success' : 'partial_success';
+  if (results.length > 0 && failed.length === results.length) status = 'error';
+  if (!verification.passed) {
+    status = 'error';
+    const [first] = verification.mismatches;
+    errors.unshift(`Markdown verification failed: ${verification.mismatches.length} protected span(s) changed (first: ${first.kind} #${first.index + 1})`);
+  }
+
+  const detected = results.find(result => !['auto-detected', 'unknown'].includes(result.source_language));
+
+  return formatStructuredOutput({
+    source_language: detected ? detected.source_language : (sourceLang || 'auto-detected'),
+    target_language: targetLang,
+    translated_text: status === 'error' ? '' : translated,
+    status,
+    error: errors.length > 0 ? errors.join('; ') : null,
+    format: 'markdown',
+    verification,
+    glossary_violations: results.flatMap(result => result.glossary_violations || []),
+    token_usage: sumTokenUsage(results.map(result => result.token_usage))
+  });
+};
+
+// Example usage:
+/*
+import TranzioTranslator from './translator.js';
+import { translateMarkdown } from './markdown.js';
+
+const translator = new TranzioTranslator();
+const result = await translateMarkdown(translator, '# Hello\n\n```js\nconsole.log(1);\n```\n', 'French');
+console.log(result.translated_text);
+*/
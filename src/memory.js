@@ -0,0 +1,180 @@
+/**
+ * Translation Memory
+ *
+ * Stores every successfully translated segment as a source/target pair
+ * and retrieves near matches for new segments. Matches are scored as a
+ * percentage from the character edit distance between the segments
+ * (after collapsing whitespace), the way CAT tools report fuzzy matches:
+ * 100% means the same text, 85% means 15% of the characters differ.
+ * Candidates are screened with trigram similarity first so the edit
+ * distance is only computed for plausible matches.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { levenshtein, trigramSimilarity } from './utils/similarity.js';
+
+// Default memory settings
+const DEFAULT_MEMORY_PATH = './data/memory.json';
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MIN_MATCH = 75;
+
+/**
+ * Collapse whitespace so layout differences do not lower the match
+ * @param {string} text - Segment text
+ * @returns {string} Normalized text
+ */
+const normalizeSegment = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Score how closely a stored segment matches a new one
+ * @param {string} text - Normalized new segment
+ * @param {string} candidate - Normalized stored segment
+ * @param {number} minScore - Lowest score worth computing exactly
+ * @returns {number} Match percentage (0-100), 0 below minScore
+ */
+export const getMatchScore = (text, candidate, minScore = 0) => {
+  if (text === candidate) return 100;
+
+  const longest = Math.max([...text].length, [...candidate].length);
+  if (longest === 0) return 0;
+
+  // Any edit distance above this cannot reach minScore
+  const maxDistance = Math.floor(longest * (1 - minScore / 100));
+  const distance = levenshtein(text, candidate, maxDistance);
+  if (distance > maxDistance) return 0;
+
+  // Never round a fuzzy match up to an exact one
+  return Math.min(99, Math.floor(100 * (1 - distance / longest)));
+};
+
+export class TranslationMemory {
+  /**
+   * @param {Object} options - Memory options
+   * @param {string} options.path - JSON file holding the stored pairs
+   * @param {number} options.maxEntries - Pairs kept before the oldest are dropped
+   * @param {number} options.minMatch - Lowest match percentage returned by findMatches()
+   */
+  constructor({
+    path: memoryPath = process.env.TRANZIO_MEMORY_PATH || DEFAULT_MEMORY_PATH,
+    maxEntries = Number(process.env.TRANZIO_MEMORY_MAX_ENTRIES || DEFAULT_MAX_ENTRIES),
+    minMatch = Number(process.env.TRANZIO_MEMORY_MIN_MATCH || DEFAULT_MIN_MATCH)
+  } = {}) {
+    this.path = memoryPath;
+    this.maxEntries = maxEntries;
+    this.minMatch = minMatch;
+    this.loading = null;
+    // Writes are chained so concurrent translations never interleave them
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the stored pairs (once)
+   * @returns {Promise<Array<Object>>} Stored pairs
+   */
+  async load() {
+    // Every caller shares the same array, which add() updates in place
+    if (!this.loading) {
+      this.loading = fs.readFile(this.path, 'utf8')
+        .then(data => JSON.parse(data))
+        .catch(() => []);
+    }
+    return this.loading;
+  }
+
+  /**
+   * Store a translated segment, replacing an older translation of it
+   * @param {string} source - Source segment
+   * @param {string} target - Translated segment
+   * @param {string} targetLang - Target language
+   * @param {string} sourceLang - Source language (optional)
+   * @param {Object} origin - Where the translation came from: { provider, model }
+   * @returns {Promise<void>}
+   */
+  async add(source, target, targetLang, sourceLang = null, { provider = null, model = null } = {}) {
+    const entries = await this.load();
+    const normalized = normalizeSegment(source);
+    if (!normalized || !target.trim()) return;
+
+    const index = entries.findIndex(entry =>
+      entry.target_language === targetLang
+      && entry.source_language === sourceLang
+      && normalizeSegment(entry.source) === normalized
+    );
+    if (index >= 0) entries.splice(index, 1);
+
+    entries.push({
+      source,
+      target,
+      source_language: sourceLang,
+      target_language: targetLang,
+      provider,
+      model,
+      updated_at: new Date().toISOString()
+    });
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+
+    this.writing = this.writing
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.writeFile(this.path, JSON.stringify(entries, null, 2));
+      })
+      .catch(error => console.error('❌ Failed to save translation memory:', error.message));
+    await this.writing;
+  }
+
+  /**
+   * Find stored segments similar to a text
+   * Pairs recorded without a source language match any source language.
+   * @param {string} text - Segment to translate
+   * @param {string} targetLang - Target language
+   * @param {string} sourceLang - Source language (optional)
+   * @param {Object} options - { minScore, limit: 3 }
+   * @returns {Promise<Array<Object>>} Matches as { score, source, target },
+   *   best first
+   */
+  async findMatches(text, targetLang, sourceLang = null, { minScore = this.minMatch, limit = 3 } = {}) {
+    const entries = await this.load();
+    const normalized = normalizeSegment(text);
+    const lowered = normalized.toLowerCase();
+    if (!normalized) return [];
+
+    return entries
+      .filter(entry => entry.target_language === targetLang)
+      .filter(entry => !sourceLang || !entry.source_language || entry.source_language === sourceLang)
+      // Trigram overlap falls off faster than edit distance, so screen loosely
+      .filter(entry => trigramSimilarity(lowered, normalizeSegment(entry.source).toLowerCase()) >= minScore / 200)
+      .map(entry => ({
+        score: getMatchScore(normalized, normalizeSegment(entry.source), minScore),
+        source: entry.source,
+        target: entry.target
+      }))
+      .filter(match => match.score >= minScore && match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get memory statistics
+   * @returns {Promise<Object>} { entries, languagePairs }
+   */
+  async getStats() {
+    const entries = await this.load();
+    const pairs = new Set(entries.map(entry => `${entry.source_language || 'auto'} → ${entry.target_language}`));
+    return { entries: entries.length, languagePairs: [...pairs].sort() };
+  }
+}
+
+// Example usage:
+/*
+import { TranslationMemory } from './memory.js';
+
+const memory = new TranslationMemory({ path: './data/memory.json' });
+await memory.add('Click Save to keep your changes', 'Cliquez sur Enregistrer pour conserver vos modifications', 'French', 'English');
+
+const matches = await memory.findMatches('Click Save to keep the changes', 'French', 'English');
+console.log(matches);
+// [{ score: 90, source: 'Click Save to keep your changes', target: 'Cliquez sur ...' }]
+*/
@@ -6,14 +6,24 @@
  * with cultural nuances, idioms, or technical terminology.
  */
 
-export const getChainOfThoughtPrompt = (text, targetLang, sourceLang = null) => {
+import { describeTargetLanguage, formatStyleSection } from './style.js';
+
+// Section headings of a plain-text answer, in the order the model writes them
+const SECTIONS = {
+  reasoning: 'REASONING',
+  translation: 'TRANSLATION',
+  culturalNotes: 'CULTURAL NOTES'
+};
+
+export const getChainOfThoughtPrompt = (text, targetLang, sourceLang = null, style = {}) => {
+  const target = describeTargetLanguage(targetLang, style);
   const sourceLangInstruction = sourceLang 
     ? `The text is in ${sourceLang}.`
     : 'Please auto-detect the source language.';
 
-  return `You are a professional translator with expertise in ${targetLang}. ${sourceLangInstruction}
+  return `You are a professional translator with expertise in ${target}. ${sourceLangInstruction}
 
-Please translate the following text to ${targetLang} by following these steps:
+Please translate the following text to ${target} by following these steps:
 
 1. First, identify the source language and any cultural context
 2. Break down the text into logical components
@@ -23,12 +33,51 @@ Please translate the following text to ${targetLang} by following these steps:
 
 Text to translate: "${text}"
 
-Please think through this step by step and then provide your final translation.`;
+${formatStyleSection(style)}Please think through this step by step, but keep your reasoning apart from the translation:
+put your notes from steps 1-4 in "reasoning", context a reader of the translation should know in "culturalNotes",
+and only the final translation in "translatedText". If you answer in plain text, use exactly these sections:
+
+${SECTIONS.reasoning}:
+<your notes from steps 1-4>
+
+${SECTIONS.translation}:
+<the final translation only>
+
+${SECTIONS.culturalNotes}:
+<cultural context, or "none">`;
+};
+
+/**
+ * Split a plain-text chain-of-thought answer into its sections
+ * Headings may be decorated with markdown ("**Translation:**", "## TRANSLATION").
+ * @param {string} response - Model answer
+ * @returns {Object|null} { translation, reasoning, culturalNotes }, or null
+ *   when the answer has no translation section
+ */
+export const parseChainOfThought = (response) => {
+  const headings = Object.values(SECTIONS).join('|');
+  // A heading ends with a colon or stands alone on its line
+  const pattern = new RegExp(`^[ \\t#*_>-]*(${headings})[ \\t*_]*(?::[ \\t*_]*|$)`, 'gim');
+  const matches = [...response.matchAll(pattern)];
+
+  const sections = {};
+  matches.forEach((match, index) => {
+    const end = index + 1 < matches.length ? matches[index + 1].index : response.length;
+    const key = Object.keys(SECTIONS).find(name => SECTIONS[name] === match[1].toUpperCase());
+    sections[key] = response.slice(match.index + match[0].length, end).trim();
+  });
+
+  if (!sections.translation) return null;
+
+  // Models often quote the translation as the prompt quotes the text
+  const translation = sections.translation.replace(/^"([\s\S]*)"$/, '$1').trim();
+  const culturalNotes = /^(none|n\/a|-)\.?$/i.test(sections.culturalNotes || '') ? '' : (sections.culturalNotes || '');
+  return { translation, reasoning: sections.reasoning || '', culturalNotes };
 };
 
 // Example usage:
 /*
-import { getChainOfThoughtPrompt } from './chainOfThought.js';
+import { getChainOfThoughtPrompt, parseChainOfThought } from './chainOfThought.js';
 
 const prompt = getChainOfThoughtPrompt(
   "It's a piece of cake",
@@ -37,4 +86,6 @@ const prompt = getChainOfThoughtPrompt(
 );
 
 console.log(prompt);
+
+const { translation, reasoning, culturalNotes } = parseChainOfThought(responseText);
 */
@@ -9,35 +9,70 @@
 import { getZeroShotPrompt } from './zeroShot.js';
 import { getOneShotPrompt } from './oneShot.js';
 import { getMultiShotPrompt } from './multiShot.js';
+import { getChainOfThoughtPrompt } from './chainOfThought.js';
+import { getLanguageName } from '../languages.js';
 
-export const getTranslationPrompt = (text, targetLang, sourceLang = null) => {
+// Idioms whose literal translation makes no sense
+const IDIOMS = [
+  /raining cats and dogs/i, /early bird/i, /actions speak/i, /book by its cover/i,
+  /piece of cake/i, /break a leg/i, /under the weather/i, /spill(ed|s)? the beans/i,
+  /once in a blue moon/i, /cost(s)? an arm and a leg/i, /bite the bullet/i,
+  /hit the nail on the head/i, /let the cat out of the bag/i, /when pigs fly/i,
+  /ball is in your court/i, /beat(ing)? around the bush/i, /kick(ed)? the bucket/i,
+  /cold feet/i, /the last straw/i, /on thin ice/i, /burn(ing|ed)? the midnight oil/i,
+  /the elephant in the room/i, /cut corners/i, /hit the sack/i, /break the ice/i
+];
+
+// References that need cultural adaptation rather than translation
+const CULTURAL_REFERENCES = [
+  /\b(thanksgiving|fourth of july|super bowl|black friday|halloween|st\.? patrick'?s day)\b/i,
+  /\b(christmas|easter|hanukkah|ramadan|eid|diwali|lunar new year|chinese new year|golden week)\b/i,
+  /\b(home run|touchdown|hail mary|slam dunk|cricket|the ashes)\b/i,
+  /\b\w+-(san|sama|kun|chan|sensei)\b/i
+];
+
+export const getTranslationPrompt = (text, targetLang, sourceLang = null, style = {}) => {
+  // Select appropriate prompt strategy
+  return getPromptByStrategy(text, targetLang, sourceLang, selectStrategy(text), style);
+};
+
+/**
+ * Pick the prompting strategy 'auto' resolves to for a text
+ * @param {string} text - Input text to analyze
+ * @returns {string} 'zero', 'one', 'multi' or 'cot'
+ */
+export const selectStrategy = (text) => {
   // Analyze text complexity
   const complexity = analyzeTextComplexity(text);
   
-  // Select appropriate prompt strategy
   if (complexity === 'simple') {
-    return getZeroShotPrompt(text, targetLang, sourceLang);
+    return 'zero';
   } else if (complexity === 'moderate') {
-    return getOneShotPrompt(text, targetLang, sourceLang);
+    return 'one';
+  } else if (complexity === 'cultural') {
+    return 'cot';
   } else {
-    return getMultiShotPrompt(text, targetLang, sourceLang);
+    return 'multi';
   }
 };
 
 /**
  * Analyze text complexity to determine the best prompting strategy
  * @param {string} text - Input text to analyze
- * @returns {string} Complexity level: 'simple', 'moderate', or 'complex'
+ * @returns {string} Complexity level: 'simple', 'moderate', 'complex', or
+ *   'cultural' for idiom-heavy or culturally loaded text
  */
 function analyzeTextComplexity(text) {
   const wordCount = text.split(/\s+/).length;
-  const hasIdioms = /(it's raining cats and dogs|early bird|actions speak|book by its cover)/i.test(text);
+  const idiomCount = IDIOMS.filter(idiom => idiom.test(text)).length;
+  const hasCulturalReferences = CULTURAL_REFERENCES.some(reference => reference.test(text));
   const hasSpecialChars = /[^\w\s.,!?;:'"()]/.test(text);
-  const hasNumbers = /\d/.test(text);
   
-  if (wordCount <= 5 && !hasIdioms && !hasSpecialChars) {
+  if (idiomCount >= 2 || hasCulturalReferences) {
+    return 'cultural';
+  } else if (wordCount <= 5 && idiomCount === 0 && !hasSpecialChars) {
     return 'simple';
-  } else if (wordCount <= 15 && !hasIdioms) {
+  } else if (wordCount <= 15 && idiomCount === 0) {
     return 'moderate';
   } else {
     return 'complex';
@@ -49,26 +84,51 @@ function analyzeTextComplexity(text) {
  * @param {string} text - Text to translate
  * @param {string} targetLang - Target language
  * @param {string} sourceLang - Source language
- * @param {string} strategy - Prompting strategy: 'zero', 'one', 'multi'
+ * @param {string} strategy - Prompting strategy: 'zero', 'one', 'multi', 'cot'
+ * @param {Object} style - Style from normalizeStyle(): { formality, tone, audience, domain, locale }
  * @returns {string} Formatted prompt
  */
-export const getPromptByStrategy = (text, targetLang, sourceLang = null, strategy = 'auto') => {
+export const getPromptByStrategy = (text, targetLang, sourceLang = null, strategy = 'auto', style = {}) => {
+  // The model reads "Portuguese" more reliably than "pt"
+  targetLang = getLanguageName(targetLang);
+  sourceLang = sourceLang ? getLanguageName(sourceLang) : null;
+
   switch (strategy) {
     case 'zero':
-      return getZeroShotPrompt(text, targetLang, sourceLang);
+      return getZeroShotPrompt(text, targetLang, sourceLang, style);
     case 'one':
-      return getOneShotPrompt(text, targetLang, sourceLang);
+      return getOneShotPrompt(text, targetLang, sourceLang, style);
     case 'multi':
-      return getMultiShotPrompt(text, targetLang, sourceLang);
+      return getMultiShotPrompt(text, targetLang, sourceLang, style);
+    case 'cot':
+      return getChainOfThoughtPrompt(text, targetLang, sourceLang, style);
     case 'auto':
     default:
-      return getTranslationPrompt(text, targetLang, sourceLang);
+      return getTranslationPrompt(text, targetLang, sourceLang, style);
+  }
+};
+
+/**
+ * Append extra requirements to a prompt built by any strategy
+ * @param {string} prompt - Prompt from one of the templates
+ * @param {Array<string>} instructions - Requirements the translation must meet
+ * @returns {string} Prompt with a requirements section
+ */
+export const appendInstructions = (prompt, instructions = []) => {
+  if (!instructions.length) {
+    return prompt;
   }
+
+  return `${prompt}
+
+Additional requirements:
+${instructions.map(instruction => `- ${instruction}`).join('\n')}`;
 };
 
 // Example usage:
 /*
 import { getTranslationPrompt, getPromptByStrategy } from './dynamic.js';
+import { normalizeStyle } from './style.js';
 
 // Auto-select best strategy
 const autoPrompt = getTranslationPrompt(
@@ -81,7 +141,8 @@ const oneShotPrompt = getPromptByStrategy(
   "Complex idiomatic expression",
   "French",
   "English",
-  "multi"
+  "multi",
+  normalizeStyle({ formality: 'casual', locale: 'fr-CA' })
 );
 
 console.log(autoPrompt);
@@ -6,12 +6,15 @@
  * It's particularly useful for complex texts with cultural nuances.
  */
 
-export const getMultiShotPrompt = (text, targetLang, sourceLang = null) => {
+import { describeTargetLanguage, formatStyleSection } from './style.js';
+
+export const getMultiShotPrompt = (text, targetLang, sourceLang = null, style = {}) => {
+  const target = describeTargetLanguage(targetLang, style);
   const sourceLangInstruction = sourceLang 
     ? `The text is in ${sourceLang}.`
     : 'Please auto-detect the source language.';
 
-  return `You are a professional translator with expertise in ${targetLang}. ${sourceLangInstruction}
+  return `You are a professional translator with expertise in ${target}. ${sourceLangInstruction}
 
 Here are several examples of high-quality translations:
 
@@ -39,11 +42,11 @@ Source: English
 Target: Italian
 Output: "Non giudicare un libro dalla copertina"
 
-Now please translate the following text to ${targetLang}, maintaining the same level of quality and cultural sensitivity:
+Now please translate the following text to ${target}, maintaining the same level of quality and cultural sensitivity:
 
 "${text}"
 
-Provide only the translated text without any additional explanations or formatting.`;
+${formatStyleSection(style)}Provide only the translated text without any additional explanations or formatting.`;
 };
 
 // Example usage:
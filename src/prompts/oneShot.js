@@ -6,7 +6,10 @@
  * style and format requirements better than zero-shot prompting.
  */
 
-export const getOneShotPrompt = (text, targetLang, sourceLang = null) => {
+import { describeTargetLanguage, formatStyleSection } from './style.js';
+
+export const getOneShotPrompt = (text, targetLang, sourceLang = null, style = {}) => {
+  const target = describeTargetLanguage(targetLang, style);
   const sourceLangInstruction = sourceLang 
     ? `The text is in ${sourceLang}.`
     : 'Please auto-detect the source language.';
@@ -20,11 +23,11 @@ Source: English
 Target: Spanish
 Output: "Buenos días, ¿cómo estás hoy?"
 
-Now please translate the following text to ${targetLang}:
+Now please translate the following text to ${target}:
 
 "${text}"
 
-Provide only the translated text without any additional explanations or formatting.`;
+${formatStyleSection(style)}Provide only the translated text without any additional explanations or formatting.`;
 };
 
 // Example usage:
@@ -34,7 +37,8 @@ import { getOneShotPrompt } from './oneShot.js';
 const prompt = getOneShotPrompt(
   "What time is the meeting?",
   "French",
-  "English"
+  "English",
+  { locale: 'fr-CA', audience: 'new employees' }
 );
 
 console.log(prompt);
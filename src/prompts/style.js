@@ -0,0 +1,146 @@
+/**
+ * Translation Style Options
+ *
+ * Formality, tone, audience, domain and locale variant shared by every
+ * prompt template. Options are normalized once so the same style always
+ * produces the same prompt text and the same cache key.
+ */
+
+import { canonicalizeTag } from '../languages.js';
+
+export const FORMALITY_LEVELS = ['formal', 'neutral', 'casual'];
+
+// Register guidance per formality level ('neutral' adds nothing)
+const FORMALITY_GUIDANCE = {
+  formal: 'Use a formal register: polite forms of address (e.g. "vous", "Sie", "usted"), no slang or contractions.',
+  casual: 'Use a casual, conversational register: familiar forms of address (e.g. "tu", "du", "tú") and natural everyday phrasing.'
+};
+
+// Conventions of the domains we translate most
+const DOMAIN_GUIDANCE = {
+  legal: 'This is legal text: keep the wording precise and unambiguous, use established legal terminology and do not simplify or paraphrase obligations.',
+  medical: 'This is medical text: use standard clinical terminology, keep dosages, units and measurements exact, and never soften warnings.',
+  marketing: 'This is marketing copy: adapt slogans and wordplay so they persuade native readers rather than translating them literally.',
+  ui: 'This is user-interface text: keep strings short, use the imperative for actions, and follow the platform conventions of the target language for buttons and menus.'
+};
+
+// Locale variants that differ enough to name them in the prompt
+const LOCALE_NAMES = {
+  'pt-BR': 'Brazilian Portuguese',
+  'pt-PT': 'European Portuguese',
+  'es-ES': 'Castilian Spanish (Spain)',
+  'es-MX': 'Mexican Spanish',
+  'es-419': 'Latin American Spanish',
+  'en-US': 'American English',
+  'en-GB': 'British English',
+  'fr-FR': 'French as used in France',
+  'fr-CA': 'Canadian French',
+  'de-DE': 'German as used in Germany',
+  'de-CH': 'Swiss Standard German',
+  'zh-Hans': 'Simplified Chinese',
+  'zh-Hant': 'Traditional Chinese',
+  'zh-CN': 'Simplified Chinese (Mainland China)',
+  'zh-TW': 'Traditional Chinese (Taiwan)',
+  'zh-HK': 'Traditional Chinese (Hong Kong)'
+};
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Validate and normalize style options
+ * Unset, empty and default values are dropped, so `{}` and
+ * `{ formality: 'neutral', domain: 'general' }` describe the same style.
+ * @param {Object} options - { formality, tone, audience, domain, locale }
+ * @returns {Object} Normalized style with only the fields that change the prompt
+ * @throws {Error} When formality or locale is invalid
+ */
+export const normalizeStyle = ({ formality, tone, audience, domain, locale } = {}) => {
+  const style = {};
+  const clean = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '');
+
+  if (formality) {
+    const level = clean(formality).toLowerCase();
+    if (!FORMALITY_LEVELS.includes(level)) {
+      throw new Error(`Invalid formality "${formality}". Expected one of: ${FORMALITY_LEVELS.join(', ')}`);
+    }
+    if (level !== 'neutral') style.formality = level;
+  }
+  if (clean(tone)) style.tone = clean(tone);
+  if (clean(audience)) style.audience = clean(audience);
+  if (clean(domain) && clean(domain).toLowerCase() !== 'general') {
+    style.domain = clean(domain).toLowerCase();
+  }
+  if (locale) {
+    if (!LOCALE_PATTERN.test(clean(locale).replace(/_/g, '-'))) {
+      throw new Error(`Invalid locale "${locale}". Expected a tag such as pt-BR or en-GB`);
+    }
+    style.locale = canonicalizeTag(clean(locale));
+  }
+
+  return style;
+};
+
+/**
+ * Describe the target language, including its locale variant
+ * @param {string} targetLang - Target language
+ * @param {Object} style - Normalized style
+ * @returns {string} e.g. "Portuguese (Brazilian Portuguese, pt-BR)"
+ */
+export const describeTargetLanguage = (targetLang, style = {}) => {
+  if (!style.locale) return targetLang;
+  const name = LOCALE_NAMES[style.locale];
+  return `${targetLang} (${name ? `${name}, ` : ''}${style.locale})`;
+};
+
+/**
+ * Build the style requirements of a prompt
+ * @param {Object} style - Normalized style
+ * @returns {Array<string>} One requirement per style option
+ */
+export const getStyleInstructions = (style = {}) => {
+  const instructions = [];
+
+  if (style.locale) {
+    const name = LOCALE_NAMES[style.locale] || `the ${style.locale} locale`;
+    instructions.push(`Write in ${name}: use its spelling, vocabulary, date and number formats rather than those of other variants.`);
+  }
+  if (style.formality) {
+    instructions.push(FORMALITY_GUIDANCE[style.formality]);
+  }
+  if (style.tone) {
+    instructions.push(`Use a ${style.tone} tone.`);
+  }
+  if (style.audience) {
+    instructions.push(`The intended audience is ${style.audience}; choose vocabulary and phrasing they will understand.`);
+  }
+  if (style.domain) {
+    instructions.push(DOMAIN_GUIDANCE[style.domain]
+      || `This is ${style.domain} text: use the terminology and conventions of the ${style.domain} domain.`);
+  }
+
+  return instructions;
+};
+
+/**
+ * Format the style section inserted into every template
+ * @param {Object} style - Normalized style
+ * @returns {string} Section followed by a blank line, or an empty string
+ */
+export const formatStyleSection = (style = {}) => {
+  const instructions = getStyleInstructions(style);
+  if (instructions.length === 0) return '';
+
+  return `Style:
+${instructions.map(instruction => `- ${instruction}`).join('\n')}
+
+`;
+};
+
+// Example usage:
+/*
+import { normalizeStyle, describeTargetLanguage, formatStyleSection } from './style.js';
+
+const style = normalizeStyle({ formality: 'formal', domain: 'legal', locale: 'pt_br' });
+console.log(describeTargetLanguage('Portuguese', style)); // "Portuguese (Brazilian Portuguese, pt-BR)"
+console.log(formatStyleSection(style));
+*/
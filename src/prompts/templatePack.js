@@ -0,0 +1,240 @@
+/**
+ * Prompt Template Packs
+ *
+ * A template pack is a directory of prompt files that replaces the
+ * built-in templates without touching the code. Files are named after the
+ * strategy they serve, optionally narrowed to a domain and/or a language
+ * pair given as names or codes (`any` matches every source language):
+ *
+ *   zero.txt                   every zero-shot prompt
+ *   zero.legal.txt             zero-shot prompts for the legal domain
+ *   zero.english-french.txt    zero-shot prompts from English to French
+ *   zero.en-fr.txt             the same, by ISO code
+ *   zero.legal.any-german.txt  legal zero-shot prompts into German
+ *
+ * A single hyphenated qualifier is a language pair only when both sides
+ * are languages, so `zero.e-commerce.txt` is a domain template. The most
+ * specific file wins; strategies without a file keep the built-in
+ * template. Every file is parsed and validated when the pack is loaded,
+ * language names included, so a typo fails the run up front instead of on
+ * the first call.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseTemplate, getTemplateNames, renderNodes } from '../utils/template.js';
+import { sha256 } from '../utils/hash.js';
+import { describeTargetLanguage, formatStyleSection } from './style.js';
+import { getLanguageName, findLanguage, resolveLanguage } from '../languages.js';
+
+export const TEMPLATE_STRATEGIES = ['zero', 'one', 'multi', 'cot'];
+
+// Placeholders a template may use, and those it must use
+export const TEMPLATE_VARIABLES = [
+  'user_input',
+  'target_language',
+  'source_language',
+  'style',
+  'strategy',
+  'domain',
+  'locale',
+  'formality',
+  'tone',
+  'audience'
+];
+const REQUIRED_VARIABLES = ['user_input', 'target_language'];
+
+const TEMPLATE_EXTENSION = '.txt';
+// Source language of a pair that matches every source language
+const ANY_SOURCE = 'any';
+
+/**
+ * Read a qualifier as a <source>-<target> language pair
+ * Language tags contain hyphens too, so every split point is tried.
+ * @param {string} qualifier - e.g. "english-french", "en-pt-br" or "any-german"
+ * @returns {Object|null} { source, target } as language names (source null for `any`),
+ *   or null when no split names two languages
+ */
+const findLanguagePair = (qualifier) => {
+  const parts = qualifier.split('-');
+  for (let i = 1; i < parts.length; i++) {
+    const source = parts.slice(0, i).join('-');
+    const target = findLanguage(parts.slice(i).join('-'));
+    if (target && (source === ANY_SOURCE || findLanguage(source))) {
+      return { source: source === ANY_SOURCE ? null : findLanguage(source).name, target: target.name };
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse a template file name
+ * @param {string} file - File name, e.g. "zero.legal.any-german.txt"
+ * @returns {Object} { strategy, domain, source, target }, with the languages as names
+ * @throws {Error} When the name does not follow the naming scheme or names an unknown language
+ */
+const parseTemplateName = (file) => {
+  const [strategy, ...qualifiers] = path.basename(file, TEMPLATE_EXTENSION).toLowerCase().split('.');
+  if (!TEMPLATE_STRATEGIES.includes(strategy)) {
+    throw new Error(`unknown strategy "${strategy}" (expected one of: ${TEMPLATE_STRATEGIES.join(', ')})`);
+  }
+  if (qualifiers.length > 2 || qualifiers.some(qualifier => !qualifier)) {
+    throw new Error(`expected <strategy>[.<domain>][.<source>-<target>]${TEMPLATE_EXTENSION}`);
+  }
+
+  const last = qualifiers[qualifiers.length - 1];
+  const pair = last ? findLanguagePair(last) : null;
+  if (qualifiers.length === 2 && !pair) {
+    // After a domain only a pair can follow; name the language that is wrong
+    const [source, ...target] = last.split('-');
+    if (target.length > 0) {
+      if (source !== ANY_SOURCE) resolveLanguage(source);
+      resolveLanguage(target.join('-'));
+    }
+    throw new Error(`expected <strategy>[.<domain>][.<source>-<target>]${TEMPLATE_EXTENSION}`);
+  }
+  if (pair) qualifiers.pop();
+  if (!pair && last?.includes('-') && last.split('-').some(part => findLanguage(part))) {
+    console.log(`⚠️  ${file}: "${last}" is no language pair, so it is read as a domain`);
+  }
+
+  return {
+    strategy,
+    domain: qualifiers[0] || null,
+    source: pair?.source || null,
+    target: pair?.target || null
+  };
+};
+
+/**
+ * Rank how specifically a template matches a request
+ * A domain match outranks a language match, as in the glossary.
+ * Domains are compared as plain names, so the `it` domain is no Italian.
+ * @param {Object} template - Loaded template
+ * @param {Object} request - { domain, sourceLang, targetLang }
+ * @returns {number} Rank, or -1 when the template does not apply
+ */
+const getMatchRank = (template, { domain, sourceLang, targetLang }) => {
+  const sameLanguage = (name, input) => Boolean(input) && getLanguageName(input) === name;
+
+  if (template.domain && template.domain !== domain?.toLowerCase()) return -1;
+  if (template.target && !sameLanguage(template.target, targetLang)) return -1;
+  if (template.source && !sameLanguage(template.source, sourceLang)) return -1;
+
+  return (template.domain ? 4 : 0) + (template.target ? 2 : 0) + (template.source ? 1 : 0);
+};
+
+export class TemplatePack {
+  /**
+   * @param {string} dir - Directory the templates were read from
+   * @param {Array<Object>} templates - Templates as { file, strategy, domain, source, target, nodes, hash }
+   */
+  constructor(dir, templates) {
+    this.dir = dir;
+    this.templates = templates;
+  }
+
+  /**
+   * Read and validate every template of a directory
+   * @param {string} dir - Template directory
+   * @returns {Promise<TemplatePack>} Loaded pack
+   * @throws {Error} Listing every invalid file, or when the directory holds no templates
+   */
+  static async load(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir);
+    } catch (error) {
+      throw new Error(`Cannot read prompt template directory ${dir}: ${error.code === 'ENOENT' ? 'not found' : error.message}`);
+    }
+    const files = entries.filter(file => file.endsWith(TEMPLATE_EXTENSION)).sort();
+    const templates = [];
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const source = await fs.readFile(path.join(dir, file), 'utf8');
+        const nodes = parseTemplate(source, { variables: TEMPLATE_VARIABLES });
+        const names = getTemplateNames(nodes);
+        const missing = REQUIRED_VARIABLES.filter(name => !names.has(name));
+        if (missing.length > 0) {
+          throw new Error(`missing required placeholder ${missing.map(name => `{{${name}}}`).join(', ')}`);
+        }
+        templates.push({ file, ...parseTemplateName(file), nodes, hash: sha256(source) });
+      } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid prompt templates in ${dir}:\n  ${errors.join('\n  ')}`);
+    }
+    if (templates.length === 0) {
+      throw new Error(`No prompt templates (*${TEMPLATE_EXTENSION}) found in ${dir}`);
+    }
+
+    console.log(`📝 Loaded ${templates.length} prompt templates from ${dir}`);
+    return new TemplatePack(dir, templates);
+  }
+
+  /**
+   * Find the most specific template for a request
+   * @param {string} strategy - Resolved prompt strategy
+   * @param {Object} request - { domain, sourceLang, targetLang }
+   * @returns {Object|null} Template, or null to use the built-in one
+   */
+  resolve(strategy, request) {
+    let best = null;
+    let bestRank = -1;
+    this.templates
+      .filter(template => template.strategy === strategy)
+      .forEach(template => {
+        const rank = getMatchRank(template, request);
+        if (rank > bestRank) {
+          best = template;
+          bestRank = rank;
+        }
+      });
+    return best;
+  }
+
+  /**
+   * Render the prompt of a request
+   * @param {Object} template - Template from resolve()
+   * @param {string} text - Text to translate
+   * @param {string} targetLang - Target language
+   * @param {string} sourceLang - Source language (optional)
+   * @param {string} strategy - Resolved prompt strategy
+   * @param {Object} style - Style from normalizeStyle()
+   * @returns {string} Prompt, without the trailing newline files usually end with
+   */
+  render(template, text, targetLang, sourceLang, strategy, style = {}) {
+    return renderNodes(template.nodes, {
+      user_input: text,
+      target_language: describeTargetLanguage(getLanguageName(targetLang), style),
+      source_language: sourceLang ? getLanguageName(sourceLang) : '',
+      style: formatStyleSection(style).trimEnd(),
+      strategy,
+      domain: style.domain,
+      locale: style.locale,
+      formality: style.formality,
+      tone: style.tone,
+      audience: style.audience
+    }).trimEnd();
+  }
+}
+
+// Example usage:
+/*
+import { TemplatePack } from './templatePack.js';
+
+// prompts/zero.txt:
+// Translate{{#source_language}} from {{source_language}}{{/source_language}} into {{target_language}}.
+// {{#style}}{{{style}}}
+// {{/style}}
+// "{{user_input}}"
+
+const pack = await TemplatePack.load('./prompts');
+const template = pack.resolve('zero', { domain: null, sourceLang: 'English', targetLang: 'French' });
+console.log(pack.render(template, 'Hello', 'French', 'English', 'zero', {}));
+*/
@@ -6,18 +6,21 @@
  * can infer the expected output format from the instruction alone.
  */
 
-export const getZeroShotPrompt = (text, targetLang, sourceLang = null) => {
+import { describeTargetLanguage, formatStyleSection } from './style.js';
+
+export const getZeroShotPrompt = (text, targetLang, sourceLang = null, style = {}) => {
+  const target = describeTargetLanguage(targetLang, style);
   const sourceLangInstruction = sourceLang 
     ? `The text is in ${sourceLang}.`
     : 'Please auto-detect the source language.';
 
   return `You are a professional translator. ${sourceLangInstruction}
 
-Please translate the following text to ${targetLang}:
+Please translate the following text to ${target}:
 
 "${text}"
 
-Provide only the translated text without any additional explanations or formatting.`;
+${formatStyleSection(style)}Provide only the translated text without any additional explanations or formatting.`;
 };
 
 // Example usage:
@@ -27,7 +30,8 @@ import { getZeroShotPrompt } from './zeroShot.js';
 const prompt = getZeroShotPrompt(
   "Hello, how are you?",
   "Spanish",
-  "English"
+  "English",
+  { formality: 'formal' }
 );
 
 console.log(prompt);
@@ -0,0 +1,186 @@
+/**
+ * Cassette Providers (record / replay)
+ *
+ * The recording provider wraps a real provider and stores every request
+ * together with its raw response in a cassette directory, one JSON file
+ * per request. The replay provider serves those responses offline and
+ * throws on any request that was never recorded, so tests and demos are
+ * reproducible without an API key.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { hashObject } from '../utils/hash.js';
+
+// Default cassette directory
+const DEFAULT_CASSETTE_DIR = './data/cassettes';
+
+/**
+ * Build the part of a request that identifies it on disk
+ * @param {Object} request - Provider request
+ * @param {string} model - Model name
+ * @returns {Object} Request fingerprint
+ */
+const getRequestFingerprint = (request, model) => ({
+  model,
+  contents: request.contents,
+  generationConfig: request.generationConfig || null,
+  tools: request.tools || null
+});
+
+/**
+ * Get the cassette file path for a request
+ * @param {string} dir - Cassette directory
+ * @param {Object} fingerprint - Request fingerprint
+ * @returns {Object} Cassette key and file path
+ */
+const getCassetteFile = (dir, fingerprint) => {
+  const key = hashObject(fingerprint);
+  return { key, file: path.join(dir, `${key}.json`) };
+};
+
+/**
+ * Convert an SDK response into plain JSON
+ * @param {Object} response - Gemini response
+ * @returns {Object} Serializable response
+ */
+const serializeResponse = (response) => {
+  let text = null;
+  try {
+    text = response.text();
+  } catch (error) {
+    // Blocked or empty responses throw from text(); replay does the same
+  }
+
+  return {
+    candidates: response.candidates || [],
+    promptFeedback: response.promptFeedback || null,
+    usageMetadata: response.usageMetadata || null,
+    text
+  };
+};
+
+/**
+ * Rebuild an SDK-like response from a cassette
+ * @param {Object} stored - Serialized response
+ * @returns {Object} Response exposing text()
+ */
+const deserializeResponse = (stored) => ({
+  candidates: stored.candidates,
+  promptFeedback: stored.promptFeedback,
+  usageMetadata: stored.usageMetadata,
+  text: () => {
+    if (stored.text === null) {
+      throw new Error('Recorded response has no text');
+    }
+    return stored.text;
+  }
+});
+
+export class RecordingProvider {
+  /**
+   * @param {Object} provider - Provider whose responses are recorded
+   * @param {Object} options - Recorder options
+   * @param {string} options.dir - Cassette directory
+   */
+  constructor(provider, { dir = DEFAULT_CASSETTE_DIR } = {}) {
+    this.name = provider.name;
+    this.model = provider.model;
+    this.offline = provider.offline;
+    this.provider = provider;
+    this.dir = dir;
+  }
+
+  /**
+   * Forward the request and record the response
+   * @param {Object} request - Provider request
+   * @returns {Promise<Object>} Result exposing `response`
+   */
+  async generateContent(request) {
+    const result = await this.provider.generateContent(request);
+    const fingerprint = getRequestFingerprint(request, request.model || this.model);
+    const { key, file } = getCassetteFile(this.dir, fingerprint);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      key,
+      provider: this.name,
+      recordedAt: new Date().toISOString(),
+      request: fingerprint,
+      response: serializeResponse(result.response)
+    }, null, 2));
+
+    console.log(`📼 Recorded response to ${file}`);
+    return result;
+  }
+}
+
+export class ReplayProvider {
+  /**
+   * @param {Object} options - Replay options
+   * @param {string} options.dir - Cassette directory
+   * @param {string} options.model - Model name the cassettes were recorded with
+   */
+  constructor({ dir = DEFAULT_CASSETTE_DIR, model = process.env.GEMINI_MODEL || 'gemini-pro' } = {}) {
+    this.name = 'replay';
+    this.model = model;
+    this.offline = true;
+    this.dir = dir;
+  }
+
+  /**
+   * Serve a recorded response
+   * @param {Object} request - Provider request
+   * @returns {Promise<Object>} Result exposing `response`
+   * @throws {Error} When no cassette matches the request
+   */
+  async generateContent(request) {
+    const fingerprint = getRequestFingerprint(request, request.model || this.model);
+    const { key, file } = getCassetteFile(this.dir, fingerprint);
+
+    let cassette;
+    try {
+      cassette = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Replay miss: no recorded response for request ${key} in ${this.dir} (re-run in record mode to capture it)`);
+    }
+
+    console.log(`📼 Replayed response from ${file}`);
+    return { response: deserializeResponse(cassette.response) };
+  }
+}
+
+/**
+ * Wrap a provider according to the cassette mode
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} options - Cassette options
+ * @param {string} options.mode - 'record', 'replay' or 'off'
+ * @param {string} options.dir - Cassette directory
+ * @returns {Object} Provider
+ */
+export const withCassette = (provider, { mode = 'off', dir = DEFAULT_CASSETTE_DIR } = {}) => {
+  switch (mode) {
+    case 'record':
+      return new RecordingProvider(provider, { dir });
+    case 'replay':
+      return new ReplayProvider({ dir, model: provider.model });
+    case 'off':
+      return provider;
+    default:
+      throw new Error(`Unknown cassette mode "${mode}". Expected record, replay or off`);
+  }
+};
+
+// Example usage:
+/*
+import { LocalProvider } from './local.js';
+import { withCassette } from './cassette.js';
+
+// Record once...
+const recorder = withCassette(new LocalProvider(), { mode: 'record', dir: './fixtures' });
+await recorder.generateContent(request);
+
+// ...then replay offline
+const player = withCassette(new LocalProvider(), { mode: 'replay', dir: './fixtures' });
+const { response } = await player.generateContent(request);
+*/
@@ -0,0 +1,49 @@
+/**
+ * Gemini Provider
+ *
+ * Sends translation requests to Google's Gemini API through the
+ * official SDK. This is the default provider.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export class GeminiProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.model - Gemini model name
+   */
+  constructor({ apiKey = process.env.GEMINI_API_KEY, model = process.env.GEMINI_MODEL || 'gemini-pro' } = {}) {
+    this.name = 'gemini';
+    this.model = model;
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.client = this.genAI.getGenerativeModel({ model });
+    this.clients = new Map([[model, this.client]]);
+  }
+
+  /**
+   * Generate content for a translation request
+   * @param {Object} request - Request with contents, generationConfig, tools, metadata
+   *   and an optional `model` overriding the provider's model
+   * @returns {Promise<Object>} SDK result exposing `response`
+   */
+  async generateContent(request) {
+    // Metadata is for local providers only, the API rejects unknown fields
+    const { metadata, model = this.model, ...payload } = request;
+    if (!this.clients.has(model)) {
+      this.clients.set(model, this.genAI.getGenerativeModel({ model }));
+    }
+    return this.clients.get(model).generateContent(payload);
+  }
+}
+
+// Example usage:
+/*
+import { GeminiProvider } from './gemini.js';
+
+const provider = new GeminiProvider({ model: 'gemini-pro' });
+const result = await provider.generateContent({
+  contents: [{ role: 'user', parts: [{ text: 'Translate "Hello" to French' }] }]
+});
+console.log(result.response.text());
+*/
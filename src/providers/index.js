@@ -0,0 +1,58 @@
+/**
+ * Translation Providers
+ *
+ * A provider turns a translation request into a Gemini-shaped response.
+ * Every provider exposes `name`, `model` and
+ * `generateContent(request) → Promise<{ response }>`, where `request`
+ * holds the Gemini `contents`, `generationConfig` and `tools` plus a
+ * `metadata` object ({ text, targetLang, sourceLang, domain }) for providers
+ * that do not read the prompt. An optional `model` asks for a different
+ * model than the provider's default; providers with a single model ignore it.
+ * Providers that answer without calling an API (local, replay) set
+ * `offline`, so their output is never stored as an approved translation.
+ */
+
+import { GeminiProvider } from './gemini.js';
+import { LocalProvider } from './local.js';
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  local: LocalProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name: 'gemini' or 'local'
+ * @param {Object} options - Options passed to the provider constructor
+ * @returns {Object} Provider instance
+ */
+export const createProvider = (name = process.env.TRANZIO_PROVIDER || 'gemini', options = {}) => {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown provider "${name}". Available providers: ${getProviderNames().join(', ')}`);
+  }
+
+  return new Provider(options);
+};
+
+/**
+ * Get the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+export const getProviderNames = () => Object.keys(PROVIDERS);
+
+export { GeminiProvider, LocalProvider };
+export { RecordingProvider, ReplayProvider, withCassette } from './cassette.js';
+export { ResilientProvider, ProviderError, classifyError, withResilience } from './resilient.js';
+
+// Example usage:
+/*
+import { createProvider } from './providers/index.js';
+
+const provider = createProvider('local');
+const result = await provider.generateContent({
+  contents: [{ role: 'user', parts: [{ text: 'Translate "hello" to Spanish' }] }],
+  metadata: { text: 'hello', targetLang: 'Spanish' }
+});
+*/
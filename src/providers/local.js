@@ -0,0 +1,105 @@
+/**
+ * Local Provider
+ *
+ * Deterministic, offline stand-in for Gemini. Glossary terms found in the
+ * text are substituted and everything else is echoed back; text without
+ * any known term is wrapped in a `[TargetLang]` marker. Responses use the
+ * same shape as the Gemini SDK (function call parts and usage metadata)
+ * so the rest of the pipeline runs unchanged on air-gapped machines and
+ * in tests.
+ */
+
+import { getTermPattern } from '../rag.js';
+import { loadGlossary, migrateGlossary, resolveGlossaryTerms, DO_NOT_TRANSLATE } from '../glossaryStore.js';
+import { estimateTokens } from '../utils/tokenLogger.js';
+
+export class LocalProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.glossary - Glossary to use instead of the glossary file (either format)
+   */
+  constructor({ glossary = null } = {}) {
+    this.name = 'local';
+    this.model = 'local';
+    this.offline = true;
+    this.glossary = glossary && migrateGlossary(glossary);
+  }
+
+  /**
+   * Generate a deterministic response for a translation request
+   * @param {Object} request - Request with contents, generationConfig, tools and metadata
+   * @returns {Promise<Object>} Gemini-shaped result exposing `response`
+   */
+  async generateContent(request) {
+    const { text = '', targetLang = '', sourceLang = null, domain = null } = request.metadata || {};
+    const glossary = this.glossary || await loadGlossary();
+
+    const substituted = substituteTerms(text, resolveGlossaryTerms(glossary, targetLang, sourceLang, domain));
+    const translatedText = substituted === text ? `[${targetLang}] ${text}` : substituted;
+
+    const args = {
+      text,
+      sourceLang: sourceLang || 'auto-detected',
+      targetLang,
+      translatedText,
+      confidence: substituted === text ? 0 : 0.5
+    };
+
+    const prompt = (request.contents || [])
+      .flatMap(content => content.parts || [])
+      .map(part => part.text || '')
+      .join('');
+    const promptTokenCount = estimateTokens(prompt);
+    const candidatesTokenCount = estimateTokens(translatedText);
+    const useFunctionCall = Boolean(request.tools && request.tools.length);
+
+    return {
+      response: {
+        candidates: [{
+          content: {
+            role: 'model',
+            parts: [useFunctionCall
+              ? { functionCall: { name: 'translate_text', args } }
+              : { text: translatedText }]
+          },
+          finishReason: 'STOP',
+          index: 0
+        }],
+        usageMetadata: {
+          promptTokenCount,
+          candidatesTokenCount,
+          totalTokenCount: promptTokenCount + candidatesTokenCount
+        },
+        text: () => useFunctionCall ? JSON.stringify(args) : translatedText
+      }
+    };
+  }
+}
+
+/**
+ * Replace glossary terms in the text, longest phrases first
+ * @param {string} text - Source text
+ * @param {Map<string, Object>} terms - Resolved glossary terms
+ * @returns {string} Text with known terms replaced
+ */
+const substituteTerms = (text, terms) => {
+  return [...terms.keys()]
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, term) => {
+      const { translation } = terms.get(term);
+      // Do-not-translate terms are left as they are
+      return translation === DO_NOT_TRANSLATE ? result : result.replace(getTermPattern(term), translation);
+    }, text);
+};
+
+// Example usage:
+/*
+import { LocalProvider } from './local.js';
+
+const provider = new LocalProvider();
+const result = await provider.generateContent({
+  contents: [{ role: 'user', parts: [{ text: 'Translate "hello" to Spanish' }] }],
+  metadata: { text: 'hello', targetLang: 'Spanish' }
+});
+console.log(result.response.candidates[0].content.parts[0]);
+*/
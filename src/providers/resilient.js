@@ -0,0 +1,212 @@
+/**
+ * Resilient Provider
+ *
+ * Adapter around any provider that adds per-request timeouts, exponential
+ * backoff with jitter on transient failures (429, 5xx, network errors and
+ * timeouts) and a rate limiter shared by every concurrent call. Errors that
+ * survive the retries are raised as ProviderError with their
+ * classification so callers can report why the request failed.
+ */
+
+import { RateLimiter, sleep } from '../utils/rateLimiter.js';
+import { estimateTokens } from '../utils/tokenLogger.js';
+
+// Defaults follow the documented policy: 1s, 2s, 4s backoff, max 3 attempts
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 8000;
+const DEFAULT_JITTER = 0.25;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Error raised when a provider call fails for good
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure classification
+   * @param {string} details.type - Error type (rate_limit, server, network, timeout, auth, invalid_request, unknown)
+   * @param {boolean} details.retryable - Whether the error is transient
+   * @param {number} details.attempts - Number of attempts made
+   * @param {number|null} details.status - HTTP status, when known
+   */
+  constructor(message, { type, retryable, attempts, status = null }) {
+    super(message);
+    this.name = 'ProviderError';
+    this.type = type;
+    this.retryable = retryable;
+    this.attempts = attempts;
+    this.status = status;
+  }
+}
+
+/**
+ * Classify a provider error as retryable or fatal
+ * @param {Error} error - Error thrown by the provider
+ * @returns {Object} Classification: { type, retryable, status }
+ */
+export const classifyError = (error) => {
+  const message = error?.message || '';
+  const statusMatch = message.match(/\[(\d{3})[\s\]]/);
+  const status = error?.status || (statusMatch ? Number(statusMatch[1]) : null);
+
+  if (error?.name === 'TimeoutError') {
+    return { type: 'timeout', retryable: true, status };
+  }
+  if (status === 429 || /quota|rate limit|resource.?exhausted/i.test(message)) {
+    return { type: 'rate_limit', retryable: true, status };
+  }
+  if (status && status >= 500) {
+    return { type: 'server', retryable: true, status };
+  }
+  if (status === 401 || status === 403 || /api key/i.test(message)) {
+    return { type: 'auth', retryable: false, status };
+  }
+  if (status && status >= 400) {
+    return { type: 'invalid_request', retryable: false, status };
+  }
+  if (/fetch failed|network|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(message)) {
+    return { type: 'network', retryable: true, status };
+  }
+
+  return { type: 'unknown', retryable: false, status };
+};
+
+/**
+ * Compute the backoff delay before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - Backoff options
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, { baseDelay = DEFAULT_BASE_DELAY_MS, maxDelay = DEFAULT_MAX_DELAY_MS, jitter = DEFAULT_JITTER } = {}) => {
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+  return Math.round(delay + delay * jitter * Math.random());
+};
+
+/**
+ * Reject if the promise does not settle in time
+ * @param {Promise} promise - Promise to guard
+ * @param {number} timeout - Timeout in milliseconds (0 disables it)
+ * @returns {Promise} Guarded promise
+ */
+const withTimeout = (promise, timeout) => {
+  if (!timeout) return promise;
+
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Request timed out after ${timeout}ms`);
+      error.name = 'TimeoutError';
+      reject(error);
+    }, timeout);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+export class ResilientProvider {
+  /**
+   * @param {Object} provider - Provider to wrap
+   * @param {Object} options - Resilience options
+   * @param {number} options.maxAttempts - Maximum attempts per request
+   * @param {number} options.baseDelay - First backoff delay in milliseconds
+   * @param {number} options.maxDelay - Upper bound for a single backoff delay
+   * @param {number} options.jitter - Random extra delay as a fraction of the delay
+   * @param {number} options.timeout - Per-attempt timeout in milliseconds
+   * @param {number} options.qps - Requests per second limit (0 = unlimited)
+   * @param {number} options.tokensPerMinute - Tokens per minute limit (0 = unlimited)
+   * @param {RateLimiter} options.rateLimiter - Limiter to share with other providers
+   */
+  constructor(provider, {
+    maxAttempts = Number(process.env.TRANZIO_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS),
+    baseDelay = Number(process.env.TRANZIO_RETRY_BASE_MS || DEFAULT_BASE_DELAY_MS),
+    maxDelay = DEFAULT_MAX_DELAY_MS,
+    jitter = DEFAULT_JITTER,
+    timeout = Number(process.env.TRANZIO_TIMEOUT_MS || DEFAULT_TIMEOUT_MS),
+    qps = Number(process.env.TRANZIO_QPS || 0),
+    tokensPerMinute = Number(process.env.TRANZIO_TPM || 0),
+    rateLimiter = null
+  } = {}) {
+    this.name = provider.name;
+    this.model = provider.model;
+    this.offline = provider.offline;
+    this.provider = provider;
+    this.options = { maxAttempts, baseDelay, maxDelay, jitter, timeout };
+    this.rateLimiter = rateLimiter || new RateLimiter({ qps, tokensPerMinute });
+  }
+
+  /**
+   * Generate content with rate limiting, timeouts and retries
+   * @param {Object} request - Provider request
+   * @returns {Promise<Object>} Result exposing `response`
+   * @throws {ProviderError} When the request fails for good
+   */
+  async generateContent(request) {
+    const { maxAttempts, timeout } = this.options;
+    const estimatedTokens = estimateRequestTokens(request);
+
+    for (let attempt = 1; ; attempt++) {
+      const reservation = await this.rateLimiter.acquire(estimatedTokens);
+
+      try {
+        const result = await withTimeout(this.provider.generateContent(request), timeout);
+        reservation.settle(result?.response?.usageMetadata?.totalTokenCount);
+        return result;
+      } catch (error) {
+        const classification = classifyError(error);
+
+        if (!classification.retryable || attempt >= maxAttempts) {
+          const summary = classification.retryable
+            ? `gave up after ${attempt} attempt${attempt === 1 ? '' : 's'}`
+            : 'not retryable';
+          throw new ProviderError(
+            `[${classification.type}] ${error.message} (${summary})`,
+            { ...classification, attempts: attempt }
+          );
+        }
+
+        const delay = getBackoffDelay(attempt, this.options);
+        console.log(`🔁 ${classification.type} error on attempt ${attempt}/${maxAttempts}, retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+/**
+ * Estimate the tokens a request will consume (prompt plus output cap)
+ * @param {Object} request - Provider request
+ * @returns {number} Estimated tokens
+ */
+const estimateRequestTokens = (request) => {
+  const prompt = (request.contents || [])
+    .flatMap(content => content.parts || [])
+    .map(part => part.text || '')
+    .join('');
+  return estimateTokens(prompt) + (request.generationConfig?.maxOutputTokens || 0);
+};
+
+/**
+ * Wrap a provider with retries, timeouts and rate limiting
+ * @param {Object} provider - Provider to wrap
+ * @param {Object|false} options - ResilientProvider options, or false to skip wrapping
+ * @returns {Object} Provider
+ */
+export const withResilience = (provider, options = {}) => {
+  return options === false ? provider : new ResilientProvider(provider, options);
+};
+
+// Example usage:
+/*
+import { GeminiProvider } from './gemini.js';
+import { withResilience } from './resilient.js';
+
+const provider = withResilience(new GeminiProvider(), {
+  maxAttempts: 3,
+  timeout: 15000,
+  qps: 1,
+  tokensPerMinute: 32000
+});
+
+const { response } = await provider.generateContent(request);
+*/
@@ -0,0 +1,110 @@
+/**
+ * Back-Translation Quality Check
+ *
+ * Translates a result back into the source language and compares the
+ * back-translation with the original text. The score combines chrF and
+ * token F1, so it measures how much of the original wording survives
+ * the round trip rather than true meaning; paraphrases score lower than
+ * they deserve. It is meant for triage: strings below the threshold are
+ * flagged for a human reviewer together with the spans that diverged.
+ */
+
+import { chrF, tokenF1, findDivergentSpans } from './utils/similarity.js';
+import { sumTokenUsage } from './utils/tokenLogger.js';
+
+// Strings scoring below this are flagged for review
+export const DEFAULT_QUALITY_THRESHOLD = Number(process.env.TRANZIO_QUALITY_THRESHOLD || 0.5);
+
+// chrF copes better with inflection, token F1 with word choice
+const CHRF_WEIGHT = 0.6;
+
+/**
+ * Score a back-translation against the original text
+ * @param {string} original - Original source text
+ * @param {string} backTranslation - Translation back into the source language
+ * @returns {Object} { score, chrf, token_f1, divergent_spans }
+ */
+export const scoreBackTranslation = (original, backTranslation) => {
+  const chrf = chrF(backTranslation, original);
+  const f1 = tokenF1(backTranslation, original);
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    score: round(CHRF_WEIGHT * chrf + (1 - CHRF_WEIGHT) * f1),
+    chrf: round(chrf),
+    token_f1: round(f1),
+    divergent_spans: findDivergentSpans(original, backTranslation)
+  };
+};
+
+/**
+ * Attach a back-translation quality report to a translation result
+ * @param {Object} result - Structured translation result
+ * @param {string} text - Original source text
+ * @param {string} sourceLang - Source language (falls back to the detected one)
+ * @param {Function} backTranslate - (text, targetLang, sourceLang) => Promise<result>
+ * @param {Object} options - { threshold }
+ * @returns {Promise<Object>} Result with a `quality` field
+ */
+export const checkQuality = async (result, text, sourceLang, backTranslate, options = {}) => {
+  const { threshold = DEFAULT_QUALITY_THRESHOLD } = options;
+
+  if (result.status === 'error') {
+    return result;
+  }
+
+  const originalLang = sourceLang
+    || (['auto-detected', 'unknown'].includes(result.source_language) ? null : result.source_language);
+
+  if (!originalLang) {
+    return {
+      ...result,
+      quality: {
+        score: null,
+        flagged: true,
+        error: 'Source language unknown; pass a source language to check quality'
+      }
+    };
+  }
+
+  console.log(`🔁 Back-translating to ${originalLang} for quality check`);
+  const back = await backTranslate(result.translated_text, originalLang, result.target_language);
+
+  if (back.status === 'error') {
+    return {
+      ...result,
+      quality: { score: null, flagged: true, error: `Back-translation failed: ${back.error}` }
+    };
+  }
+
+  const scores = scoreBackTranslation(text, back.translated_text);
+  const flagged = scores.score < threshold;
+  console.log(`${flagged ? '🚩' : '✅'} Quality score: ${scores.score} (threshold ${threshold})`);
+
+  return {
+    ...result,
+    quality: {
+      score: scores.score,
+      chrf: scores.chrf,
+      token_f1: scores.token_f1,
+      threshold,
+      flagged,
+      back_translation: back.translated_text,
+      divergent_spans: scores.divergent_spans
+    },
+    // The round trip is paid for like any other call
+    token_usage: sumTokenUsage([result.token_usage, back.token_usage])
+  };
+};
+
+// Example usage:
+/*
+import TranzioTranslator from './translator.js';
+
+const translator = new TranzioTranslator();
+const result = await translator.translate('The meeting starts at noon', 'French', 'English', { quality: true });
+
+console.log(result.quality.score);           // e.g. 0.82
+console.log(result.quality.back_translation); // e.g. 'The meeting begins at midday'
+console.log(result.quality.divergent_spans);
+*/
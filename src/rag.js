@@ -3,106 +3,84 @@
  * 
  * This module maintains a local glossary of frequently used words and phrases
  * to reduce API calls and improve response time for common translations.
+ * Glossary terms found inside longer texts are also passed to the model as
+ * binding requirements and checked in the translation afterwards.
+ *
+ * Whole segments come from the translation memory: exact (100%) matches
+ * are returned directly and close fuzzy matches are given to the model
+ * as reference translations.
  */
 
-import fs from 'fs/promises';
-import path from 'path';
 import { createSuccessResponse } from './utils/structuredOutput.js';
+import { hashObject } from './utils/hash.js';
+import { TranslationMemory } from './memory.js';
+import { getLanguageName } from './languages.js';
+import {
+  loadGlossary,
+  saveGlossary,
+  getGlossaryEntries,
+  findGlossaryEntry,
+  setGlossaryEntry,
+  resolveGlossaryTerms,
+  createProvenance,
+  normalizeTerm,
+  ANY_LANGUAGE,
+  DO_NOT_TRANSLATE,
+  DEFAULT_DOMAIN
+} from './glossaryStore.js';
 
-// Default glossary path
-const GLOSSARY_PATH = './data/glossary.json';
+// Shared translation memory of previously translated segments
+const memory = new TranslationMemory();
 
 /**
- * Local glossary for common translations
- * This can be expanded with domain-specific terminology
+ * Language under which translation-memory segments are stored
+ * Locale variants and styles keep separate segments, so pt-BR never
+ * reuses pt-PT and a casual request never gets a formal translation.
+ * @param {string} targetLang - Target language
+ * @param {Object} style - Normalized style (locale, formality, tone, audience, domain)
+ * @returns {string} e.g. "Portuguese (pt-BR, formal, domain: legal)"
  */
-const DEFAULT_GLOSSARY = {
-  "hello": {
-    "Spanish": "hola",
-    "French": "bonjour",
-    "German": "hallo",
-    "Italian": "ciao",
-    "Portuguese": "olá",
-    "Russian": "привет",
-    "Japanese": "こんにちは",
-    "Korean": "안녕하세요",
-    "Chinese": "你好",
-    "Arabic": "مرحبا"
-  },
-  "goodbye": {
-    "Spanish": "adiós",
-    "French": "au revoir",
-    "German": "auf wiedersehen",
-    "Italian": "arrivederci",
-    "Portuguese": "adeus",
-    "Russian": "до свидания",
-    "Japanese": "さようなら",
-    "Korean": "안녕히 가세요",
-    "Chinese": "再见",
-    "Arabic": "مع السلامة"
-  },
-  "thank you": {
-    "Spanish": "gracias",
-    "French": "merci",
-    "German": "danke",
-    "Italian": "grazie",
-    "Portuguese": "obrigado",
-    "Russian": "спасибо",
-    "Japanese": "ありがとう",
-    "Korean": "감사합니다",
-    "Chinese": "谢谢",
-    "Arabic": "شكرا"
-  },
-  "yes": {
-    "Spanish": "sí",
-    "French": "oui",
-    "German": "ja",
-    "Italian": "sì",
-    "Portuguese": "sim",
-    "Russian": "да",
-    "Japanese": "はい",
-    "Korean": "네",
-    "Chinese": "是",
-    "Arabic": "نعم"
-  },
-  "no": {
-    "Spanish": "no",
-    "French": "non",
-    "German": "nein",
-    "Italian": "no",
-    "Portuguese": "não",
-    "Russian": "нет",
-    "Japanese": "いいえ",
-    "Korean": "아니요",
-    "Chinese": "不",
-    "Arabic": "لا"
-  }
+export const getMemoryLanguage = (targetLang, style = {}) => {
+  const qualifiers = [
+    style.locale,
+    style.formality,
+    style.tone && `tone: ${style.tone}`,
+    style.audience && `audience: ${style.audience}`,
+    style.domain && `domain: ${style.domain}`
+  ].filter(Boolean);
+  return qualifiers.length > 0 ? `${targetLang} (${qualifiers.join(', ')})` : targetLang;
 };
 
 /**
- * Check if translation exists in local glossary
+ * Check if translation exists in local glossary or translation memory
  * @param {string} text - Text to translate
  * @param {string} targetLang - Target language
  * @param {string} sourceLang - Source language (optional)
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.memory - Also look for exact translation-memory matches (default: true)
+ * @param {string} options.domain - Domain glossary to apply on top of the general one
+ * @param {Object} options.style - Normalized style whose memory segments may be reused
  * @returns {Object|null} Translation result if found, null otherwise
  */
-export const checkRAG = async (text, targetLang, sourceLang = null) => {
+export const checkRAG = async (text, targetLang, sourceLang = null, { memory: useMemory = true, domain = null, style = {} } = {}) => {
+  // "es" and "Spanish" share glossary entries and memory segments
+  targetLang = getLanguageName(targetLang);
+  sourceLang = sourceLang ? getLanguageName(sourceLang) : null;
+
   try {
     // Load glossary
-    const glossary = await loadGlossary();
-    
-    // Normalize text for lookup
-    const normalizedText = text.toLowerCase().trim();
+    const terms = resolveGlossaryTerms(await loadGlossary(), targetLang, sourceLang, domain);
     
     // Check if exact match exists
-    if (glossary[normalizedText] && glossary[normalizedText][targetLang]) {
-      const translation = glossary[normalizedText][targetLang];
+    const entry = terms.get(normalizeTerm(text));
+    if (entry) {
+      const translation = entry.translation === DO_NOT_TRANSLATE ? text.trim() : entry.translation;
       
       console.log(`🎯 RAG hit: Found "${text}" → "${translation}" in local glossary`);
       
       return createSuccessResponse(
         translation,
-        sourceLang || 'auto-detected',
+        sourceLang || (entry.source_language !== ANY_LANGUAGE ? entry.source_language : 'auto-detected'),
         targetLang,
         {
           confidence: 1.0,
@@ -112,11 +90,22 @@ export const checkRAG = async (text, targetLang, sourceLang = null) => {
       );
     }
     
-    // Check for partial matches (for longer phrases)
-    const partialMatch = findPartialMatch(normalizedText, targetLang, glossary);
-    if (partialMatch) {
-      console.log(`🎯 RAG partial hit: Found partial match for "${text}"`);
-      return partialMatch;
+    // A segment translated before is reused as is
+    const [exact] = useMemory
+      ? await findMemoryMatches(text, getMemoryLanguage(targetLang, style), sourceLang, { minScore: 100, limit: 1 })
+      : [];
+    if (exact) {
+      console.log(`🎯 Memory hit: Found a 100% match for "${text}"`);
+      return createSuccessResponse(
+        exact.target,
+        sourceLang || 'auto-detected',
+        targetLang,
+        {
+          confidence: 1.0,
+          cultural_notes: 'Retrieved from translation memory (100% match)',
+          source: 'memory'
+        }
+      );
     }
     
     return null; // No match found, proceed with API call
@@ -128,55 +117,152 @@ export const checkRAG = async (text, targetLang, sourceLang = null) => {
 };
 
 /**
- * Load glossary from file or use default
- * @returns {Object} Glossary object
+ * Get a short hash identifying the current glossary contents
+ * Used in cache keys so edited glossaries invalidate cached translations.
+ * Only terms and translations count: provenance dates and authors do not
+ * change a translation.
+ * @returns {Promise<string>} Glossary version hash
+ */
+export const getGlossaryVersion = async () => {
+  const entries = getGlossaryEntries(await loadGlossary())
+    .map(({ provenance, ...entry }) => entry);
+  return hashObject(entries).slice(0, 16);
+};
+
+/**
+ * Build a case-insensitive pattern matching a term as a whole word
+ * @param {string} term - Glossary term
+ * @returns {RegExp} Global pattern
  */
-const loadGlossary = async () => {
+export const getTermPattern = (term) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+/**
+ * Find the glossary terms used in a text
+ * Longer terms win over the shorter terms they contain, so "thank you"
+ * is reported once rather than also as "you".
+ * @param {string} text - Source text
+ * @param {string} targetLang - Target language
+ * @param {Object} options - Lookup options
+ * @param {string} options.sourceLang - Source language (optional)
+ * @param {string} options.domain - Domain glossary to apply (optional)
+ * @param {Object} options.store - Glossary to search (default: the glossary file)
+ * @returns {Promise<Array<Object>>} Terms as { term, source, translation, doNotTranslate },
+ *   where `source` is the term as written in the text
+ */
+export const findGlossaryTerms = async (text, targetLang, { sourceLang = null, domain = null, store = null } = {}) => {
+  const resolved = resolveGlossaryTerms(store || await loadGlossary(), targetLang, sourceLang, domain);
+  const claimed = [];
+  const found = [];
+
+  const terms = [...resolved.keys()]
+    .filter(term => term.trim())
+    .sort((a, b) => b.length - a.length);
+
+  for (const term of terms) {
+    for (const match of text.matchAll(getTermPattern(term))) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (claimed.some(range => start < range.end && end > range.start)) continue;
+
+      claimed.push({ start, end });
+      const { translation } = resolved.get(term);
+      const doNotTranslate = translation === DO_NOT_TRANSLATE;
+      // Each distinct spelling is reported once
+      if (!found.some(item => item.term === term && item.source === match[0])) {
+        found.push({ term, source: match[0], translation: doNotTranslate ? match[0] : translation, doNotTranslate });
+      }
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Turn glossary terms into prompt requirements
+ * @param {Array<Object>} terms - Terms from findGlossaryTerms()
+ * @returns {Array<string>} One requirement per term
+ */
+export const getGlossaryInstructions = (terms) => {
+  return terms.map(({ source, translation, doNotTranslate }) => doNotTranslate
+    ? `Keep "${source}" exactly as written; it must not be translated.`
+    : `Translate "${source}" as "${translation}" (required glossary term).`);
+};
+
+/**
+ * Check that a translation uses the required glossary terms
+ * Target terms are matched case-insensitively; do-not-translate terms
+ * must appear exactly as written in the source.
+ * @param {string} translatedText - Translated text
+ * @param {Array<Object>} terms - Terms from findGlossaryTerms()
+ * @returns {Array<Object>} Violations as { term, expected, type }
+ */
+export const checkGlossaryTerms = (translatedText, terms) => {
+  const lowered = translatedText.toLowerCase();
+
+  return terms
+    .filter(({ translation, doNotTranslate }) => doNotTranslate
+      ? !translatedText.includes(translation)
+      : !lowered.includes(translation.toLowerCase()))
+    .map(({ source, translation, doNotTranslate }) => ({
+      term: source,
+      expected: translation,
+      type: doNotTranslate ? 'do_not_translate' : 'term'
+    }));
+};
+
+/**
+ * Describe glossary violations
+ * @param {Array<Object>} violations - Result of checkGlossaryTerms()
+ * @returns {string} Error message
+ */
+export const describeGlossaryViolations = (violations) => {
+  const details = violations.map(({ term, expected, type }) => type === 'do_not_translate'
+    ? `"${term}" was translated`
+    : `"${term}" not rendered as "${expected}"`);
+  return `Glossary violation: ${details.join(', ')}`;
+};
+
+/**
+ * Find translation-memory segments similar to a text
+ * @param {string} text - Segment to translate
+ * @param {string} targetLang - Target language
+ * @param {string} sourceLang - Source language (optional)
+ * @param {Object} options - { minScore, limit } (see TranslationMemory#findMatches)
+ * @returns {Promise<Array<Object>>} Matches as { score, source, target }, best first
+ */
+export const findMemoryMatches = async (text, targetLang, sourceLang = null, options = {}) => {
   try {
-    // Try to load from file
-    const data = await fs.readFile(GLOSSARY_PATH, 'utf8');
-    return JSON.parse(data);
+    return await memory.findMatches(text, targetLang, sourceLang, options);
   } catch (error) {
-    // File doesn't exist or can't be read, use default
-    console.log('📚 Using default glossary (no custom file found)');
-    return DEFAULT_GLOSSARY;
+    console.error('❌ Translation memory error:', error.message);
+    return [];
   }
 };
 
 /**
- * Find partial matches in glossary
- * @param {string} text - Text to search for
+ * Store a translated segment in the translation memory
+ * @param {string} sourceText - Source segment
+ * @param {string} translatedText - Translated segment
  * @param {string} targetLang - Target language
- * @param {Object} glossary - Glossary object
- * @returns {Object|null} Partial match result or null
+ * @param {string} sourceLang - Source language (optional)
+ * @param {Object} origin - Provider and model that produced the translation: { provider, model }
+ * @returns {Promise<void>}
  */
-const findPartialMatch = (text, targetLang, glossary) => {
-  const words = text.split(/\s+/);
-  
-  // Check if all words exist in glossary
-  const allWordsFound = words.every(word => 
-    glossary[word] && glossary[word][targetLang]
-  );
-  
-  if (allWordsFound) {
-    // Construct translation from individual words
-    const translation = words.map(word => 
-      glossary[word][targetLang]
-    ).join(' ');
-    
-    return createSuccessResponse(
-      translation,
-      'auto-detected',
-      targetLang,
-      {
-        confidence: 0.9,
-        cultural_notes: 'Constructed from individual word translations',
-        source: 'rag_partial'
-      }
-    );
-  }
-  
-  return null;
+export const addToMemory = async (sourceText, translatedText, targetLang, sourceLang = null, origin = {}) => {
+  await memory.add(sourceText, translatedText, targetLang, sourceLang, origin);
+};
+
+/**
+ * Turn fuzzy translation-memory matches into prompt references
+ * @param {Array<Object>} matches - Matches from findMemoryMatches()
+ * @returns {Array<string>} One requirement per match
+ */
+export const getMemoryInstructions = (matches) => {
+  return matches.map(({ score, source, target }) =>
+    `Use this approved translation of a similar sentence (${score}% match) as a reference for terminology and style, adapting it to the differences: "${source}" → "${target}"`);
 };
 
 /**
@@ -184,26 +270,36 @@ const findPartialMatch = (text, targetLang, glossary) => {
  * @param {string} sourceText - Source text
  * @param {string} translatedText - Translated text
  * @param {string} targetLang - Target language
- * @param {string} sourceLang - Source language
+ * @param {string} sourceLang - Source language (optional; the entry then applies to any source)
+ * @param {Object} options - Entry options
+ * @param {string} options.domain - Domain glossary (default: 'general')
+ * @param {string} options.origin - Provenance origin (default: 'manual')
+ * @param {string} options.author - Author recorded in the provenance
  * @returns {Promise<boolean>} Success status
  */
-export const addToGlossary = async (sourceText, translatedText, targetLang, sourceLang) => {
+export const addToGlossary = async (sourceText, translatedText, targetLang, sourceLang, {
+  domain = DEFAULT_DOMAIN,
+  origin = 'manual',
+  author = null
+} = {}) => {
   try {
-    const glossary = await loadGlossary();
-    const normalizedText = sourceText.toLowerCase().trim();
-    
-    if (!glossary[normalizedText]) {
-      glossary[normalizedText] = {};
-    }
-    
-    glossary[normalizedText][targetLang] = translatedText;
+    const store = await loadGlossary();
+    const key = { domain, sourceLang: sourceLang || ANY_LANGUAGE, targetLang, term: sourceText };
+    const existing = findGlossaryEntry(store, key);
+    const provenance = createProvenance(origin, { author });
     
-    // Ensure directory exists
-    const dir = path.dirname(GLOSSARY_PATH);
-    await fs.mkdir(dir, { recursive: true });
+    setGlossaryEntry(store, {
+      term: sourceText,
+      translation: translatedText,
+      source_language: key.sourceLang,
+      target_language: targetLang,
+      domain,
+      // Updates keep the original creation date
+      provenance: existing ? { ...provenance, created_at: existing.provenance?.created_at || provenance.created_at } : provenance
+    });
     
     // Save updated glossary
-    await fs.writeFile(GLOSSARY_PATH, JSON.stringify(glossary, null, 2));
+    await saveGlossary(store);
     
     console.log(`💾 Added "${sourceText}" → "${translatedText}" to glossary`);
     return true;
@@ -214,22 +310,30 @@ export const addToGlossary = async (sourceText, translatedText, targetLang, sour
   }
 };
 
+/**
+ * Get translation memory statistics
+ * @returns {Promise<Object>} { entries, languagePairs }
+ */
+export const getMemoryStats = async () => memory.getStats();
+
 /**
  * Get glossary statistics
+ * An entry is one term of one domain and source language; a translation
+ * is one of its target languages.
  * @returns {Object} Glossary statistics
  */
 export const getGlossaryStats = async () => {
   try {
-    const glossary = await loadGlossary();
-    const totalEntries = Object.keys(glossary).length;
-    const totalTranslations = Object.values(glossary).reduce((sum, entry) => 
-      sum + Object.keys(entry).length, 0
-    );
+    const entries = getGlossaryEntries(await loadGlossary());
+    const totalEntries = new Set(entries.map(entry => `${entry.domain}\u0000${entry.source_language}\u0000${entry.term}`)).size;
+    const totalTranslations = entries.length;
     
     return {
       totalEntries,
       totalTranslations,
-      averageTranslationsPerEntry: totalEntries > 0 ? (totalTranslations / totalEntries).toFixed(2) : 0
+      averageTranslationsPerEntry: totalEntries > 0 ? (totalTranslations / totalEntries).toFixed(2) : 0,
+      domains: [...new Set(entries.map(entry => entry.domain))].sort(),
+      languagePairs: [...new Set(entries.map(entry => `${entry.source_language} → ${entry.target_language}`))].sort()
     };
   } catch (error) {
     return { error: error.message };
@@ -238,7 +342,13 @@ export const getGlossaryStats = async () => {
 
 // Example usage:
 /*
-import { checkRAG, addToGlossary, getGlossaryStats } from './rag.js';
+import {
+  checkRAG,
+  addToGlossary,
+  getGlossaryStats,
+  findGlossaryTerms,
+  getGlossaryInstructions
+} from './rag.js';
 
 // Check for existing translation
 const result = await checkRAG("hello", "Spanish");
@@ -246,6 +356,16 @@ const result = await checkRAG("hello", "Spanish");
 // Add new translation
 await addToGlossary("good morning", "buenos días", "Spanish", "English");
 
+// Domain-specific German → French term
+await addToGlossary("Rechnung", "facture", "French", "German", { domain: "billing", author: "ana" });
+
+// Keep a brand name untranslated in every language
+await addToGlossary("tranzio", "*", "*");
+
+// Terms a longer text must respect
+const terms = await findGlossaryTerms("Thank you for using Tranzio", "French", { sourceLang: "English" });
+console.log(getGlossaryInstructions(terms));
+
 // Get statistics
 const stats = await getGlossaryStats();
 console.log(stats);
@@ -0,0 +1,168 @@
+/**
+ * Text Segmenter
+ *
+ * Splits long documents into segments that fit a token budget so each
+ * translation request stays well inside the model's output cap. Text is
+ * split at blank lines into paragraphs; a single line break is ordinary
+ * whitespace, so hard-wrapped prose stays together. Paragraphs over the
+ * budget are split on sentence boundaries and, for oversized sentences,
+ * on word boundaries. Consecutive paragraphs and sentences are then
+ * packed into segments up to the budget. The whitespace between segments
+ * is never sent to the model: it is kept verbatim and put back when the
+ * translated segments are reassembled.
+ */
+
+import { estimateTokens } from './utils/tokenLogger.js';
+
+// Whitespace runs containing a blank line separate paragraphs
+const PARAGRAPH_BREAK = /(\s*\n[^\S\n]*\n\s*)/;
+
+// Whitespace following sentence-ending punctuation; CJK full stops need none
+const SENTENCE_BREAK = /((?<=[.!?…])\s+|(?<=[。！？])\s*)/;
+
+/**
+ * Split text into units at the given separator, keeping the separators
+ * The text is expected to be trimmed, so every separator sits between
+ * two units.
+ * @param {string} text - Text to split
+ * @param {RegExp} separator - Separator pattern with one capture group
+ * @returns {Array<Object>} Units as { before, text }
+ */
+const splitKeepingSeparators = (text, separator) => {
+  const pieces = text.split(separator);
+  const units = [];
+  let pending = '';
+
+  for (let i = 0; i < pieces.length; i += 2) {
+    const before = pending + (i > 0 ? pieces[i - 1] : '');
+    if (pieces[i]) {
+      units.push({ before, text: pieces[i] });
+      pending = '';
+    } else {
+      // Empty piece between two separators: fold into the next unit's prefix
+      pending = before;
+    }
+  }
+
+  return units;
+};
+
+/**
+ * Put a separator in front of the first of a list of units
+ * @param {string} before - Separator preceding the units
+ * @param {Array<Object>} units - Units as { before, text }
+ * @returns {Array<Object>} Units with the separator prepended
+ */
+const withBefore = (before, units) => {
+  return units.map((unit, index) => (index === 0 ? { ...unit, before: before + unit.before } : unit));
+};
+
+/**
+ * Cut unbroken text into character slices within the budget
+ * @param {string} text - Text without whitespace
+ * @param {number} maxTokens - Token budget
+ * @returns {Array<Object>} Units as { before, text }
+ */
+const sliceText = (text, maxTokens) => {
+  const slices = [];
+  for (let start = 0; start < text.length;) {
+    // Four characters per token to start with (see estimateTokens()),
+    // shrunk until the slice fits for denser scripts such as CJK
+    let end = Math.min(text.length, start + Math.max(1, maxTokens * 4));
+    while (end - start > 1 && estimateTokens(text.slice(start, end)) > maxTokens) {
+      end = start + Math.max(1, Math.floor((end - start) * maxTokens / estimateTokens(text.slice(start, end))));
+    }
+    slices.push({ before: '', text: text.slice(start, end) });
+    start = end;
+  }
+  return slices;
+};
+
+/**
+ * Split a unit that is too large for the budget on word boundaries,
+ * falling back to character slices for unbroken text
+ * @param {string} text - Oversized text
+ * @param {number} maxTokens - Token budget
+ * @returns {Array<Object>} Units as { before, text }
+ */
+const splitOversized = (text, maxTokens) => {
+  const words = splitKeepingSeparators(text, /(\s+)/);
+  if (words.length <= 1) {
+    return sliceText(text, maxTokens);
+  }
+
+  return words.flatMap(word => estimateTokens(word.text) > maxTokens
+    ? withBefore(word.before, sliceText(word.text, maxTokens))
+    : [word]);
+};
+
+/**
+ * Greedily merge consecutive units while they fit the budget
+ * @param {Array<Object>} units - Units as { before, text }
+ * @param {number} maxTokens - Token budget
+ * @returns {Array<Object>} Packed units
+ */
+const pack = (units, maxTokens) => {
+  return units.reduce((packed, unit) => {
+    const last = packed[packed.length - 1];
+    if (last && estimateTokens(last.text + unit.before + unit.text) <= maxTokens) {
+      last.text += unit.before + unit.text;
+    } else {
+      packed.push({ ...unit });
+    }
+    return packed;
+  }, []);
+};
+
+/**
+ * Split text into segments within a token budget
+ * @param {string} text - Text to segment
+ * @param {number} maxTokens - Maximum estimated tokens per segment
+ * @returns {Object} { segments: [{ before, text }], trailing }
+ */
+export const segmentText = (text, maxTokens = 300) => {
+  const leading = text.match(/^\s*/)[0];
+  const trailing = text.slice(leading.length).match(/\s*$/)[0];
+  const body = text.slice(leading.length, text.length - trailing.length);
+
+  // Paragraphs that fit stay whole; larger ones break into sentences
+  const units = splitKeepingSeparators(body, PARAGRAPH_BREAK).flatMap(paragraph => {
+    if (estimateTokens(paragraph.text) <= maxTokens) {
+      return [paragraph];
+    }
+
+    return withBefore(paragraph.before, splitKeepingSeparators(paragraph.text, SENTENCE_BREAK)
+      .flatMap(sentence => estimateTokens(sentence.text) > maxTokens
+        ? withBefore(sentence.before, splitOversized(sentence.text, maxTokens))
+        : [sentence]));
+  });
+
+  const segments = pack(units, maxTokens);
+
+  if (segments.length > 0) {
+    segments[0].before = leading + segments[0].before;
+  }
+
+  return { segments, trailing: segments.length > 0 ? trailing : leading + trailing };
+};
+
+/**
+ * Reassemble translated segments with the original whitespace
+ * @param {Object} layout - Result of segmentText()
+ * @param {Array<string>} translations - Translated text for each segment
+ * @returns {string} Reassembled text
+ */
+export const reassembleSegments = (layout, translations) => {
+  return layout.segments
+    .map((segment, index) => segment.before + translations[index])
+    .join('') + layout.trailing;
+};
+
+// Example usage:
+/*
+import { segmentText, reassembleSegments } from './segmenter.js';
+
+const layout = segmentText(longDocument, 300);
+const translations = layout.segments.map(segment => segment.text.toUpperCase());
+console.log(reassembleSegments(layout, translations));
+*/
@@ -0,0 +1,413 @@
+/**
+ * HTTP Server Mode
+ *
+ * Exposes the translator as a JSON API using Node's built-in `http`
+ * module. Translation work goes through a bounded queue; when the queue
+ * is full requests are rejected with 503 instead of piling up. On SIGINT
+ * or SIGTERM the server stops accepting connections and waits for queued
+ * work to finish before exiting. Translations refused by the usage budget
+ * are answered with 429.
+ *
+ * Routes:
+ *   POST /translate        { text, target, source?, strategy?, model?, temperature?, noCache?, detect?,
+ *                            domain?, formality?, tone?, audience?, locale?, quality?, candidates?, verbose? }
+ *   POST /translate/batch  { items: [{ text, target?, source? }], target?, source?, ... }
+ *   GET  /languages        names, ISO codes, native names and text direction
+ *   GET  /glossary         ?text=...&target=...&source=...&domain=... to look up a single entry
+ *   POST /glossary         { text, translation, target, source?, domain?, author? }
+ *   GET  /usage
+ */
+
+import http from 'http';
+import { checkRAG, addToGlossary, getGlossaryStats } from './rag.js';
+import { getTokenUsageSummary } from './utils/tokenLogger.js';
+import { normalizeStyle } from './prompts/style.js';
+import { resolveLanguage, isAutoDetect } from './languages.js';
+import { WorkQueue } from './utils/workQueue.js';
+import { MAX_CANDIDATES } from './candidates.js';
+
+// Default server settings
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024; // 1 MB
+const DEFAULT_MAX_BATCH_ITEMS = 100;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 30000;
+const STRATEGIES = ['auto', 'zero', 'one', 'multi', 'cot'];
+
+/**
+ * Error with an HTTP status code
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying `statusCode`
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ */
+const sendJson = (res, statusCode, body, headers = {}) => {
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Maximum body size
+ * @returns {Promise<Object>} Parsed body
+ */
+const readJsonBody = async (req, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw httpError(413, `Request body exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('not an object');
+    }
+    return body;
+  } catch (error) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+};
+
+/**
+ * Validate a translation request and normalize its field names
+ * Accepts both the short (`target`, `source`) and long (`targetLang`,
+ * `sourceLang`) spellings.
+ * @param {Object} body - Request fields
+ * @param {Object} defaults - Fallback fields (batch-level settings)
+ * @returns {Object} { text, targetLang, sourceLang, options, verbose }, where `verbose` asks
+ *   for the model's chain-of-thought reasoning in the result
+ */
+const parseTranslationRequest = (body, defaults = {}) => {
+  const merged = { ...defaults, ...body };
+  const text = merged.text;
+  const targetLang = merged.target ?? merged.targetLang;
+  const sourceLang = merged.source ?? merged.sourceLang ?? null;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw httpError(400, '"text" must be a non-empty string');
+  }
+  if (typeof targetLang !== 'string' || !targetLang.trim()) {
+    throw httpError(400, '"target" must be a non-empty string');
+  }
+  if (sourceLang !== null && typeof sourceLang !== 'string') {
+    throw httpError(400, '"source" must be a string');
+  }
+  try {
+    resolveLanguage(targetLang);
+    if (!isAutoDetect(sourceLang)) resolveLanguage(sourceLang);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  const options = {};
+  if (merged.strategy !== undefined) {
+    if (!STRATEGIES.includes(merged.strategy)) {
+      throw httpError(400, `"strategy" must be one of: ${STRATEGIES.join(', ')}`);
+    }
+    options.strategy = merged.strategy;
+  }
+  if (merged.temperature !== undefined) {
+    if (typeof merged.temperature !== 'number' || merged.temperature < 0 || merged.temperature > 1) {
+      throw httpError(400, '"temperature" must be a number between 0 and 1');
+    }
+    options.temperature = merged.temperature;
+  }
+  if (merged.noCache !== undefined) {
+    options.noCache = Boolean(merged.noCache);
+  }
+  if (merged.detect !== undefined) {
+    options.detect = Boolean(merged.detect);
+  }
+  if (merged.model !== undefined) {
+    if (typeof merged.model !== 'string' || !merged.model.trim()) {
+      throw httpError(400, '"model" must be a non-empty string');
+    }
+    options.model = merged.model;
+  }
+  if (merged.domain !== undefined) {
+    if (typeof merged.domain !== 'string') {
+      throw httpError(400, '"domain" must be a string');
+    }
+    options.domain = merged.domain;
+  }
+  const styleFields = ['formality', 'tone', 'audience', 'locale'];
+  const invalidStyle = styleFields.find(field => merged[field] !== undefined && typeof merged[field] !== 'string');
+  if (invalidStyle) {
+    throw httpError(400, `"${invalidStyle}" must be a string`);
+  }
+  try {
+    Object.assign(options, normalizeStyle(Object.fromEntries(styleFields.map(field => [field, merged[field]]))));
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  if (merged.quality !== undefined) {
+    options.quality = Boolean(merged.quality);
+  }
+  if (merged.candidates !== undefined) {
+    if (!Number.isInteger(merged.candidates) || merged.candidates < 1 || merged.candidates > MAX_CANDIDATES) {
+      throw httpError(400, `"candidates" must be an integer between 1 and ${MAX_CANDIDATES}`);
+    }
+    options.candidates = merged.candidates;
+  }
+  if (merged.qualityThreshold !== undefined) {
+    if (typeof merged.qualityThreshold !== 'number' || merged.qualityThreshold < 0 || merged.qualityThreshold > 1) {
+      throw httpError(400, '"qualityThreshold" must be a number between 0 and 1');
+    }
+    options.qualityThreshold = merged.qualityThreshold;
+  }
+
+  return { text, targetLang, sourceLang, options, verbose: Boolean(merged.verbose) };
+};
+
+/**
+ * Create the HTTP server
+ * @param {Object} translator - TranzioTranslator instance
+ * @param {Object} options - Server options
+ * @param {number} options.concurrency - Translations running at once
+ * @param {number} options.maxQueue - Translations allowed to wait
+ * @param {number} options.maxBodyBytes - Maximum request body size
+ * @param {number} options.maxBatchItems - Maximum items per batch request
+ * @returns {http.Server} Server with a `queue` property
+ */
+export const createServer = (translator, {
+  concurrency = 4,
+  maxQueue = 100,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  maxBatchItems = DEFAULT_MAX_BATCH_ITEMS
+} = {}) => {
+  const queue = new WorkQueue({ concurrency, maxQueue });
+  const stats = { requests: 0, translations: 0, rejected: 0, errors: 0 };
+
+  const enqueueTranslations = (requests) => {
+    if (!queue.canAccept(requests.length)) {
+      stats.rejected++;
+      throw httpError(503, 'Server is busy, try again later');
+    }
+
+    return Promise.all(requests.map(({ text, targetLang, sourceLang, options, verbose }) => queue.push(async () => {
+      stats.translations++;
+      const result = await translator.translate(text, targetLang, sourceLang, options);
+      // The reasoning is only for callers debugging a translation
+      const { reasoning, ...rest } = result;
+      return verbose ? result : rest;
+    })));
+  };
+
+  const routes = {
+    'POST /translate': async (req, res) => {
+      const request = parseTranslationRequest(await readJsonBody(req, maxBodyBytes));
+      const [result] = await enqueueTranslations([request]);
+      // A spent budget is our quota, not an upstream failure
+      const errorStatus = result.error_type === 'budget_exceeded' ? 429 : 502;
+      sendJson(res, result.status === 'error' ? errorStatus : 200, result);
+    },
+
+    'POST /translate/batch': async (req, res) => {
+      const { items, ...defaults } = await readJsonBody(req, maxBodyBytes);
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, '"items" must be a non-empty array');
+      }
+      if (items.length > maxBatchItems) {
+        throw httpError(413, `A batch can hold at most ${maxBatchItems} items`);
+      }
+
+      const requests = items.map((item, index) => {
+        try {
+          return parseTranslationRequest(typeof item === 'string' ? { text: item } : item, defaults);
+        } catch (error) {
+          throw httpError(400, `items[${index}]: ${error.message}`);
+        }
+      });
+
+      const results = await enqueueTranslations(requests);
+      const summary = results.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+      }, { total: results.length });
+
+      sendJson(res, 200, { results, summary });
+    },
+
+    'GET /languages': async (req, res) => {
+      sendJson(res, 200, { languages: translator.getSupportedLanguages() });
+    },
+
+    'GET /glossary': async (req, res, url) => {
+      const text = url.searchParams.get('text');
+      const targetLang = url.searchParams.get('target');
+
+      if (text === null && targetLang === null) {
+        sendJson(res, 200, await getGlossaryStats());
+        return;
+      }
+      if (!text || !targetLang) {
+        throw httpError(400, 'Both "text" and "target" query parameters are required for a lookup');
+      }
+
+      const match = await checkRAG(text, targetLang, url.searchParams.get('source'), {
+        memory: false,
+        domain: url.searchParams.get('domain')
+      });
+      if (!match) {
+        throw httpError(404, `No glossary entry for "${text}" in ${targetLang}`);
+      }
+      sendJson(res, 200, match);
+    },
+
+    'POST /glossary': async (req, res) => {
+      const body = await readJsonBody(req, maxBodyBytes);
+      const targetLang = body.target ?? body.targetLang;
+      const sourceLang = body.source ?? body.sourceLang ?? null;
+
+      for (const [field, value] of [['text', body.text], ['translation', body.translation], ['target', targetLang]]) {
+        if (typeof value !== 'string' || !value.trim()) {
+          throw httpError(400, `"${field}" must be a non-empty string`);
+        }
+      }
+
+      for (const field of ['domain', 'author']) {
+        if (body[field] !== undefined && typeof body[field] !== 'string') {
+          throw httpError(400, `"${field}" must be a string`);
+        }
+      }
+      try {
+        resolveLanguage(targetLang);
+        if (sourceLang) resolveLanguage(sourceLang);
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+
+      const added = await addToGlossary(body.text, body.translation, targetLang, sourceLang, {
+        ...(body.domain && { domain: body.domain }),
+        author: body.author || null
+      });
+      if (!added) {
+        throw httpError(500, 'Failed to update glossary');
+      }
+      sendJson(res, 201, { added: true, stats: await getGlossaryStats() });
+    },
+
+    'GET /usage': async (req, res) => {
+      sendJson(res, 200, {
+        server: { ...stats },
+        queue: queue.getStats(),
+        cache: translator.cache ? translator.cache.getStats() : null,
+        tokens: await getTokenUsageSummary(),
+        budget: translator.budget ? await translator.budget.getStatus() : null
+      });
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    stats.requests++;
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${url.pathname}`];
+
+    try {
+      if (!route) {
+        const pathExists = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+        throw pathExists
+          ? httpError(405, `Method ${req.method} not allowed on ${url.pathname}`)
+          : httpError(404, `Route ${url.pathname} not found`);
+      }
+
+      await route(req, res, url);
+    } catch (error) {
+      const statusCode = error.statusCode || (error.code === 'EQUEUEFULL' ? 503 : 500);
+      if (statusCode >= 500) {
+        stats.errors++;
+        console.error(`❌ ${req.method} ${url.pathname} failed:`, error.message);
+      }
+      sendJson(res, statusCode, { error: error.message }, statusCode === 503 ? { 'Retry-After': '1' } : {});
+    }
+  });
+
+  server.queue = queue;
+  return server;
+};
+
+/**
+ * Start the server and install graceful shutdown handlers
+ * @param {Object} translator - TranzioTranslator instance
+ * @param {Object} options - Server options plus `host`, `port` and `shutdownTimeout`
+ * @returns {Promise<http.Server>} Listening server
+ */
+export const startServer = async (translator, {
+  host = '127.0.0.1',
+  port = 8000,
+  shutdownTimeout = DEFAULT_SHUTDOWN_TIMEOUT_MS,
+  ...options
+} = {}) => {
+  const server = createServer(translator, options);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  console.log(`🚀 Tranzio server listening on http://${address.address}:${address.port}`);
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    const { active, waiting } = server.queue.getStats();
+    console.log(`\n🛑 ${signal} received, finishing ${active + waiting} queued translation(s)...`);
+
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections?.();
+
+    const timer = setTimeout(() => {
+      console.error('⚠️  Shutdown timed out, exiting with work still pending');
+      process.exit(1);
+    }, shutdownTimeout);
+    timer.unref();
+
+    await server.queue.drain();
+    await closed;
+    console.log('👋 Server stopped');
+    process.exit(0);
+  };
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  return server;
+};
+
+// Example usage:
+/*
+import TranzioTranslator from './translator.js';
+import { startServer } from './server.js';
+
+const translator = new TranzioTranslator({ provider: 'local' });
+await startServer(translator, { port: 8000, concurrency: 4, maxQueue: 100 });
+
+// curl -X POST http://localhost:8000/translate \
+//   -H 'Content-Type: application/json' \
+//   -d '{"text":"Hello","target":"French"}'
+*/
@@ -1,16 +1,200 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { logTokens } from './utils/tokenLogger.js';
+import { logTokens, recordUsage, estimateTokens, toTokenUsage, sumTokenUsage, calculateCost } from './utils/tokenLogger.js';
 import { formatStructuredOutput } from './utils/structuredOutput.js';
-import { getTranslationPrompt } from './prompts/dynamic.js';
-import { getFunctionSchema } from './functions.js';
-import { checkRAG } from './rag.js';
+import { getPromptByStrategy, appendInstructions, selectStrategy } from './prompts/dynamic.js';
+import { normalizeStyle } from './prompts/style.js';
+import { parseChainOfThought } from './prompts/chainOfThought.js';
+import { TemplatePack } from './prompts/templatePack.js';
+import { resolveLanguage, isAutoDetect, getLanguageName, LANGUAGES } from './languages.js';
+import { detectLanguage } from './detector.js';
+import { getFunctionSchema, validateFunctionArgs, mapFunctionArgs } from './functions.js';
+import { extractJsonObject, looksLikeJson } from './utils/json.js';
+import {
+  checkRAG,
+  getGlossaryVersion,
+  findGlossaryTerms,
+  getGlossaryInstructions,
+  checkGlossaryTerms,
+  describeGlossaryViolations,
+  findMemoryMatches,
+  getMemoryInstructions,
+  addToMemory,
+  getMemoryLanguage
+} from './rag.js';
+import { TranslationCache, getCacheKey } from './cache.js';
+import { createProvider, withCassette, withResilience } from './providers/index.js';
+import { segmentText, reassembleSegments } from './segmenter.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { checkQuality } from './quality.js';
+import { MAX_CANDIDATES, getCandidateTemperatures, dedupeCandidates, rankCandidates } from './candidates.js';
+import { UsageBudget, BudgetExceededError, estimateRequestUsage, getMaxInputTokens } from './budget.js';
+import {
+  maskPlaceholders,
+  unmaskPlaceholders,
+  validatePlaceholders,
+  describePlaceholderErrors,
+  PLACEHOLDER_INSTRUCTION
+} from './utils/placeholders.js';
+
+const DEFAULT_SEGMENT_CONCURRENCY = 3;
+const DEFAULT_TEMPERATURE = 0.7;
+const MAX_OUTPUT_TOKENS = 500;
+// Inputs above this estimate are split so no answer, which echoes the
+// text next to its translation, runs into the output cap
+const DEFAULT_MAX_SEGMENT_TOKENS = Number(process.env.TRANZIO_MAX_SEGMENT_TOKENS || getMaxInputTokens(MAX_OUTPUT_TOKENS));
+// Chain-of-thought answers carry their reasoning as well
+const COT_MAX_OUTPUT_TOKENS = 1000;
+// Follow-up calls allowed when the model answers with malformed or incomplete arguments
+const MAX_REPAIR_ATTEMPTS = 2;
+// Detections below this confidence are reported but the model is left to work out the source
+const DETECTION_MIN_CONFIDENCE = Number(process.env.TRANZIO_DETECT_MIN_CONFIDENCE || 0.6);
+
+/**
+ * Output token cap of a request
+ * @param {string} strategy - Resolved prompt strategy
+ * @returns {number} maxOutputTokens
+ */
+const getMaxOutputTokens = (strategy) => (strategy === 'cot' ? COT_MAX_OUTPUT_TOKENS : MAX_OUTPUT_TOKENS);
+
+/**
+ * Resolve the languages of a request against the registry
+ * Codes, tags and aliases become registry names; the region or script of
+ * a target tag ("pt-BR", "zh-Hant") becomes the locale unless one is set.
+ * @param {string} targetLang - Target language as given
+ * @param {string} sourceLang - Source language as given (optional)
+ * @param {Object} options - Translation options
+ * @returns {Object} { targetLang, sourceLang, options }
+ * @throws {UnknownLanguageError} When a language is not in the registry
+ */
+const resolveRequestLanguages = (targetLang, sourceLang, options) => {
+  const target = resolveLanguage(targetLang);
+  const source = isAutoDetect(sourceLang) ? null : resolveLanguage(sourceLang);
+  return {
+    targetLang: target.name,
+    sourceLang: source ? source.name : null,
+    options: target.locale && !options.locale ? { ...options, locale: target.locale } : options
+  };
+};
+
+/**
+ * Detect the source language of a text offline
+ * A detection below DETECTION_MIN_CONFIDENCE names no language; its
+ * language only appears as `best_guess`, so it is not mistaken for one.
+ * @param {string} text - Text to translate
+ * @returns {Object|null} { language, code, confidence, method, applied }, with `applied` true when
+ *   confident enough to use as the source language, else language and code null and `best_guess`
+ *   holding { language, code }
+ */
+const detectSource = (text) => {
+  const detection = detectLanguage(text);
+  if (!detection) return null;
+  if (detection.confidence >= DETECTION_MIN_CONFIDENCE) return { ...detection, applied: true };
+
+  const { language, code, ...rest } = detection;
+  return { language: null, code: null, ...rest, applied: false, best_guess: { language, code } };
+};
+
+/**
+ * Read the answer of a structured translation request
+ * @param {Object} response - Provider response
+ * @returns {Object} { part, args, problem }: the answer part, its translate_text arguments
+ *   (also when written out as JSON text; null for plain text) and what is wrong with the
+ *   answer, or null when it can be used
+ */
+const readStructuredResponse = (response) => {
+  const candidate = response?.candidates?.[0];
+  const part = candidate?.content?.parts?.[0] || null;
+  const describe = (check) => (check.valid ? null : check.errors.join('; '));
+
+  if (part?.functionCall) {
+    const args = part.functionCall.args || null;
+    return { part, args, problem: describe(validateFunctionArgs(args)) };
+  }
+
+  const text = part?.text || '';
+  if (!text.trim()) {
+    const reason = candidate?.finishReason && candidate.finishReason !== 'STOP' ? ` (${candidate.finishReason})` : '';
+    return { part, args: null, problem: `empty answer${reason}` };
+  }
+  const json = extractJsonObject(text);
+  if (json && 'translatedText' in json) {
+    return { part, args: json, problem: describe(validateFunctionArgs(json)) };
+  }
+  if (!json && looksLikeJson(text)) {
+    return { part, args: null, problem: 'answer is not valid JSON' };
+  }
+  return { part, args: null, problem: null };
+};
+
+/**
+ * Tell the model what to fix in its previous answer
+ * @param {string} problem - What was wrong, from readStructuredResponse()
+ * @returns {string} Repair instruction
+ */
+const getRepairPrompt = (problem) => {
+  const { required } = getFunctionSchema().parameters;
+  return `Your previous answer could not be used: ${problem}. Answer again by calling translate_text with every required field (${required.join(', ')}), using the types of its schema and no other fields.`;
+};
 
 class TranzioTranslator {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({
-      model: process.env.GEMINI_MODEL || 'gemini-pro',
-    });
+  /**
+   * @param {Object} options - Translator options
+   * @param {string|Object} options.provider - Provider name ('gemini', 'local') or provider instance
+   * @param {string} options.model - Model name passed to the provider
+   * @param {Object} options.models - Model per prompt strategy ({ zero, one, multi, cot }), e.g. a
+   *   cheaper model for the short texts 'auto' sends zero-shot (default: TRANZIO_MODEL_<STRATEGY>)
+   * @param {Object} options.cassette - Record/replay settings: { mode: 'record'|'replay'|'off', dir }
+   * @param {Object|false} options.resilience - Retry, timeout and rate limit options, or false to disable them
+   * @param {Object|false} options.cache - TranslationCache options, or false to disable caching
+   * @param {Object|false} options.budget - UsageBudget options, or false to ignore configured budgets
+   * @param {string|TemplatePack} options.templates - Prompt template directory overriding the built-in
+   *   templates (default: TRANZIO_TEMPLATES_DIR)
+   */
+  constructor(options = {}) {
+    const {
+      provider = process.env.TRANZIO_PROVIDER || 'gemini',
+      model,
+      models = {
+        zero: process.env.TRANZIO_MODEL_ZERO,
+        one: process.env.TRANZIO_MODEL_ONE,
+        multi: process.env.TRANZIO_MODEL_MULTI,
+        cot: process.env.TRANZIO_MODEL_COT
+      },
+      cassette = {
+        mode: process.env.TRANZIO_CASSETTE_MODE || 'off',
+        dir: process.env.TRANZIO_CASSETTE_DIR
+      },
+      resilience = {},
+      cache = {},
+      budget = {},
+      templates = process.env.TRANZIO_TEMPLATES_DIR || null
+    } = options;
+
+    const baseProvider = typeof provider === 'string'
+      ? createProvider(provider, model ? { model } : {})
+      : provider;
+
+    // Recordings capture the final response, after any retries
+    this.provider = withCassette(withResilience(baseProvider, resilience), cassette);
+    this.cache = cache === false ? null : new TranslationCache(cache);
+    this.strategyModels = models;
+    const usageBudget = budget === false ? null : new UsageBudget(budget);
+    this.budget = usageBudget?.isLimited() ? usageBudget : null;
+    this.templates = templates;
+    this.templatePack = null;
+  }
+
+  /**
+   * Load the prompt template pack on first use
+   * @returns {Promise<TemplatePack|null>} Pack, or null when the built-in templates are used
+   * @throws {Error} When the template directory is missing or holds invalid templates
+   */
+  loadTemplates() {
+    if (!this.templatePack) {
+      this.templatePack = this.templates instanceof TemplatePack || !this.templates
+        ? Promise.resolve(this.templates || null)
+        : TemplatePack.load(this.templates);
+    }
+    return this.templatePack;
   }
 
   /**
@@ -18,55 +202,257 @@ class TranzioTranslator {
    * @param {string} text - Text to translate
    * @param {string} targetLang - Target language
    * @param {string} sourceLang - Source language (optional, will auto-detect if not provided)
+   * @param {Object} options - Translation options
+   * @param {string} options.strategy - Prompting strategy: 'auto', 'zero', 'one', 'multi', 'cot'
+   * @param {number} options.temperature - Sampling temperature (default: 0.7)
+   * @param {string} options.model - Model for this request, overriding the per-strategy models
+   * @param {boolean} options.noCache - Bypass the translation cache
+   * @param {number} options.maxSegmentTokens - Split longer inputs into segments of this size (default: derived from the output cap)
+   * @param {number} options.concurrency - Segments or candidates translated in parallel (default: 3)
+   * @param {Array<string>} options.instructions - Extra requirements appended to the prompt
+   * @param {boolean} options.protectPlaceholders - Mask placeholders and markup before prompting (default: true)
+   * @param {boolean} options.enforceGlossary - Require glossary terms found in the text (default: true)
+   * @param {boolean} options.memory - Reuse and update the translation memory (default: true)
+   * @param {boolean} options.remember - Store the result in the translation memory (default: true)
+   * @param {boolean} options.exactMatch - Answer glossary entries and exact memory matches without
+   *   calling the model (default: true)
+   * @param {string} options.domain - Domain glossary applied on top of the general one; also
+   *   steers the prompt's terminology (legal, medical, marketing, ui, ...)
+   * @param {string} options.formality - Register: 'formal', 'neutral' or 'casual'
+   * @param {string} options.tone - Tone of voice, e.g. 'friendly' or 'authoritative'
+   * @param {string} options.audience - Intended readers, e.g. 'children' or 'developers'
+   * @param {string} options.locale - Locale variant of the target language, e.g. 'pt-BR'
+   * @param {boolean} options.detect - Detect a missing source language before prompting (default: true)
+   * @param {boolean} options.quality - Back-translate the result and attach a quality report
+   * @param {number} options.qualityThreshold - Quality score below which the result is flagged (default: 0.5)
+   * @param {number} options.candidates - Generate this many candidates (at most 5) and return the
+   *   best, with every unique one ranked in `alternatives` (default: 1)
    * @returns {Object} Translation result
    */
-  async translate(text, targetLang, sourceLang = null) {
+  async translate(text, targetLang, sourceLang = null, options = {}) {
     try {
-      // Check RAG first
-      const ragResult = await checkRAG(text, targetLang, sourceLang);
+      ({ targetLang, sourceLang, options } = resolveRequestLanguages(targetLang, sourceLang, options));
+    } catch (error) {
+      return formatStructuredOutput({
+        source_language: sourceLang || 'unknown',
+        target_language: targetLang,
+        translated_text: '',
+        status: 'error',
+        error: error.message,
+        error_type: error.type,
+        retryable: error.retryable,
+        suggestions: error.suggestions
+      });
+    }
+
+    // A confident detection stands in for the source language everywhere below:
+    // glossary, memory, prompt and cache key
+    if (!sourceLang && options.detect !== false) {
+      const detection = detectSource(text);
+      if (detection) {
+        const percent = Math.round(detection.confidence * 100);
+        console.log(detection.applied
+          ? `🔎 Detected ${detection.language} (${percent}% confidence, ${detection.method})`
+          : `🔎 Source language unclear (best guess ${detection.best_guess.language} at ${percent}%), left to the model`);
+        const result = await this.translate(text, targetLang, detection.applied ? detection.language : null,
+          { ...options, detect: false });
+        return { ...result, language_detection: detection };
+      }
+    }
+
+    // Nothing to translate; a locale still asks for the text to be adapted
+    if (sourceLang === targetLang && !options.locale) {
+      await recordUsage({
+        source: 'passthrough',
+        provider: this.provider.name,
+        model: options.model || this.provider.model,
+        strategy: null,
+        source_language: sourceLang,
+        target_language: targetLang
+      });
+      return formatStructuredOutput({
+        source_language: sourceLang,
+        target_language: targetLang,
+        translated_text: text,
+        status: 'success',
+        source: 'passthrough',
+        confidence: 1.0
+      });
+    }
+
+    if (options.candidates > 1) {
+      return this.translateCandidates(text, targetLang, sourceLang, options);
+    }
+
+    if (options.quality) {
+      const translateOptions = { ...options, quality: false };
+      const result = await this.translate(text, targetLang, sourceLang, translateOptions);
+      // The style describes the target text; the back-translation should stay literal,
+      // and it is no approved translation to remember
+      const { formality, tone, audience, locale, ...backOptions } = { ...translateOptions, remember: false };
+      return checkQuality(result, text, sourceLang,
+        (backText, backTarget, backSource) => this.translate(backText, backTarget, backSource, backOptions),
+        { threshold: options.qualityThreshold });
+    }
+
+    const {
+      strategy = 'auto',
+      temperature = DEFAULT_TEMPERATURE,
+      noCache = false,
+      maxSegmentTokens = DEFAULT_MAX_SEGMENT_TOKENS,
+      memory = true,
+      exactMatch = true,
+      domain = null,
+      model = null
+    } = options;
+
+    // Long documents are translated segment by segment
+    if (options.segment !== false && estimateTokens(text) > maxSegmentTokens) {
+      return this.translateSegments(text, targetLang, sourceLang, options);
+    }
+
+    // Every request lands in the usage ledger, including the free ones
+    const usageContext = {
+      provider: this.provider.name,
+      model: model || this.provider.model,
+      strategy: null,
+      source_language: sourceLang,
+      target_language: targetLang
+    };
+
+    try {
+      const style = normalizeStyle(options);
+
+      // Check RAG first; --no-cache also asks for a fresh translation instead of a memory hit
+      const ragResult = exactMatch
+        && await checkRAG(text, targetLang, sourceLang, { memory: memory && !noCache, domain, style });
       if (ragResult) {
+        await recordUsage({ source: ragResult.source, ...usageContext });
         return ragResult;
       }
 
+      const prepared = await this.preparePrompt(text, targetLang, sourceLang, options, style);
+      const { masked, placeholders, glossaryTerms, memoryMatches, memoryLang } = prepared;
+      usageContext.strategy = prepared.strategy;
+      usageContext.model = prepared.model;
+
+      // Check the translation cache before paying for an API call
+      const cacheKey = this.cache && !noCache
+        ? getCacheKey({
+          text,
+          sourceLang,
+          targetLang,
+          model: usageContext.model,
+          strategy,
+          temperature,
+          style,
+          instructions: prepared.instructions,
+          template: prepared.template?.hash,
+          glossaryVersion: await getGlossaryVersion()
+        })
+        : null;
+
+      if (cacheKey) {
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+          await recordUsage({ source: 'cache', ...usageContext });
+          return formatStructuredOutput({ ...cached, source: 'cache' });
+        }
+      }
+
       // Prepare prompt
-      const prompt = getTranslationPrompt(text, targetLang, sourceLang);
+      const { prompt, reservation, degraded } = this.budget
+        ? await this.reserveBudget(prepared.buildPrompt, masked, usageContext)
+        : { prompt: prepared.buildPrompt(usageContext.strategy), reservation: null, degraded: false };
       
-      // Get function schema for structured output
-      const functionSchema = getFunctionSchema();
+      const isChainOfThought = usageContext.strategy === 'cot';
 
-      // Generate content with function calling
-      const result = await this.model.generateContent({
+      // Generate content with function calling, repairing invalid answers
+      const generation = await this.generateStructured({
         contents: [{ role: 'user', parts: [{ text: prompt }] }],
         generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 500,
+          temperature,
+          maxOutputTokens: getMaxOutputTokens(usageContext.strategy),
         },
-        tools: [{ functionDeclarations: [functionSchema] }],
-      });
+        tools: [{ functionDeclarations: [getFunctionSchema()] }],
+        ...(usageContext.model !== this.provider.model && { model: usageContext.model }),
+        metadata: { text: masked, targetLang, sourceLang, domain },
+      }, usageContext, reservation);
 
-      const response = result.response;
-      
-      // Log token usage
-      const usage = response?.usageMetadata;
-      console.log("🔹 Tokens used:", usage);
-      await logTokens(response.usageMetadata);
+      const { response, args, problem, repairs, usages } = generation;
+      const usage = sumTokenUsage(usages.map(toTokenUsage));
 
-      // Extract function call result
-      const functionCall = response.candidates[0].content.parts[0].functionCall;
-      
-      if (functionCall && functionCall.args) {
-        const args = functionCall.args;
-        return formatStructuredOutput({
-          source_language: args.sourceLang || 'auto-detected',
-          target_language: args.targetLang,
-          translated_text: args.translatedText,
-          status: 'success'
+      let output;
+      if (args && typeof args.translatedText === 'string' && args.translatedText.trim()) {
+        // Arguments that are still invalid after the repairs are used for what they hold, flagged
+        output = formatStructuredOutput({
+          ...mapFunctionArgs(args),
+          source_language: sourceLang || (typeof args.sourceLang === 'string' && !isAutoDetect(args.sourceLang)
+            ? getLanguageName(args.sourceLang)
+            : 'auto-detected'),
+          target_language: targetLang,
+          status: problem ? 'partial_success' : 'success',
+          ...(problem && { error: `Invalid translate_text arguments: ${problem}` })
+        });
+      } else if (problem) {
+        output = formatStructuredOutput({
+          source_language: sourceLang || 'unknown',
+          target_language: targetLang,
+          translated_text: '',
+          status: 'error',
+          error: `No valid translation after ${repairs.length + 1} attempts: ${problem}`,
+          error_type: 'invalid_response',
+          retryable: true
         });
+      } else {
+        // Plain-text answer
+        const textResponse = response.text();
+        const sections = isChainOfThought ? parseChainOfThought(textResponse) : null;
+        output = sections
+          ? formatStructuredOutput({
+            source_language: sourceLang || 'auto-detected',
+            target_language: targetLang,
+            translated_text: sections.translation,
+            status: 'success',
+            cultural_notes: sections.culturalNotes,
+            reasoning: sections.reasoning
+          })
+          : this.parseTextResponse(textResponse, targetLang, sourceLang);
+      }
+      if (repairs.length > 0) {
+        output = { ...output, repairs };
       }
 
-      // Fallback to text parsing if function calling fails
-      const textResponse = response.text();
-      return this.parseTextResponse(textResponse, targetLang, sourceLang);
+      if (placeholders.length > 0) {
+        output = this.restorePlaceholders(output, text, placeholders);
+      }
+      if (glossaryTerms.length > 0) {
+        output = this.checkGlossary(output, glossaryTerms);
+      }
+
+      output = {
+        ...output,
+        ...(memoryMatches.length > 0 && {
+          memory_matches: memoryMatches.map(({ score, source }) => ({ score, source }))
+        }),
+        ...(degraded && {
+          budget: { action: 'degrade', model: usageContext.model, strategy: usageContext.strategy }
+        }),
+        model: usageContext.model,
+        token_usage: usage
+      };
+
+      // Only clean results are worth reusing; degraded ones would shadow full-quality translations
+      if (cacheKey && output.status === 'success' && !degraded) {
+        await this.cache.set(cacheKey, output);
+      }
+      // Offline providers echo or replay text; only real translations are approved for reuse
+      if (memory && options.remember !== false && !this.provider.offline && output.status === 'success') {
+        await addToMemory(text, output.translated_text, memoryLang, sourceLang,
+          { provider: this.provider.name, model: usageContext.model });
+      }
+
+      return output;
 
     } catch (error) {
       console.error('Translation error:', error.message);
@@ -75,35 +461,452 @@ class TranzioTranslator {
         target_language: targetLang,
         translated_text: '',
         status: 'error',
-        error: error.message
+        error: error.message,
+        // Provider and budget failures carry their classification
+        ...(error.type && { error_type: error.type, retryable: error.retryable }),
+        ...(error.budget && { budget: error.budget })
       });
     }
   }
 
   /**
-   * Parse text response when function calling fails
-   * @param {string} response - Raw text response from Gemini
+   * Call the provider until it answers with usable translate_text arguments
+   * An invalid answer goes back to the model with what was wrong, at most
+   * MAX_REPAIR_ATTEMPTS times. Every call is logged to the usage ledger and
+   * settles its own budget reservation; a repair call is only made when
+   * the budget has room for it.
+   * @param {Object} request - Provider request
+   * @param {Object} usageContext - Ledger fields of the request
+   * @param {Object} reservation - Budget reservation of the first call (null without a budget)
+   * @returns {Promise<Object>} { response, args, problem, repairs, usages }: the last response,
+   *   its arguments (null for plain text), what is still wrong with it (null when usable),
+   *   one { attempt, reason } per repair and the usage metadata of every call
+   */
+  async generateStructured(request, usageContext, reservation = null) {
+    const contents = [...request.contents];
+    const repairs = [];
+    const usages = [];
+    let pending = reservation;
+
+    for (let attempt = 0; ; attempt++) {
+      let result;
+      try {
+        result = await this.provider.generateContent({ ...request, contents });
+      } catch (error) {
+        // Earlier calls are settled already; a failed call reports no usage
+        pending?.settle();
+        throw error;
+      }
+      const response = result.response;
+
+      // Log token usage
+      const usage = response?.usageMetadata;
+      console.log("🔹 Tokens used:", usage);
+      await logTokens(usage, usageContext);
+      usages.push(usage);
+      pending?.settle({
+        total_tokens: toTokenUsage(usage).total_tokens,
+        cost: calculateCost(
+          usage?.promptTokenCount || 0,
+          usage?.candidatesTokenCount || 0,
+          usageContext.model,
+          usage?.cachedContentTokenCount || 0
+        )
+      });
+      pending = null;
+
+      const { part, args, problem } = readStructuredResponse(response);
+      if (!problem || attempt === MAX_REPAIR_ATTEMPTS) {
+        return { response, args, problem, repairs, usages };
+      }
+
+      const followUp = [];
+      if (part?.functionCall) {
+        // A function call must be answered by a function response
+        followUp.push(
+          { role: 'model', parts: [part] },
+          { role: 'function', parts: [{ functionResponse: { name: part.functionCall.name, response: { error: getRepairPrompt(problem) } } }] }
+        );
+      } else if (part?.text?.trim()) {
+        followUp.push(
+          { role: 'model', parts: [part] },
+          { role: 'user', parts: [{ text: getRepairPrompt(problem) }] }
+        );
+      }
+      // An empty answer is simply asked again
+
+      if (this.budget) {
+        // The repair call resends the whole conversation
+        const prompt = [...contents, ...followUp]
+          .flatMap(content => content.parts)
+          .map(contentPart => contentPart.text ?? JSON.stringify(contentPart))
+          .join('\n');
+        try {
+          pending = await this.budget.reserve(estimateRequestUsage(
+            prompt, request.metadata?.text || '', usageContext.model, request.generationConfig?.maxOutputTokens
+          ));
+        } catch (error) {
+          if (!(error instanceof BudgetExceededError)) throw error;
+          console.log(`💸 Budget: no repair call for the unusable answer (${error.message})`);
+          return { response, args, problem, repairs, usages };
+        }
+      }
+
+      console.log(`🔧 Unusable answer (${problem}), asking for a repair`);
+      repairs.push({ attempt: attempt + 1, reason: problem });
+      contents.push(...followUp);
+    }
+  }
+
+  /**
+   * Prepare what the prompt of a request is built from
+   * Shared by translate() and previewPrompt(), so a preview shows the
+   * exact prompt a translation would send.
+   * @param {string} text - Text to translate
    * @param {string} targetLang - Target language
-   * @param {string} sourceLang - Source language
-   * @returns {Object} Parsed result
+   * @param {string} sourceLang - Source language (optional)
+   * @param {Object} options - Same options as translate()
+   * @param {Object} style - Style from normalizeStyle()
+   * @returns {Promise<Object>} { masked, placeholders, glossaryTerms, memoryMatches, memoryLang,
+   *   strategy, model, instructions, template, buildPrompt }, where `template` is the pack
+   *   template used (null for the built-in one) and `buildPrompt(strategy)` renders the prompt
    */
-  parseTextResponse(response, targetLang, sourceLang) {
+  async preparePrompt(text, targetLang, sourceLang, options, style) {
+    const {
+      strategy = 'auto',
+      instructions = [],
+      protectPlaceholders = true,
+      enforceGlossary = true,
+      memory = true,
+      domain = null,
+      model = null
+    } = options;
+
+    // Glossary terms inside the text become binding requirements
+    const glossaryTerms = enforceGlossary ? await findGlossaryTerms(text, targetLang, { sourceLang, domain }) : [];
+
+    // Close translation-memory matches guide the model as references
+    const memoryLang = getMemoryLanguage(targetLang, style);
+    const memoryMatches = memory ? await findMemoryMatches(text, memoryLang, sourceLang) : [];
+    if (memoryMatches.length > 0) {
+      console.log(`🧠 Memory: ${memoryMatches.length} fuzzy matches (best ${memoryMatches[0].score}%)`);
+    }
+
+    // Placeholders and markup travel as opaque tokens the model must copy
+    const { masked, placeholders } = protectPlaceholders
+      ? maskPlaceholders(text)
+      : { masked: text, placeholders: [] };
+    const resolvedStrategy = strategy === 'auto' ? selectStrategy(masked) : strategy;
+    const promptInstructions = [
+      ...instructions,
+      ...getGlossaryInstructions(glossaryTerms),
+      ...getMemoryInstructions(memoryMatches),
+      ...(placeholders.length > 0 ? [PLACEHOLDER_INSTRUCTION] : [])
+    ];
+
+    // Pack templates take precedence over the built-in ones, strategy by strategy
+    const templates = await this.loadTemplates();
+    const request = { domain: style.domain, sourceLang, targetLang };
+    const buildPrompt = (promptStrategy) => {
+      const template = templates?.resolve(promptStrategy, request);
+      const prompt = template
+        ? templates.render(template, masked, targetLang, sourceLang, promptStrategy, style)
+        : getPromptByStrategy(masked, targetLang, sourceLang, promptStrategy, style);
+      return appendInstructions(prompt, promptInstructions);
+    };
+
+    return {
+      masked,
+      placeholders,
+      glossaryTerms,
+      memoryMatches,
+      memoryLang,
+      strategy: resolvedStrategy,
+      model: model || this.strategyModels[resolvedStrategy] || this.provider.model,
+      instructions: promptInstructions,
+      template: templates?.resolve(resolvedStrategy, request) || null,
+      buildPrompt
+    };
+  }
+
+  /**
+   * Render the prompt a translation would send, without sending it
+   * @param {string} text - Text to translate
+   * @param {string} targetLang - Target language
+   * @param {string} sourceLang - Source language (optional)
+   * @param {Object} options - Same options as translate()
+   * @returns {Promise<Object>} { strategy, model, template, prompt }, where `template` is the
+   *   pack file used or 'built-in'
+   * @throws {UnknownLanguageError} When a language is not in the registry
+   */
+  async previewPrompt(text, targetLang, sourceLang = null, options = {}) {
+    ({ targetLang, sourceLang, options } = resolveRequestLanguages(targetLang, sourceLang, options));
+    if (!sourceLang && options.detect !== false) {
+      const detection = detectSource(text);
+      if (detection?.applied) sourceLang = detection.language;
+    }
+    const style = normalizeStyle(options);
+    const prepared = await this.preparePrompt(text, targetLang, sourceLang, options, style);
+
+    return {
+      strategy: prepared.strategy,
+      model: prepared.model,
+      template: prepared.template ? prepared.template.file : 'built-in',
+      prompt: prepared.buildPrompt(prepared.strategy)
+    };
+  }
+
+  /**
+   * Reserve budget for an API call
+   * With the 'degrade' action, a call that does not fit is retried as a
+   * zero-shot prompt on the fallback model before giving up.
+   * @param {Function} buildPrompt - (strategy) => prompt
+   * @param {string} text - Masked text being translated
+   * @param {Object} usageContext - Ledger context; model and strategy are updated when degraded
+   * @returns {Promise<Object>} { prompt, reservation, degraded }
+   * @throws {BudgetExceededError} When the call does not fit the budget
+   */
+  async reserveBudget(buildPrompt, text, usageContext) {
+    const prompt = buildPrompt(usageContext.strategy);
     try {
-      // Try to extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return formatStructuredOutput(parsed);
+      const reservation = await this.budget.reserve(
+        estimateRequestUsage(prompt, text, usageContext.model, getMaxOutputTokens(usageContext.strategy))
+      );
+      return { prompt, reservation, degraded: false };
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError) || this.budget.action !== 'degrade') {
+        throw error;
       }
+    }
+
+    const degradedPrompt = buildPrompt('zero');
+    const reservation = await this.budget.reserve(
+      estimateRequestUsage(degradedPrompt, text, this.budget.fallbackModel, getMaxOutputTokens('zero'))
+    );
+    usageContext.model = this.budget.fallbackModel;
+    usageContext.strategy = 'zero';
+    console.log(`📉 Budget: degraded to ${usageContext.model} with a zero-shot prompt`);
+    return { prompt: degradedPrompt, reservation, degraded: true };
+  }
+
+  /**
+   * Generate several candidate translations and rank them
+   * Each candidate is a separate call at a higher temperature than the
+   * last; duplicates are dropped and the best-ranked candidate becomes the
+   * result. With options.quality, every candidate is back-translated and
+   * the quality score counts towards its rank.
+   * @param {string} text - Text to translate
+   * @param {string} targetLang - Target language
+   * @param {string} sourceLang - Source language (optional)
+   * @param {Object} options - Same options as translate(), with options.candidates > 1
+   * @returns {Object} Best result with `alternatives`: [{ rank, translated_text, score, scores,
+   *   temperature, status, glossary_violations }], rank 1 being the returned translation
+   */
+  async translateCandidates(text, targetLang, sourceLang, options) {
+    const {
+      candidates,
+      temperature = DEFAULT_TEMPERATURE,
+      concurrency = DEFAULT_SEGMENT_CONCURRENCY,
+      memory = true,
+      enforceGlossary = true,
+      domain = null
+    } = options;
+
+    // Only the chosen candidate is worth remembering, and an exact match would make every
+    // candidate the same stored translation; close matches still guide the prompt
+    const candidateOptions = { ...options, candidates: 1, quality: false, remember: false, exactMatch: false };
+    const { formality, tone, audience, locale, exactMatch, ...backOptions } = candidateOptions;
+    const backTranslate = (backText, backTarget, backSource) => this.translate(backText, backTarget, backSource, backOptions);
 
-      // Fallback: return raw response
+    const temperatures = getCandidateTemperatures(temperature, Math.min(candidates, MAX_CANDIDATES));
+    const results = await mapWithConcurrency(temperatures, concurrency, async (candidateTemperature) => {
+      const result = await this.translate(text, targetLang, sourceLang, { ...candidateOptions, temperature: candidateTemperature });
+      return options.quality
+        ? checkQuality(result, text, sourceLang, backTranslate, { threshold: options.qualityThreshold })
+        : result;
+    });
+    const tokenUsage = sumTokenUsage(results.map(result => result.token_usage));
+
+    const unique = dedupeCandidates(results);
+    if (unique.length === 0) {
+      return { ...results[0], token_usage: tokenUsage };
+    }
+    console.log(`🎲 ${unique.length} unique candidates out of ${results.length}`);
+
+    const glossaryTerms = enforceGlossary ? await findGlossaryTerms(text, targetLang, { sourceLang, domain }) : [];
+    const ranked = rankCandidates(unique, text, glossaryTerms);
+    const best = ranked[0].result;
+
+    // Cache hits are stored already
+    if (memory && options.remember !== false && !this.provider.offline && best.status === 'success' && !best.source) {
+      const memoryLang = getMemoryLanguage(targetLang, normalizeStyle(options));
+      await addToMemory(text, best.translated_text, memoryLang, sourceLang,
+        { provider: this.provider.name, model: best.model || null });
+    }
+
+    return {
+      ...best,
+      alternatives: ranked.map(({ result, score, scores }, index) => ({
+        rank: index + 1,
+        translated_text: result.translated_text,
+        score,
+        scores,
+        temperature: temperatures[results.indexOf(result)],
+        status: result.status,
+        glossary_violations: result.glossary_violations || []
+      })),
+      token_usage: tokenUsage
+    };
+  }
+
+  /**
+   * Translate a long text by splitting it into segments
+   * Segments are translated with bounded concurrency and reassembled with
+   * the original whitespace. Failed segments keep their source text so
+   * the document stays complete, and the result reports per-segment
+   * status together with the aggregated token usage.
+   * @param {string} text - Text to translate
+   * @param {string} targetLang - Target language
+   * @param {string} sourceLang - Source language (optional)
+   * @param {Object} options - Same options as translate()
+   * @returns {Object} Translation result
+   */
+  async translateSegments(text, targetLang, sourceLang = null, options = {}) {
+    const {
+      maxSegmentTokens = DEFAULT_MAX_SEGMENT_TOKENS,
+      concurrency = DEFAULT_SEGMENT_CONCURRENCY
+    } = options;
+
+    const layout = segmentText(text, maxSegmentTokens);
+    if (layout.segments.length === 0) {
+      // Nothing but whitespace
       return formatStructuredOutput({
         source_language: sourceLang || 'auto-detected',
         target_language: targetLang,
-        translated_text: response.trim(),
+        translated_text: text,
         status: 'success'
       });
-    } catch (parseError) {
+    }
+
+    console.log(`✂️  Split text into ${layout.segments.length} segments`);
+
+    const results = await mapWithConcurrency(layout.segments, concurrency, segment =>
+      this.translate(segment.text, targetLang, sourceLang, { ...options, segment: false })
+    );
+
+    const failed = results.filter(result => result.status === 'error').length;
+    let status = 'success';
+    if (failed === results.length) {
+      status = 'error';
+    } else if (failed > 0 || results.some(result => result.status !== 'success')) {
+      status = 'partial_success';
+    }
+
+    const errors = results
+      .map((result, index) => result.error ? `segment ${index + 1}: ${result.error}` : null)
+      .filter(Boolean);
+    const detected = results.find(result => !['auto-detected', 'unknown'].includes(result.source_language));
+    const translations = results.map((result, index) =>
+      result.status === 'error' ? layout.segments[index].text : result.translated_text
+    );
+
+    return formatStructuredOutput({
+      source_language: detected ? detected.source_language : (sourceLang || 'auto-detected'),
+      target_language: targetLang,
+      translated_text: status === 'error' ? '' : reassembleSegments(layout, translations),
+      status,
+      confidence: Math.min(...results.map(result => result.confidence ?? 1)),
+      error: errors.length > 0 ? errors.join('; ') : null,
+      segments: results.map((result, index) => ({
+        index,
+        status: result.status,
+        source: result.source || 'api',
+        error: result.error || null
+      })),
+      glossary_violations: results.flatMap(result => result.glossary_violations || []),
+      token_usage: sumTokenUsage(results.map(result => result.token_usage))
+    });
+  }
+
+  /**
+   * Restore masked placeholders and check none were dropped or altered
+   * @param {Object} output - Structured result with tokens in translated_text
+   * @param {string} text - Original source text
+   * @param {Array<string>} placeholders - Values masked by maskPlaceholders()
+   * @returns {Object} Result with placeholders restored, downgraded to
+   *   partial_success when the placeholder sets differ
+   */
+  restorePlaceholders(output, text, placeholders) {
+    if (output.status === 'error') {
+      return output;
+    }
+
+    const translatedText = unmaskPlaceholders(output.translated_text, placeholders);
+    const check = validatePlaceholders(text, translatedText);
+    const restored = {
+      ...output,
+      translated_text: translatedText,
+      // The echoed source, notes and reasoning quote masked text, so they get the real values back too
+      ...Object.fromEntries(['source_text', 'cultural_notes', 'reasoning']
+        .filter(field => output[field])
+        .map(field => [field, unmaskPlaceholders(output[field], placeholders)]))
+    };
+
+    if (check.valid) {
+      return restored;
+    }
+
+    console.log(`⚠️  ${describePlaceholderErrors(check)}`);
+    return {
+      ...restored,
+      status: 'partial_success',
+      error: describePlaceholderErrors(check),
+      placeholder_check: check
+    };
+  }
+
+  /**
+   * Check that the required glossary terms made it into the translation
+   * @param {Object} output - Structured result
+   * @param {Array<Object>} terms - Terms from findGlossaryTerms()
+   * @returns {Object} Result with `glossary_violations`, downgraded to
+   *   partial_success when any term is missing
+   */
+  checkGlossary(output, terms) {
+    if (output.status === 'error') {
+      return output;
+    }
+
+    const violations = checkGlossaryTerms(output.translated_text, terms);
+    if (violations.length === 0) {
+      return { ...output, glossary_violations: [] };
+    }
+
+    const message = describeGlossaryViolations(violations);
+    console.log(`⚠️  ${message}`);
+    return {
+      ...output,
+      status: 'partial_success',
+      error: output.error ? `${output.error}; ${message}` : message,
+      glossary_violations: violations
+    };
+  }
+
+  /**
+   * Parse text response when function calling fails
+   * @param {string} response - Raw text response from Gemini
+   * @param {string} targetLang - Target language
+   * @param {string} sourceLang - Source language
+   * @returns {Object} Parsed result
+   */
+  parseTextResponse(response, targetLang, sourceLang) {
+    // An answer in the structured output format itself
+    const parsed = extractJsonObject(response);
+    if (parsed && typeof parsed.translated_text === 'string') {
+      return formatStructuredOutput(parsed);
+    }
+
+    if (looksLikeJson(response)) {
       return formatStructuredOutput({
         source_language: sourceLang || 'unknown',
         target_language: targetLang,
@@ -112,19 +915,24 @@ class TranzioTranslator {
         error: 'Failed to parse structured response'
       });
     }
+
+    // Fallback: return raw response
+    return formatStructuredOutput({
+      source_language: sourceLang || 'auto-detected',
+      target_language: targetLang,
+      translated_text: response.trim(),
+      status: 'success'
+    });
   }
 
   /**
    * Get supported languages
-   * @returns {Array} List of supported languages
+   * Any of a language's name, native name, codes or aliases is accepted
+   * wherever a language is expected.
+   * @returns {Array<Object>} Languages as { name, code, code3, native, direction, aliases }
    */
   getSupportedLanguages() {
-    return [
-      'English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese',
-      'Russian', 'Japanese', 'Korean', 'Chinese', 'Arabic', 'Hindi',
-      'Dutch', 'Swedish', 'Norwegian', 'Danish', 'Finnish', 'Polish',
-      'Turkish', 'Greek', 'Hebrew', 'Thai', 'Vietnamese', 'Indonesian'
-    ];
+    return LANGUAGES;
   }
 }
 
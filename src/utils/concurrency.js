@@ -0,0 +1,37 @@
+/**
+ * Concurrency Utility
+ *
+ * Helpers for running async work with a bounded number of tasks in flight.
+ */
+
+/**
+ * Map over items with at most `limit` promises running at once
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<Array>} Mapped results
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+};
+
+// Example usage:
+/*
+import { mapWithConcurrency } from './concurrency.js';
+
+const results = await mapWithConcurrency(texts, 4, text => translator.translate(text, 'French'));
+*/
@@ -0,0 +1,125 @@
+/**
+ * CSV Utility
+ *
+ * Minimal RFC 4180 reader and writer: quoted fields, escaped quotes,
+ * embedded commas and newlines, CRLF or LF line endings and an optional
+ * UTF-8 byte order mark.
+ */
+
+const BOM = '\uFEFF';
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (default: ',')
+ * @returns {Array<Array<string>>} Rows
+ * @throws {Error} When a quoted field is never closed
+ */
+export const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @param {string} text - CSV text
+ * @param {Object} options - Parser options
+ * @returns {Object} { headers, records }
+ */
+export const parseCsvRecords = (text, options = {}) => {
+  const [headers = [], ...rows] = parseCsv(text, options);
+  const records = rows.map(row => Object.fromEntries(
+    headers.map((header, index) => [header, row[index] ?? ''])
+  ));
+
+  return { headers, records };
+};
+
+/**
+ * Quote a field when it contains special characters
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV field
+ */
+const formatField = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) || /^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Serialize rows of fields into CSV text
+ * @param {Array<Array<*>>} rows - Rows
+ * @param {Object} options - Writer options
+ * @param {string} options.delimiter - Field delimiter (default: ',')
+ * @param {boolean} options.bom - Prefix the output with a UTF-8 BOM
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export const stringifyCsv = (rows, { delimiter = ',', bom = false } = {}) => {
+  const lines = rows.map(row => row.map(value => formatField(value, delimiter)).join(delimiter));
+  return `${bom ? BOM : ''}${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Serialize records into CSV text using the given header order
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Object>} records - Records keyed by column name
+ * @param {Object} options - Writer options
+ * @returns {string} CSV text
+ */
+export const stringifyCsvRecords = (headers, records, options = {}) => {
+  return stringifyCsv([headers, ...records.map(record => headers.map(header => record[header]))], options);
+};
+
+// Example usage:
+/*
+import { parseCsvRecords, stringifyCsvRecords } from './csv.js';
+
+const { headers, records } = parseCsvRecords('id,text\n1,"Hello, world"\n');
+console.log(stringifyCsvRecords(headers, records));
+*/
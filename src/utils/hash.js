@@ -0,0 +1,52 @@
+/**
+ * Hashing Utility
+ *
+ * Deterministic hashing of plain objects, used to build content-addressed
+ * keys (recorded responses, cache entries) that do not depend on the
+ * order in which object keys were written.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Serialize a value to JSON with object keys sorted
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Compute the SHA-256 hex digest of a string
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest
+ */
+export const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Compute a stable SHA-256 hash for any JSON-compatible value
+ * @param {*} value - Value to hash
+ * @returns {string} Hex digest
+ */
+export const hashObject = (value) => sha256(stableStringify(value));
+
+// Example usage:
+/*
+import { hashObject } from './hash.js';
+
+// Same hash regardless of key order
+console.log(hashObject({ a: 1, b: 2 }) === hashObject({ b: 2, a: 1 })); // true
+*/
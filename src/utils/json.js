@@ -0,0 +1,73 @@
+/**
+ * JSON Extraction Utility
+ *
+ * Models that do not answer with a function call often wrap a JSON object
+ * in prose or a ```json fence. This finds the objects in such text by
+ * matching braces while skipping string contents, so a stray `}` in a
+ * translation or a second object later in the answer does not swallow
+ * or break the first one.
+ */
+
+/**
+ * Find the balanced `{...}` spans of a text
+ * @param {string} text - Text that may contain JSON objects
+ * @returns {Array<string>} Candidate spans, in order of appearance
+ */
+const findObjectSpans = (text) => {
+  const spans = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"' && depth > 0) {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) spans.push(text.slice(start, i + 1));
+    }
+  }
+
+  return spans;
+};
+
+/**
+ * Extract the first JSON object embedded in a text
+ * @param {string} text - Model answer
+ * @returns {Object|null} Parsed object, or null when the text holds no valid JSON object
+ */
+export const extractJsonObject = (text) => {
+  for (const span of findObjectSpans(String(text || ''))) {
+    try {
+      const parsed = JSON.parse(span);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (parseError) {
+      // Not JSON after all (e.g. "{name}" in prose); try the next span
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether a text looks like it was meant to be JSON
+ * @param {string} text - Model answer
+ * @returns {boolean} True for answers starting with `{` or a ```json fence
+ */
+export const looksLikeJson = (text) => /^\s*(```(json)?\s*)?\{/i.test(String(text || ''));
+
+// Example usage:
+/*
+import { extractJsonObject } from './json.js';
+
+console.log(extractJsonObject('Here you go: {"translatedText": "Bonjour {nom}"} Anything else?'));
+// { translatedText: 'Bonjour {nom}' }
+*/
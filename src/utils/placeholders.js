@@ -0,0 +1,260 @@
+/**
+ * Placeholder Protection Utility
+ *
+ * Finds placeholders and inline markup in UI strings — `{user_name}`,
+ * `{{count}}`, `${name}`, `%s`, `%1$d`, ICU plural/select syntax and HTML
+ * tags — and swaps them for opaque `⟦n⟧` tokens before the text reaches
+ * the model. After translation the tokens are restored and the result is
+ * checked to contain exactly the same placeholders as the source.
+ *
+ * For ICU plural/select messages only the syntax is masked; the text of
+ * each branch stays translatable.
+ */
+
+// Token format shared by every masking step (placeholders, Markdown spans)
+const TOKEN = /⟦(\d+)⟧/g;
+
+// Instruction added to the prompt whenever tokens are present
+export const PLACEHOLDER_INSTRUCTION = 'Copy every token of the form ⟦n⟧ into the translation exactly as written, in the matching position. Do not translate, renumber, add or remove tokens.';
+
+// Placeholders that are not brace-delimited
+const INLINE_PLACEHOLDER = new RegExp([
+  /⟦\d+⟧/.source,                                                                 // already-masked span
+  /%%|%(?:\d+\$)?[-+0#']*(?:\d+|\*)?(?:\.(?:\d+|\*))?(?:hh|h|ll|l|L|z|j|t)?[diouxXeEfFgGcsp@]/.source, // printf
+  /<!--[\s\S]*?-->|<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>/.source                    // HTML tags
+].join('|'), 'g');
+
+// Simple brace argument: {name}, {0}, {count, number}, {d, date, short}
+const SIMPLE_ARGUMENT = /^\s*[\w.-]+\s*(?:,\s*[\w-]+\s*(?:,[^{}]*)?)?$/;
+
+// Complex ICU argument header: {count, plural, ...} / {gender, select, ...}
+const COMPLEX_ARGUMENT = /^\{\s*[\w.-]+\s*,\s*(plural|select|selectordinal)\s*,(?:\s*offset:\d+)?/;
+
+/**
+ * Find the index of the brace closing the one at `start`
+ * @param {string} text - Text to scan
+ * @param {number} start - Index of an opening brace
+ * @returns {number} Index of the matching closing brace, or -1
+ */
+const findClosingBrace = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+};
+
+/**
+ * Split text into plain text and placeholder parts
+ * @param {string} text - Text to scan
+ * @param {boolean} inPlural - Whether `#` is a placeholder (inside a plural branch)
+ * @returns {Array<Object>} Parts as { type: 'text'|'placeholder', value }
+ */
+const tokenize = (text, inPlural = false) => {
+  const parts = [];
+  let buffer = '';
+
+  const flushText = () => {
+    if (!buffer) return;
+    let last = 0;
+    for (const match of buffer.matchAll(INLINE_PLACEHOLDER)) {
+      if (match.index > last) parts.push({ type: 'text', value: buffer.slice(last, match.index) });
+      parts.push({ type: 'placeholder', value: match[0] });
+      last = match.index + match[0].length;
+    }
+    if (last < buffer.length) parts.push({ type: 'text', value: buffer.slice(last) });
+    buffer = '';
+  };
+  const placeholder = (value) => {
+    flushText();
+    parts.push({ type: 'placeholder', value });
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    // Template literal and mustache-style arguments
+    const wrapped = text.slice(i).match(/^(?:\$\{[^{}]+\}|\{\{[^{}]+\}\})/);
+    if (wrapped) {
+      placeholder(wrapped[0]);
+      i += wrapped[0].length - 1;
+      continue;
+    }
+
+    if (char === '#' && inPlural) {
+      placeholder(char);
+      continue;
+    }
+
+    if (char === '{') {
+      const end = findClosingBrace(text, i);
+      const argument = end > i ? text.slice(i, end + 1) : '';
+      const complex = argument.match(COMPLEX_ARGUMENT);
+
+      if (complex) {
+        placeholder(complex[0]);
+        parts.push(...tokenizeBranches(argument.slice(complex[0].length, -1), complex[1] !== 'select'));
+        placeholder('}');
+        i = end;
+        continue;
+      }
+
+      if (argument && SIMPLE_ARGUMENT.test(argument.slice(1, -1))) {
+        placeholder(argument);
+        i = end;
+        continue;
+      }
+    }
+
+    buffer += char;
+  }
+
+  flushText();
+  return parts;
+};
+
+/**
+ * Split the branches of an ICU plural/select argument
+ * Selectors and braces become placeholders, branch text stays translatable.
+ * @param {string} body - Argument body after the header
+ * @param {boolean} inPlural - Whether `#` is a placeholder in the branches
+ * @returns {Array<Object>} Parts
+ */
+const tokenizeBranches = (body, inPlural) => {
+  const parts = [];
+  let i = 0;
+
+  while (i < body.length) {
+    const selector = body.slice(i).match(/^\s*(=\d+|[\w-]+)\s*\{/);
+    if (!selector) {
+      // Whatever is left (normally whitespace) is kept as text
+      if (body.slice(i)) parts.push({ type: 'text', value: body.slice(i) });
+      break;
+    }
+
+    const open = i + selector[0].length - 1;
+    const close = findClosingBrace(body, open);
+    if (close < 0) {
+      parts.push({ type: 'text', value: body.slice(i) });
+      break;
+    }
+
+    parts.push({ type: 'placeholder', value: selector[0] });
+    parts.push(...tokenize(body.slice(open + 1, close), inPlural));
+    parts.push({ type: 'placeholder', value: '}' });
+    i = close + 1;
+  }
+
+  return parts;
+};
+
+/**
+ * List the placeholders in a text, in order of appearance
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} Placeholder values
+ */
+export const extractPlaceholders = (text) => {
+  return tokenize(text)
+    .filter(part => part.type === 'placeholder')
+    .map(part => part.value);
+};
+
+/**
+ * Replace every match of a pattern with an opaque token
+ * @param {string} text - Text to mask
+ * @param {RegExp} pattern - Global pattern of spans to protect
+ * @returns {Object} { masked, spans }
+ */
+export const maskSpans = (text, pattern) => {
+  const spans = [];
+  const masked = text.replace(pattern, (match) => {
+    spans.push(match);
+    return `⟦${spans.length - 1}⟧`;
+  });
+  return { masked, spans };
+};
+
+/**
+ * Restore spans replaced by maskSpans() or maskPlaceholders()
+ * Unknown tokens are left in place so validation can report them.
+ * @param {string} text - Masked (translated) text
+ * @param {Array<string>} spans - Original spans
+ * @returns {string} Restored text
+ */
+export const unmaskSpans = (text, spans) => {
+  return text.replace(TOKEN, (token, index) => spans[Number(index)] ?? token);
+};
+
+/**
+ * Replace placeholders with opaque tokens
+ * @param {string} text - Source text
+ * @returns {Object} { masked, placeholders }
+ */
+export const maskPlaceholders = (text) => {
+  const placeholders = [];
+  const masked = tokenize(text).map(part => {
+    if (part.type === 'text') return part.value;
+    placeholders.push(part.value);
+    return `⟦${placeholders.length - 1}⟧`;
+  }).join('');
+
+  return { masked, placeholders };
+};
+
+/**
+ * Restore placeholders masked by maskPlaceholders()
+ * @param {string} text - Translated text with tokens
+ * @param {Array<string>} placeholders - Original placeholders
+ * @returns {string} Text with placeholders restored
+ */
+export const unmaskPlaceholders = (text, placeholders) => unmaskSpans(text, placeholders);
+
+/**
+ * Check that a translation kept exactly the source placeholders
+ * @param {string} source - Source text
+ * @param {string} translated - Translated text (placeholders restored)
+ * @returns {Object} { valid, missing, unexpected }
+ */
+export const validatePlaceholders = (source, translated) => {
+  const counts = new Map();
+  extractPlaceholders(source).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  const unexpected = [];
+  extractPlaceholders(translated).forEach(value => {
+    if (counts.get(value) > 0) {
+      counts.set(value, counts.get(value) - 1);
+    } else {
+      unexpected.push(value);
+    }
+  });
+
+  // Tokens the model invented or renumbered are never restored, so they show up here too
+  const missing = [...counts.entries()].flatMap(([value, count]) => Array(count).fill(value));
+
+  return { valid: missing.length === 0 && unexpected.length === 0, missing, unexpected };
+};
+
+/**
+ * Describe a failed placeholder check
+ * @param {Object} check - Result of validatePlaceholders()
+ * @returns {string} Error message
+ */
+export const describePlaceholderErrors = ({ missing, unexpected }) => {
+  const problems = [];
+  if (missing.length) problems.push(`missing ${missing.map(value => `"${value}"`).join(', ')}`);
+  if (unexpected.length) problems.push(`unexpected ${unexpected.map(value => `"${value}"`).join(', ')}`);
+  return `Placeholder mismatch: ${problems.join('; ')}`;
+};
+
+// Example usage:
+/*
+import { maskPlaceholders, unmaskPlaceholders, validatePlaceholders } from './placeholders.js';
+
+const source = 'Hello {user_name}, you have {count, plural, one {# message} other {# messages}}';
+const { masked, placeholders } = maskPlaceholders(source);
+// masked: 'Hello ⟦0⟧, you have ⟦1⟧⟦2⟧⟦3⟧ message⟦4⟧⟦5⟧⟦6⟧ messages⟦7⟧⟦8⟧'
+
+const translated = unmaskPlaceholders(modelOutput, placeholders);
+console.log(validatePlaceholders(source, translated));
+*/
@@ -0,0 +1,88 @@
+/**
+ * Model Pricing Utility
+ *
+ * Per-model token rates used for every cost figure: the token report,
+ * the usage ledger and budget estimates. Rates are USD per million tokens
+ * for input, output and cached input (prompt tokens served from a context
+ * cache). The built-in table follows Google's published list prices; a
+ * JSON file named by TRANZIO_PRICING_FILE, shaped like the table, adds
+ * models or overrides rates.
+ */
+
+import fs from 'fs';
+
+// USD per 1M tokens
+export const DEFAULT_PRICING = {
+  'gemini-pro': { input: 0.5, output: 1.5, cached_input: 0.5 },
+  'gemini-1.0-pro': { input: 0.5, output: 1.5, cached_input: 0.5 },
+  'gemini-1.5-pro': { input: 1.25, output: 5, cached_input: 0.3125 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3, cached_input: 0.01875 },
+  'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15, cached_input: 0.01 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4, cached_input: 0.025 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3, cached_input: 0.075 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, cached_input: 0.075 },
+  'gemini-2.5-pro': { input: 1.25, output: 10, cached_input: 0.31 },
+  local: { input: 0, output: 0, cached_input: 0 }
+};
+
+// Rates for models missing from the table (the original gemini-pro rates)
+const FALLBACK_PRICING = DEFAULT_PRICING['gemini-pro'];
+
+let pricing = null;
+const warned = new Set();
+
+/**
+ * Get the pricing table, reading TRANZIO_PRICING_FILE on first use
+ * @returns {Object} Rates by model name
+ */
+export const getPricingTable = () => {
+  if (!pricing) {
+    const file = process.env.TRANZIO_PRICING_FILE;
+    let overrides = {};
+    if (file) {
+      try {
+        overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.error(`❌ Failed to read pricing file ${file}:`, error.message);
+      }
+    }
+    pricing = { ...DEFAULT_PRICING, ...overrides };
+  }
+  return pricing;
+};
+
+/**
+ * Get the rates of a model
+ * Versioned names fall back to their family ("gemini-1.5-flash-002" →
+ * "gemini-1.5-flash"); unknown models use the gemini-pro rates.
+ * @param {string} model - Model name
+ * @returns {Object} { input, output, cached_input } in USD per 1M tokens
+ */
+export const getModelPricing = (model) => {
+  const table = getPricingTable();
+  if (!model) return FALLBACK_PRICING;
+  if (table[model]) return { cached_input: table[model].input, ...table[model] };
+
+  // Longest table entry the model name starts with
+  const family = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (family) return { cached_input: table[family].input, ...table[family] };
+
+  if (!warned.has(model)) {
+    warned.add(model);
+    console.log(`⚠️  No pricing for model "${model}", using gemini-pro rates (set TRANZIO_PRICING_FILE to add it)`);
+  }
+  return FALLBACK_PRICING;
+};
+
+// Example usage:
+/*
+import { getModelPricing } from './pricing.js';
+
+console.log(getModelPricing('gemini-1.5-flash-002'));
+// { input: 0.075, output: 0.3, cached_input: 0.01875 }
+
+// pricing.json: { "gemini-exp": { "input": 0.2, "output": 0.8 } }
+// TRANZIO_PRICING_FILE=./pricing.json
+*/
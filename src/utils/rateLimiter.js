@@ -0,0 +1,128 @@
+/**
+ * Rate Limiter Utility
+ *
+ * Sliding-window limiter for requests per second and tokens per minute.
+ * A single instance is meant to be shared by every concurrent call to the
+ * same API so bursts are queued instead of triggering 429 responses.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * 1000;
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limits (0 disables a limit)
+   * @param {number} options.qps - Maximum requests per second
+   * @param {number} options.tokensPerMinute - Maximum tokens per minute
+   */
+  constructor({ qps = 0, tokensPerMinute = 0 } = {}) {
+    this.qps = qps;
+    this.tokensPerMinute = tokensPerMinute;
+    this.requests = []; // timestamps of recent requests
+    this.tokens = [];   // { time, count } reservations of recent requests
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until a request of the given size fits in both windows
+   * @param {number} tokens - Estimated tokens for the request
+   * @returns {Promise<Object>} Reservation; call `settle(actualTokens)` once usage is known
+   */
+  acquire(tokens = 0) {
+    // Chain waiters so concurrent callers are served in order
+    const reservation = this.queue.then(() => this.waitForCapacity(tokens));
+    this.queue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  /**
+   * Wait for capacity and record the reservation
+   * @param {number} tokens - Estimated tokens for the request
+   * @returns {Promise<Object>} Reservation
+   */
+  async waitForCapacity(tokens) {
+    for (;;) {
+      const now = Date.now();
+      this.prune(now);
+
+      const wait = Math.max(this.getRequestWait(now), this.getTokenWait(now, tokens));
+      if (wait <= 0) break;
+      await sleep(wait);
+    }
+
+    const now = Date.now();
+    const entry = { time: now, count: tokens };
+    this.requests.push(now);
+    this.tokens.push(entry);
+
+    return {
+      settle: (actualTokens) => {
+        if (typeof actualTokens === 'number') {
+          entry.count = actualTokens;
+        }
+      }
+    };
+  }
+
+  /**
+   * Milliseconds until another request fits the QPS window
+   * @param {number} now - Current time
+   * @returns {number} Wait in milliseconds
+   */
+  getRequestWait(now) {
+    if (!this.qps || this.requests.length < this.qps) return 0;
+    return this.requests[this.requests.length - this.qps] + SECOND - now;
+  }
+
+  /**
+   * Milliseconds until the token reservation fits the per-minute window
+   * @param {number} now - Current time
+   * @param {number} tokens - Tokens to reserve
+   * @returns {number} Wait in milliseconds
+   */
+  getTokenWait(now, tokens) {
+    if (!this.tokensPerMinute) return 0;
+
+    // A request larger than the whole budget only waits for an empty window
+    const needed = Math.min(tokens, this.tokensPerMinute);
+    let used = this.tokens.reduce((sum, entry) => sum + entry.count, 0);
+
+    if (used + needed <= this.tokensPerMinute) return 0;
+
+    // Wait until enough of the oldest reservations leave the window
+    for (const entry of this.tokens) {
+      used -= entry.count;
+      if (used + needed <= this.tokensPerMinute) {
+        return entry.time + MINUTE - now;
+      }
+    }
+
+    return MINUTE;
+  }
+
+  /**
+   * Drop entries that left their windows
+   * @param {number} now - Current time
+   */
+  prune(now) {
+    this.requests = this.requests.filter(time => now - time < SECOND);
+    this.tokens = this.tokens.filter(entry => now - entry.time < MINUTE);
+  }
+}
+
+// Example usage:
+/*
+import { RateLimiter } from './rateLimiter.js';
+
+const limiter = new RateLimiter({ qps: 2, tokensPerMinute: 30000 });
+const reservation = await limiter.acquire(600);
+// ... call the API ...
+reservation.settle(usageMetadata.totalTokenCount);
+*/
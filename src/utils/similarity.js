@@ -0,0 +1,258 @@
+/**
+ * Text Similarity Utility
+ *
+ * Language-independent scores used to compare a source text with its
+ * back-translation or a translation-memory candidate: chrF (character
+ * n-gram F-score), token F1, edit distance and a word-level diff that
+ * locates the spans where the two texts disagree.
+ * Scores are in the range 0-1, higher meaning more similar.
+ */
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// Diffs larger than this many word pairs fall back to a single span
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lowercase words with their positions
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Words as { word, start, end }
+ */
+export const tokenizeWords = (text) => {
+  return [...text.matchAll(WORD)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+/**
+ * Count the character n-grams of a text, ignoring whitespace
+ * @param {string} text - Text to scan
+ * @param {number} n - N-gram length
+ * @returns {Map<string, number>} N-gram counts
+ */
+const countCharNgrams = (text, n) => {
+  const chars = [...text.toLowerCase().replace(/\s+/g, '')];
+  const counts = new Map();
+  for (let i = 0; i + n <= chars.length; i++) {
+    const gram = chars.slice(i, i + n).join('');
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Count the items two multisets have in common
+ * @param {Map<string, number>} a - First multiset
+ * @param {Map<string, number>} b - Second multiset
+ * @returns {number} Size of the intersection
+ */
+const countOverlap = (a, b) => {
+  let overlap = 0;
+  for (const [key, count] of a) {
+    overlap += Math.min(count, b.get(key) || 0);
+  }
+  return overlap;
+};
+
+/**
+ * Total number of items in a multiset
+ * @param {Map<string, number>} counts - Multiset
+ * @returns {number} Item count
+ */
+const countTotal = (counts) => [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+/**
+ * chrF score between a hypothesis and a reference
+ * Precision and recall are averaged over n-gram orders 1..maxN; beta > 1
+ * weights recall higher, so content missing from the hypothesis costs
+ * more than extra content.
+ * @param {string} hypothesis - Text to score
+ * @param {string} reference - Reference text
+ * @param {Object} options - { maxN: 6, beta: 2 }
+ * @returns {number} Score between 0 and 1
+ */
+export const chrF = (hypothesis, reference, { maxN = 6, beta = 2 } = {}) => {
+  let precision = 0;
+  let recall = 0;
+  let orders = 0;
+
+  for (let n = 1; n <= maxN; n++) {
+    const hyp = countCharNgrams(hypothesis, n);
+    const ref = countCharNgrams(reference, n);
+    const hypTotal = countTotal(hyp);
+    const refTotal = countTotal(ref);
+    // Short texts have no n-grams of the higher orders
+    if (hypTotal === 0 || refTotal === 0) break;
+
+    const overlap = countOverlap(hyp, ref);
+    precision += overlap / hypTotal;
+    recall += overlap / refTotal;
+    orders++;
+  }
+
+  if (orders === 0) {
+    return hypothesis.trim() === reference.trim() ? 1 : 0;
+  }
+
+  precision /= orders;
+  recall /= orders;
+  if (precision === 0 && recall === 0) return 0;
+
+  const betaSquared = beta * beta;
+  return ((1 + betaSquared) * precision * recall) / (betaSquared * precision + recall);
+};
+
+/**
+ * F1 score of the words two texts share, ignoring order
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Score between 0 and 1
+ */
+export const tokenF1 = (a, b) => {
+  const toCounts = (text) => tokenizeWords(text).reduce(
+    (counts, { word }) => counts.set(word, (counts.get(word) || 0) + 1),
+    new Map()
+  );
+  const countsA = toCounts(a);
+  const countsB = toCounts(b);
+  const totalA = countTotal(countsA);
+  const totalB = countTotal(countsB);
+
+  if (totalA === 0 || totalB === 0) {
+    return totalA === totalB ? 1 : 0;
+  }
+
+  const overlap = countOverlap(countsA, countsB);
+  return (2 * overlap) / (totalA + totalB);
+};
+
+/**
+ * Levenshtein edit distance between two strings (by code point)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early once the distance must exceed this
+ * @returns {number} Edit distance, or maxDistance + 1 when cut short
+ */
+export const levenshtein = (a, b, maxDistance = Infinity) => {
+  const left = [...a];
+  const right = [...b];
+  if (Math.abs(left.length - right.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: right.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= right.length; j++) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[right.length];
+};
+
+/**
+ * Dice coefficient of the character trigrams of two texts
+ * Cheap enough to screen many candidates before computing edit distances.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Score between 0 and 1
+ */
+export const trigramSimilarity = (a, b) => {
+  const gramsA = countCharNgrams(a, 3);
+  const gramsB = countCharNgrams(b, 3);
+  const total = countTotal(gramsA) + countTotal(gramsB);
+  if (total === 0) return a.trim().toLowerCase() === b.trim().toLowerCase() ? 1 : 0;
+  return (2 * countOverlap(gramsA, gramsB)) / total;
+};
+
+/**
+ * Longest common subsequence of two word lists
+ * @param {Array<Object>} a - Words of the first text
+ * @param {Array<Object>} b - Words of the second text
+ * @returns {Array<Array<number>>} Matched index pairs [i, j] in order
+ */
+const alignWords = (a, b) => {
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] = a[i].word === b[j].word
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i].word === b[j].word) {
+      pairs.push([i++, j++]);
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Find the spans where two texts diverge
+ * Each span pairs a run of unmatched words in the original with the run
+ * found at the same place in the comparison text (either may be empty).
+ * @param {string} original - Original text
+ * @param {string} comparison - Text to compare, e.g. a back-translation
+ * @returns {Array<Object>} Spans as { source, back_translation, start, end }
+ *   where start/end are character offsets into the original
+ */
+export const findDivergentSpans = (original, comparison) => {
+  const a = tokenizeWords(original);
+  const b = tokenizeWords(comparison);
+
+  const slice = (words, text, from, to) =>
+    from < to ? text.slice(words[from].start, words[to - 1].end) : '';
+
+  const toSpan = (fromA, toA, fromB, toB) => ({
+    source: slice(a, original, fromA, toA),
+    back_translation: slice(b, comparison, fromB, toB),
+    start: fromA < toA ? a[fromA].start : (a[fromA]?.start ?? original.length),
+    end: fromA < toA ? a[toA - 1].end : (a[fromA]?.start ?? original.length)
+  });
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [toSpan(0, a.length, 0, b.length)];
+  }
+
+  const spans = [];
+  let lastA = 0;
+  let lastB = 0;
+  // A sentinel pair flushes the trailing gap
+  for (const [i, j] of [...alignWords(a, b), [a.length, b.length]]) {
+    if (i > lastA || j > lastB) {
+      spans.push(toSpan(lastA, i, lastB, j));
+    }
+    lastA = i + 1;
+    lastB = j + 1;
+  }
+  return spans;
+};
+
+// Example usage:
+/*
+import { chrF, tokenF1, findDivergentSpans } from './similarity.js';
+
+const original = 'The meeting starts at noon on Friday';
+const backTranslation = 'The meeting begins at midday on Friday';
+
+console.log(chrF(backTranslation, original));    // ~0.5
+console.log(tokenF1(backTranslation, original)); // ~0.71
+console.log(findDivergentSpans(original, backTranslation));
+// [{ source: 'starts', back_translation: 'begins', ... }, { source: 'noon', back_translation: 'midday', ... }]
+*/
@@ -88,6 +88,41 @@ export const createSuccessResponse = (translatedText, sourceLang, targetLang, ad
   });
 };
 
+/**
+ * Format a back-translation quality report for pretty printing
+ * @param {Object} quality - Quality report (optional)
+ * @returns {string} Report lines, or an empty string
+ */
+const formatQuality = (quality) => {
+  if (!quality) return '';
+  if (quality.score === null) return `Quality: not scored (${quality.error})\n`;
+
+  const flag = quality.flagged ? ' 🚩 flagged for review' : '';
+  const spans = quality.divergent_spans
+    .map(span => `  - "${span.source}" → "${span.back_translation}"`)
+    .join('\n');
+
+  return `Quality: ${Math.round(quality.score * 100)}%${flag}
+Back-translation: "${quality.back_translation}"
+${spans ? `Divergent spans:\n${spans}\n` : ''}`;
+};
+
+/**
+ * Format ranked candidates for pretty printing
+ * @param {Array<Object>} alternatives - Ranked candidates, best first
+ * @returns {string} One line per candidate, or an empty string
+ */
+const formatAlternatives = (alternatives) => {
+  if (!alternatives || alternatives.length < 2) {
+    return '';
+  }
+
+  const lines = alternatives
+    .map(({ rank, score, translated_text: text }) => `  ${rank}. (${Math.round(score * 100)}%) "${text}"`)
+    .join('\n');
+  return `Alternatives:\n${lines}\n`;
+};
+
 /**
  * Pretty print structured output
  * @param {Object} output - Output to format
@@ -100,18 +135,24 @@ export const prettyPrintOutput = (output) => {
 
   const statusIcon = output.status === 'success' ? '✅' : '❌';
   const confidence = output.confidence ? ` (${Math.round(output.confidence * 100)}% confidence)` : '';
+  const detected = output.language_detection;
+  let detection = '';
+  if (detected) {
+    const percent = `${Math.round(detected.confidence * 100)}%`;
+    detection = detected.applied ? ` (detected, ${percent})` : ` (best guess ${detected.best_guess.language}, ${percent})`;
+  }
   
   return `
 ${statusIcon} Translation ${output.status.toUpperCase()}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-From: ${output.source_language}
+From: ${output.source_language}${detection}
 To: ${output.target_language}
 ${confidence}
 
 Translated Text:
 "${output.translated_text}"
 
-${output.cultural_notes ? `Cultural Notes: ${output.cultural_notes}\n` : ''}${output.timestamp ? `Timestamp: ${output.timestamp}` : ''}
+${output.cultural_notes ? `Cultural Notes: ${output.cultural_notes}\n` : ''}${output.reasoning ? `Reasoning:\n${output.reasoning}\n` : ''}${formatQuality(output.quality)}${formatAlternatives(output.alternatives)}${output.budget?.model ? `Budget: degraded to ${output.budget.model}\n` : ''}${output.timestamp ? `Timestamp: ${output.timestamp}` : ''}
 `.trim();
 };
 
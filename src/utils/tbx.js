@@ -0,0 +1,147 @@
+/**
+ * TBX (TermBase eXchange) Utility
+ *
+ * Reads and writes the subset of TBX that terminology tools exchange in
+ * practice: concept entries holding one term per language. Both the TBX
+ * v2 layout (`termEntry` / `langSet` / `tig`) and the TBX v3 layout
+ * (`conceptEntry` / `langSec` / `termSec`) are accepted on import; export
+ * writes TBX v2 (TBX-Basic), which every tool still reads.
+ */
+
+import { getLanguageCode, getLanguageName } from '../languages.js';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode XML character references and predefined entities
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  })
+  .trim();
+
+/**
+ * Escape text for use in XML content or attributes
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const encodeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Find every element with one of the given names
+ * @param {string} xml - XML fragment
+ * @param {Array<string>} names - Element names
+ * @returns {Array<Object>} Elements as { attributes, content }
+ */
+const findElements = (xml, names) => {
+  const pattern = new RegExp(`<(${names.join('|')})(\\s[^>]*)?>([\\s\\S]*?)</\\1\\s*>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => ({
+    attributes: match[2] || '',
+    content: match[3]
+  }));
+};
+
+/**
+ * Read the language of a langSet/langSec element
+ * @param {string} attributes - Raw attribute string
+ * @returns {string|null} Language code
+ */
+const getLanguageAttribute = (attributes) => {
+  const match = attributes.match(/\bxml:lang\s*=\s*(["'])(.*?)\1/) || attributes.match(/\blang\s*=\s*(["'])(.*?)\1/);
+  return match ? match[2] : null;
+};
+
+/**
+ * Parse a TBX document
+ * @param {string} xml - TBX document
+ * @returns {Array<Object>} Concepts as { id, domain, terms: { <language name>: [term, ...] } },
+ *   where `domain` is the concept's subject field (or null)
+ */
+export const parseTbx = (xml) => {
+  if (!/<(martif|tbx)[\s>]/.test(xml)) {
+    throw new Error('Not a TBX document: expected a <martif> or <tbx> root element');
+  }
+
+  const body = xml.replace(/<!--[\s\S]*?-->/g, '');
+  return findElements(body, ['termEntry', 'conceptEntry']).map(({ attributes, content }, index) => {
+    const id = attributes.match(/\bid\s*=\s*(["'])(.*?)\1/)?.[2] || String(index + 1);
+    const subject = findElements(content, ['descrip'])
+      .find(descrip => /\btype\s*=\s*(["'])subjectField\1/.test(descrip.attributes));
+    const terms = {};
+
+    findElements(content, ['langSet', 'langSec']).forEach(langSet => {
+      const code = getLanguageAttribute(langSet.attributes);
+      if (!code) return;
+      const language = getLanguageName(code);
+      findElements(langSet.content, ['term']).forEach(term => {
+        const value = decodeXml(term.content);
+        if (value) {
+          terms[language] = [...(terms[language] || []), value];
+        }
+      });
+    });
+
+    return { id, domain: subject ? decodeXml(subject.content) || null : null, terms };
+  });
+};
+
+/**
+ * Write concepts as a TBX-Basic document
+ * @param {Array<Object>} concepts - Concepts as { id, domain, terms: { <language name>: term } },
+ *   where `domain` (optional) is written as the subject field
+ * @param {string} sourceLang - Language of the glossary terms, used as the document language
+ * @returns {string} TBX document
+ */
+export const stringifyTbx = (concepts, sourceLang = 'English') => {
+  const entries = concepts.map(({ id, domain, terms }) => {
+    const langSets = Object.entries(terms).map(([language, term]) => [
+      `      <langSet xml:lang="${encodeXml(getLanguageCode(language))}">`,
+      `        <tig><term>${encodeXml(term)}</term></tig>`,
+      '      </langSet>'
+    ].join('\n'));
+
+    const subject = domain ? [`      <descrip type="subjectField">${encodeXml(domain)}</descrip>`] : [];
+    return [`    <termEntry id="${encodeXml(id)}">`, ...subject, ...langSets, '    </termEntry>'].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE martif SYSTEM "TBXBasiccoreStructV02.dtd">',
+    `<martif type="TBX-Basic" xml:lang="${encodeXml(getLanguageCode(sourceLang))}">`,
+    '  <martifHeader>',
+    '    <fileDesc><sourceDesc><p>Exported from the Tranzio glossary</p></sourceDesc></fileDesc>',
+    '  </martifHeader>',
+    '  <text>',
+    '  <body>',
+    ...entries,
+    '  </body>',
+    '  </text>',
+    '</martif>',
+    ''
+  ].join('\n');
+};
+
+// Example usage:
+/*
+import { parseTbx, stringifyTbx } from './tbx.js';
+
+const tbx = stringifyTbx([
+  { id: 'c1', domain: 'software', terms: { English: 'dashboard', French: 'tableau de bord' } }
+]);
+
+console.log(parseTbx(tbx));
+// [{ id: 'c1', domain: 'software', terms: { English: ['dashboard'], French: ['tableau de bord'] } }]
+*/
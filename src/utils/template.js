@@ -0,0 +1,156 @@
+/**
+ * Template Utility
+ *
+ * A deliberately small, logic-less templating engine for prompt files:
+ *
+ *   {{name}}              value, with backslashes and double quotes escaped
+ *   {{{name}}}            value inserted verbatim
+ *   {{#name}}...{{/name}} block rendered only when the value is non-empty
+ *   {{^name}}...{{/name}} block rendered only when the value is empty
+ *   {{! comment }}        removed
+ *
+ * Templates are parsed once and rendered in a single pass, so text that
+ * comes from the user (including any `{{...}}` it contains) is never
+ * interpreted as template syntax. There are no expressions, helpers or
+ * partials.
+ */
+
+const TAG_PATTERN = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{(!)[\s\S]*?\}\}|\{\{\s*([#^/]?)\s*(\w+)\s*\}\}/g;
+
+/**
+ * Error raised for malformed templates
+ */
+export class TemplateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} line - 1-based line of the offending tag
+   */
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+/**
+ * Escape a value placed inside double quotes
+ * @param {string} value - Raw value
+ * @returns {string} Value with backslashes and double quotes escaped
+ */
+export const escapeValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {string} source - Template source
+ * @param {Object} options - Parser options
+ * @param {Array<string>} options.variables - Allowed names; any other name is an error
+ * @returns {Array<Object>} Nodes
+ * @throws {TemplateError} On unknown names and unbalanced sections
+ */
+export const parseTemplate = (source, { variables = null } = {}) => {
+  const root = { children: [] };
+  const stack = [root];
+  const lineAt = (index) => source.slice(0, index).split('\n').length;
+  let last = 0;
+
+  const checkName = (name, index) => {
+    if (variables && !variables.includes(name)) {
+      throw new TemplateError(`unknown placeholder "{{${name}}}" (expected one of: ${variables.join(', ')})`, lineAt(index));
+    }
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, rawName, comment, sigil, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.children.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = match.index + tag.length;
+
+    if (comment) continue;
+    if (rawName) {
+      checkName(rawName, match.index);
+      current.children.push({ type: 'variable', name: rawName, raw: true });
+    } else if (sigil === '#' || sigil === '^') {
+      checkName(name, match.index);
+      const section = { type: 'section', name, inverted: sigil === '^', children: [], line: lineAt(match.index) };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (current === root || current.name !== name) {
+        throw new TemplateError(`"{{/${name}}}" does not close an open section`, lineAt(match.index));
+      }
+      stack.pop();
+    } else {
+      checkName(name, match.index);
+      current.children.push({ type: 'variable', name, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`section "{{${open.inverted ? '^' : '#'}${open.name}}}" is never closed`, open.line);
+  }
+  if (last < source.length) {
+    root.children.push({ type: 'text', value: source.slice(last) });
+  }
+
+  return root.children;
+};
+
+/**
+ * List the names a parsed template refers to
+ * @param {Array<Object>} nodes - Nodes from parseTemplate()
+ * @returns {Set<string>} Variable and section names
+ */
+export const getTemplateNames = (nodes) => {
+  const names = new Set();
+  const visit = (list) => list.forEach(node => {
+    if (node.type === 'text') return;
+    names.add(node.name);
+    if (node.children) visit(node.children);
+  });
+  visit(nodes);
+  return names;
+};
+
+/**
+ * Render a parsed template
+ * Missing values render as empty strings.
+ * @param {Array<Object>} nodes - Nodes from parseTemplate()
+ * @param {Object} values - Values by name
+ * @returns {string} Rendered text
+ */
+export const renderNodes = (nodes, values = {}) => nodes.map(node => {
+  const value = values[node.name] ?? '';
+  switch (node.type) {
+    case 'variable':
+      return node.raw ? String(value) : escapeValue(value);
+    case 'section':
+      return (String(value) !== '') !== node.inverted ? renderNodes(node.children, values) : '';
+    default:
+      return node.value;
+  }
+}).join('');
+
+/**
+ * Parse and render a template in one step
+ * @param {string} source - Template source
+ * @param {Object} values - Values by name
+ * @returns {string} Rendered text
+ * @throws {TemplateError} When the template is malformed
+ */
+export const renderTemplate = (source, values = {}) => renderNodes(parseTemplate(source), values);
+
+// Example usage:
+/*
+import { renderTemplate } from './template.js';
+
+const prompt = renderTemplate(
+  'Translate{{#source_language}} from {{source_language}}{{/source_language}} to {{target_language}}:\n"{{user_input}}"',
+  { source_language: 'English', target_language: 'French', user_input: 'Say "{{hi}}"' }
+);
+console.log(prompt);
+// Translate from English to French:
+// "Say \"{{hi}}\""
+*/
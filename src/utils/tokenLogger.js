@@ -3,16 +3,47 @@
  * 
  * This utility logs token usage information after every Gemini API call
  * to help monitor API costs and usage patterns.
+ *
+ * Every translation request, including cache, glossary and memory hits
+ * that cost nothing, is appended as one JSON line to a local usage
+ * ledger (`./data/usage.jsonl`) that the `usage` command aggregates.
  */
 
+import fs from 'fs/promises';
+import path from 'path';
+import { getModelPricing } from './pricing.js';
+
+// Default ledger path
+const DEFAULT_LEDGER_PATH = './data/usage.jsonl';
+
+/**
+ * Ledger groupings: name → function returning the group of a record
+ */
+export const USAGE_GROUPS = {
+  day: record => record.timestamp.slice(0, 10),
+  model: record => record.model || 'unknown',
+  pair: record => `${record.source_language || 'auto'} → ${record.target_language || '?'}`,
+  strategy: record => record.strategy || 'n/a',
+  source: record => record.source || 'api'
+};
+
+/**
+ * Path of the usage ledger
+ * @returns {string} TRANZIO_USAGE_LEDGER or the default path
+ */
+const getLedgerPath = () => process.env.TRANZIO_USAGE_LEDGER || DEFAULT_LEDGER_PATH;
+
 /**
  * Log token usage information
  * @param {Object} usageMetadata - Token usage metadata from Gemini API
+ * @param {Object} context - Request details stored in the ledger:
+ *   { provider, model, strategy, source_language, target_language }
  * @returns {Promise<void>}
  */
-export const logTokens = async (usageMetadata) => {
+export const logTokens = async (usageMetadata, context = {}) => {
   if (!usageMetadata) {
     console.log('⚠️  No token usage data available');
+    await recordUsage({ ...context, source: 'api' });
     return;
   }
 
@@ -26,69 +57,167 @@ export const logTokens = async (usageMetadata) => {
   const {
     promptTokenCount = 0,
     candidatesTokenCount = 0,
-    totalTokenCount = 0
+    totalTokenCount = 0,
+    cachedContentTokenCount = 0
   } = usageMetadata;
 
   const timestamp = new Date().toISOString();
   
-  // Calculate costs (approximate, based on Gemini pricing)
-  const promptCost = (promptTokenCount / 1000) * 0.0005; // $0.0005 per 1K tokens
-  const completionCost = (candidatesTokenCount / 1000) * 0.0015; // $0.0015 per 1K tokens
-  const totalCost = promptCost + completionCost;
+  // Calculate costs at the rates of the model that served the call
+  const totalCost = calculateCost(promptTokenCount, candidatesTokenCount, context.model, cachedContentTokenCount);
 
   console.log(`
 🔢 Token Usage Report (${timestamp})
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📝 Prompt Tokens: ${promptTokenCount.toLocaleString()}
+📝 Prompt Tokens: ${promptTokenCount.toLocaleString()}${cachedContentTokenCount ? ` (${cachedContentTokenCount.toLocaleString()} cached)` : ''}
 🎯 Completion Tokens: ${candidatesTokenCount.toLocaleString()}
 📊 Total Tokens: ${totalTokenCount.toLocaleString()}
-💰 Estimated Cost: $${totalCost.toFixed(6)}
+💰 Estimated Cost: $${totalCost.toFixed(6)}${context.model ? ` (${context.model})` : ''}
 
 📈 Usage Statistics:
 • Prompt efficiency: ${promptTokenCount > 0 ? ((promptTokenCount / totalTokenCount) * 100).toFixed(1) : 0}%
 • Response efficiency: ${candidatesTokenCount > 0 ? ((candidatesTokenCount / totalTokenCount) * 100).toFixed(1) : 0}%
 `.trim());
 
-  // Store usage data for analytics (optional)
+  // Store usage data for analytics
   await storeTokenUsage({
     timestamp,
-    promptTokens: promptTokenCount,
-    completionTokens: candidatesTokenCount,
-    totalTokens: totalTokenCount,
-    estimatedCost: totalCost
+    source: 'api',
+    ...context,
+    prompt_tokens: promptTokenCount,
+    cached_tokens: cachedContentTokenCount,
+    completion_tokens: candidatesTokenCount,
+    total_tokens: totalTokenCount,
+    cost: totalCost
+  });
+};
+
+/**
+ * Record a request that did not reach the API (cache, glossary or memory hit)
+ * @param {Object} entry - Ledger fields: { source, provider, model, strategy, source_language, target_language }
+ * @returns {Promise<void>}
+ */
+export const recordUsage = async (entry) => {
+  await storeTokenUsage({
+    timestamp: new Date().toISOString(),
+    ...entry,
+    prompt_tokens: 0,
+    cached_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost: 0
   });
 };
 
 /**
- * Store token usage data for analytics
+ * Append a record to the usage ledger
  * @param {Object} usageData - Token usage data
  * @returns {Promise<void>}
  */
 const storeTokenUsage = async (usageData) => {
   try {
-    // In a real application, you might want to store this in a database
-    // For now, we'll just log it to console
-    console.log('💾 Token usage data stored for analytics');
-    
-    // You could implement database storage here:
-    // await db.tokenUsage.create(usageData);
-    
+    const ledgerPath = getLedgerPath();
+    await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+    // One line per record, so concurrent appends never corrupt each other
+    await fs.appendFile(ledgerPath, `${JSON.stringify(usageData)}\n`);
   } catch (error) {
     console.error(' Failed to store token usage data:', error.message);
   }
 };
 
 /**
- * Get token usage summary
- * @returns {Object} Summary of token usage
+ * Read the usage ledger
+ * Malformed lines (e.g. from an interrupted write) are skipped.
+ * @param {Object} filters - Date filters
+ * @param {string} filters.since - First day to include (YYYY-MM-DD)
+ * @param {string} filters.until - Last day to include (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Ledger records, oldest first
  */
-export const getTokenUsageSummary = () => {
-  // This could return cached or aggregated usage data
+export const readUsageLedger = async ({ since = null, until = null } = {}) => {
+  let data;
+  try {
+    data = await fs.readFile(getLedgerPath(), 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  return data.split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(record => record && typeof record.timestamp === 'string')
+    .filter(record => !since || record.timestamp.slice(0, 10) >= since)
+    .filter(record => !until || record.timestamp.slice(0, 10) <= until);
+};
+
+/**
+ * Aggregate ledger records
+ * @param {Array<Object>} records - Ledger records
+ * @param {string} groupBy - One of USAGE_GROUPS
+ * @returns {Array<Object>} Rows as { group, requests, api_calls, cache_hits,
+ *   rag_hits, memory_hits, prompt_tokens, completion_tokens, total_tokens, cost },
+ *   sorted by group
+ */
+export const summarizeUsage = (records, groupBy) => {
+  const getGroup = USAGE_GROUPS[groupBy];
+  if (!getGroup) {
+    throw new Error(`Unknown usage grouping "${groupBy}". Expected one of: ${Object.keys(USAGE_GROUPS).join(', ')}`);
+  }
+
+  const rows = new Map();
+  records.forEach(record => {
+    const group = getGroup(record);
+    if (!rows.has(group)) {
+      rows.set(group, {
+        group,
+        requests: 0,
+        api_calls: 0,
+        cache_hits: 0,
+        rag_hits: 0,
+        memory_hits: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        cost: 0
+      });
+    }
+
+    const row = rows.get(group);
+    const counter = { api: 'api_calls', cache: 'cache_hits', rag: 'rag_hits', memory: 'memory_hits' }[record.source || 'api'];
+    row.requests++;
+    if (counter) row[counter]++;
+    row.prompt_tokens += record.prompt_tokens || 0;
+    row.completion_tokens += record.completion_tokens || 0;
+    row.total_tokens += record.total_tokens || 0;
+    row.cost += record.cost || 0;
+  });
+
+  return [...rows.values()].sort((a, b) => a.group.localeCompare(b.group));
+};
+
+/**
+ * Get token usage summary from the ledger
+ * @param {Object} filters - Date filters passed to readUsageLedger()
+ * @returns {Promise<Object>} Summary of token usage
+ */
+export const getTokenUsageSummary = async (filters = {}) => {
+  const records = await readUsageLedger(filters);
+  const apiCalls = records.filter(record => (record.source || 'api') === 'api').length;
+  const totalTokens = records.reduce((sum, record) => sum + (record.total_tokens || 0), 0);
+
   return {
-    totalRequests: 0,
-    totalTokens: 0,
-    estimatedTotalCost: 0,
-    averageTokensPerRequest: 0
+    totalRequests: records.length,
+    apiCalls,
+    // Requests answered without paying for an API call
+    savedRequests: records.length - apiCalls,
+    totalTokens,
+    estimatedTotalCost: records.reduce((sum, record) => sum + (record.cost || 0), 0),
+    averageTokensPerRequest: apiCalls > 0 ? Math.round(totalTokens / apiCalls) : 0
   };
 };
 
@@ -108,21 +237,75 @@ export const formatTokenCount = (count) => {
   return count.toString();
 };
 
+/**
+ * Convert Gemini usage metadata into the structured output's token_usage shape
+ * @param {Object} usageMetadata - Token usage metadata from Gemini API
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+ */
+export const toTokenUsage = (usageMetadata = {}) => {
+  const { promptTokenCount = 0, candidatesTokenCount = 0, totalTokenCount } = usageMetadata || {};
+  return {
+    prompt_tokens: promptTokenCount,
+    completion_tokens: candidatesTokenCount,
+    total_tokens: totalTokenCount ?? promptTokenCount + candidatesTokenCount
+  };
+};
+
+/**
+ * Add up token_usage objects (missing entries count as zero)
+ * @param {Array<Object>} usages - token_usage objects
+ * @returns {Object} Combined token_usage
+ */
+export const sumTokenUsage = (usages) => {
+  return usages.reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + (usage?.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage?.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage?.total_tokens || 0)
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+};
+
+// Han, kana and Hangul characters, which run about one token each
+const DENSE_SCRIPT_CHARS = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/**
+ * Estimate the token count of a text without calling the API
+ * Roughly four characters per token, which is close enough for Gemini
+ * on Latin-script text, and one token per CJK character.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  const dense = (text.match(DENSE_SCRIPT_CHARS) || []).length;
+  return dense + Math.ceil((text.length - dense) / 4);
+};
+
 /**
  * Calculate cost estimate for tokens
- * @param {number} promptTokens - Number of prompt tokens
+ * @param {number} promptTokens - Number of prompt tokens (including cached ones)
  * @param {number} completionTokens - Number of completion tokens
+ * @param {string} model - Model whose rates apply (see pricing.js)
+ * @param {number} cachedTokens - Prompt tokens served from a context cache
  * @returns {number} Estimated cost in USD
  */
-export const calculateCost = (promptTokens, completionTokens) => {
-  const promptCost = (promptTokens / 1000) * 0.0005;
-  const completionCost = (completionTokens / 1000) * 0.0015;
+export const calculateCost = (promptTokens, completionTokens, model = null, cachedTokens = 0) => {
+  const rates = getModelPricing(model);
+  const cached = Math.min(cachedTokens, promptTokens);
+  const promptCost = ((promptTokens - cached) / 1e6) * rates.input + (cached / 1e6) * rates.cached_input;
+  const completionCost = (completionTokens / 1e6) * rates.output;
   return promptCost + completionCost;
 };
 
 // Example usage:
 /*
-import { logTokens, formatTokenCount, calculateCost } from './tokenLogger.js';
+import {
+  logTokens,
+  formatTokenCount,
+  calculateCost,
+  readUsageLedger,
+  summarizeUsage,
+  getTokenUsageSummary
+} from './tokenLogger.js';
 
 // Log tokens after API call
 await logTokens({
@@ -136,6 +319,11 @@ console.log(formatTokenCount(1500)); // "1.5K"
 console.log(formatTokenCount(1500000)); // "1.5M"
 
 // Calculate costs
-const cost = calculateCost(150, 75);
+const cost = calculateCost(150, 75, 'gemini-1.5-flash');
 console.log(`Estimated cost: $${cost.toFixed(6)}`);
+
+// Aggregate the usage ledger
+const records = await readUsageLedger({ since: '2024-06-01' });
+console.log(summarizeUsage(records, 'model'));
+console.log(await getTokenUsageSummary());
 */
@@ -0,0 +1,111 @@
+/**
+ * Work Queue Utility
+ *
+ * Bounded FIFO queue that runs at most `concurrency` tasks at a time and
+ * refuses new work once `maxQueue` tasks are waiting, so a burst of
+ * requests degrades into fast rejections instead of unbounded memory use.
+ */
+
+export class WorkQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Tasks running at once
+   * @param {number} options.maxQueue - Tasks allowed to wait (0 = unlimited)
+   */
+  constructor({ concurrency = 4, maxQueue = 100 } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueue = maxQueue;
+    this.active = 0;
+    this.waiting = [];
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Whether the queue can take `count` more tasks
+   * @param {number} count - Number of tasks
+   * @returns {boolean} Whether the tasks fit
+   */
+  canAccept(count = 1) {
+    const freeSlots = Math.max(0, this.concurrency - this.active);
+    return !this.maxQueue || this.waiting.length + count - freeSlots <= this.maxQueue;
+  }
+
+  /**
+   * Add a task to the queue
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Task result
+   * @throws {Error} With code 'EQUEUEFULL' when the queue is full
+   */
+  push(task) {
+    if (!this.canAccept(1)) {
+      const error = new Error(`Work queue is full (${this.maxQueue} tasks waiting)`);
+      error.code = 'EQUEUEFULL';
+      throw error;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Start waiting tasks while slots are free
+   */
+  next() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const { task, resolve, reject } = this.waiting.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+          if (this.isIdle()) {
+            this.idleWaiters.splice(0).forEach(wake => wake());
+          }
+        });
+    }
+  }
+
+  /**
+   * Whether no task is running or waiting
+   * @returns {boolean} Idle state
+   */
+  isIdle() {
+    return this.active === 0 && this.waiting.length === 0;
+  }
+
+  /**
+   * Wait until every queued task has finished
+   * @returns {Promise<void>}
+   */
+  drain() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} { active, waiting, concurrency, maxQueue }
+   */
+  getStats() {
+    return {
+      active: this.active,
+      waiting: this.waiting.length,
+      concurrency: this.concurrency,
+      maxQueue: this.maxQueue
+    };
+  }
+}
+
+// Example usage:
+/*
+import { WorkQueue } from './workQueue.js';
+
+const queue = new WorkQueue({ concurrency: 2, maxQueue: 10 });
+const result = await queue.push(() => translator.translate('Hello', 'French'));
+await queue.drain();
+*/
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import TranzioTranslator from '../src/translator.js';
+import { LocalProvider } from '../src/providers/local.js';
+import { translateCsv } from '../src/batch.js';
+import { parseCsvRecords } from '../src/utils/csv.js';
+
+let root;
+let cwd;
+let log;
+let input;
+
+before(async () => {
+  log = console.log;
+  console.log = () => {};
+
+  cwd = process.cwd();
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'tranzio-batch-'));
+  process.chdir(root);
+  process.env.TRANZIO_USAGE_LEDGER = path.join(root, 'data', 'usage.jsonl');
+  process.env.TRANZIO_MEMORY_PATH = path.join(root, 'data', 'memory.json');
+  process.env.TRANZIO_CACHE_DIR = path.join(root, 'data', 'cache');
+
+  input = path.join(root, 'input.csv');
+  await fs.writeFile(input, 'id,text\n1,Good evening\n2,\n');
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+const translator = () => new TranzioTranslator({
+  provider: new LocalProvider({ glossary: {} }),
+  resilience: false,
+  cache: false,
+  budget: false
+});
+
+test('output columns are named after the resolved language', async () => {
+  const { csv, summary } = await translateCsv(translator(), {
+    input,
+    column: 'text',
+    targetLangs: ['French', 'es', 'pt-BR'],
+    sourceLang: 'English',
+    translateOptions: { memory: false }
+  });
+  const { headers, records } = parseCsvRecords(csv);
+
+  assert.deepEqual(headers, ['id', 'text', 'text_fr', 'text_es', 'text_pt-BR', 'tranzio_status', 'tranzio_error']);
+  assert.equal(records[0].text_fr, '[French] Good evening');
+  assert.equal(records[1].tranzio_status, 'skipped');
+  assert.equal(summary.success, 1);
+});
+
+test('the same language asked for twice gets a numbered column', async () => {
+  const { csv } = await translateCsv(translator(), {
+    input,
+    column: 'text',
+    targetLangs: ['Spanish', 'es'],
+    sourceLang: 'English',
+    translateOptions: { memory: false }
+  });
+  assert.deepEqual(parseCsvRecords(csv).headers.slice(2, 4), ['text_es', 'text_es_2']);
+});
+
+test('an unknown target language fails before any row is translated', async () => {
+  await assert.rejects(
+    translateCsv(translator(), { input, column: 'text', targetLangs: ['Klingonese'] }),
+    { name: 'UnknownLanguageError' }
+  );
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { UsageBudget, BudgetExceededError, estimateRequestUsage } from '../src/budget.js';
+
+let root;
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'tranzio-budget-'));
+  process.env.TRANZIO_USAGE_LEDGER = path.join(root, 'usage.jsonl');
+});
+
+after(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('estimates the output from the text, capped at the output limit', () => {
+  const estimate = estimateRequestUsage('p'.repeat(400), 't'.repeat(40), 'gemini-pro', 500);
+  assert.equal(estimate.prompt_tokens, 100);
+  assert.equal(estimate.completion_tokens, 40);
+  assert.equal(estimate.total_tokens, 140);
+  assert.ok(estimate.cost > 0);
+  assert.equal(estimateRequestUsage('p', 't'.repeat(4000), null, 500).completion_tokens, 500);
+});
+
+test('a budget without limits is not limited', () => {
+  assert.equal(new UsageBudget({ run: { tokens: 0 } }).isLimited(), false);
+  assert.equal(new UsageBudget({ run: { tokens: 100 } }).isLimited(), true);
+  assert.throws(() => new UsageBudget({ action: 'panic' }), /Unknown budget action "panic"/);
+});
+
+test('refuses a call that does not fit and counts settled usage', async () => {
+  const budget = new UsageBudget({ run: { tokens: 100 } });
+  const reservation = await budget.reserve({ total_tokens: 60, cost: 0 });
+  await assert.rejects(budget.reserve({ total_tokens: 60, cost: 0 }), (error) => {
+    assert.ok(error instanceof BudgetExceededError);
+    assert.deepEqual(error.budget, { action: 'refuse', period: 'run', unit: 'tokens', limit: 100, used: 60, estimated: 60 });
+    return true;
+  });
+
+  // The real usage replaces the estimate once settled, and settling twice changes nothing
+  reservation.settle({ total_tokens: 30, cost: 0.001 });
+  reservation.settle({ total_tokens: 30, cost: 0.001 });
+  assert.equal(budget.usage.run.tokens, 30);
+  assert.equal(budget.pending.tokens, 0);
+  await budget.reserve({ total_tokens: 60, cost: 0 });
+});
+
+test('concurrent reservations cannot overshoot a limit together', async () => {
+  const budget = new UsageBudget({ run: { tokens: 100 } });
+  const results = await Promise.allSettled(Array.from({ length: 4 }, () => budget.reserve({ total_tokens: 40, cost: 0 })));
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+});
+
+test('the offline action refuses every later call', async () => {
+  const budget = new UsageBudget({ run: { tokens: 100 }, action: 'offline' });
+  await assert.rejects(budget.reserve({ total_tokens: 200, cost: 0 }), /only cached, glossary and memory translations are served/);
+  await assert.rejects(budget.reserve({ total_tokens: 1, cost: 0 }), BudgetExceededError);
+});
+
+test('day limits include the usage already in the ledger', async () => {
+  const today = new Date().toISOString();
+  await fs.writeFile(process.env.TRANZIO_USAGE_LEDGER, [
+    JSON.stringify({ timestamp: today, total_tokens: 80, cost: 0 }),
+    JSON.stringify({ timestamp: '2000-01-01T00:00:00.000Z', total_tokens: 1000, cost: 0 }),
+    'not json'
+  ].join('\n'));
+
+  const budget = new UsageBudget({ day: { tokens: 100 } });
+  await budget.reserve({ total_tokens: 20, cost: 0 });
+  await assert.rejects(budget.reserve({ total_tokens: 1, cost: 0 }), /day tokens budget exceeded: 100 tokens used/);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords, stringifyCsv, stringifyCsvRecords } from '../src/utils/csv.js';
+
+test('parses quoted fields, escaped quotes and embedded newlines', () => {
+  assert.deepEqual(
+    parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n'),
+    [['a', 'b'], ['x, y', 'say "hi"\nthere']]
+  );
+});
+
+test('strips a byte order mark and reads the last line without a newline', () => {
+  assert.deepEqual(parseCsv('\uFEFFid,text\n1,Hello'), [['id', 'text'], ['1', 'Hello']]);
+});
+
+test('supports other delimiters', () => {
+  assert.deepEqual(parseCsv('a;b\n1;2\n', { delimiter: ';' }), [['a', 'b'], ['1', '2']]);
+});
+
+test('rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a\n"open'), /unterminated quoted field/);
+});
+
+test('keys records by the header row and fills short rows', () => {
+  const { headers, records } = parseCsvRecords('id,text,notes\n1,Hello\n');
+  assert.deepEqual(headers, ['id', 'text', 'notes']);
+  assert.deepEqual(records, [{ id: '1', text: 'Hello', notes: '' }]);
+});
+
+test('writing and reading back gives the same rows', () => {
+  const rows = [['id', 'text'], ['1', 'Comma, "quote"\nand newline'], ['2', ' padded ']];
+  const csv = stringifyCsv(rows);
+  assert.ok(csv.endsWith('\r\n'));
+  assert.deepEqual(parseCsv(csv), rows);
+});
+
+test('writes records in header order with an optional BOM', () => {
+  const csv = stringifyCsvRecords(['b', 'a'], [{ a: 1, b: null }], { bom: true });
+  assert.equal(csv, '\uFEFFb,a\r\n,1\r\n');
+});
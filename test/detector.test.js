@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage } from '../src/detector.js';
+
+const expectLanguage = (text, language) => {
+  const detection = detectLanguage(text);
+  assert.equal(detection?.language, language, `"${text}" detected as ${detection?.language}`);
+  return detection;
+};
+
+test('scripts with a single language are settled by the script', () => {
+  const detection = expectLanguage('안녕하세요', 'Korean');
+  assert.equal(detection.method, 'script');
+  expectLanguage('こんにちは世界', 'Japanese');
+  expectLanguage('Γεια σου κόσμε', 'Greek');
+});
+
+test('Latin-script languages are told apart by their trigrams', () => {
+  expectLanguage('The quick brown fox jumps over the lazy dog.', 'English');
+  expectLanguage('Où se trouve la gare, s\'il vous plaît ?', 'French');
+  expectLanguage('¿Dónde está la estación de tren?', 'Spanish');
+  expectLanguage('Gdzie jest dworzec kolejowy?', 'Polish');
+});
+
+test('close neighbours are told apart or left unapplied', () => {
+  // Below this the translator leaves the source to the model
+  const applied = (detection) => detection.confidence >= 0.6;
+
+  const dutch = expectLanguage('Hoe gaat het met je vandaag?', 'Dutch');
+  assert.ok(applied(dutch));
+  expectLanguage('Ik heb gisteren een nieuwe fiets gekocht voor mijn dochter.', 'Dutch');
+  expectLanguage('Kan jy my asseblief sê hoe laat die winkel toemaak?', 'Afrikaans');
+  expectLanguage('Det här är en vanlig mening på svenska som borde kännas igen.', 'Swedish');
+  expectLanguage('Jag köpte en ny cykel till min dotter i går.', 'Swedish');
+
+  // Danish and Norwegian share most of their words; a wrong pick is never applied
+  [
+    ['Jeg købte en ny cykel til min datter i går.', 'Danish'],
+    ['Kan du fortælle mig, hvornår butikken lukker?', 'Danish'],
+    ['Jeg kjøpte en ny sykkel til datteren min i går.', 'Norwegian'],
+    ['Kan du fortelle meg når butikken stenger?', 'Norwegian']
+  ].forEach(([text, language]) => {
+    const detection = detectLanguage(text);
+    assert.ok(['Danish', 'Norwegian'].includes(detection.language));
+    assert.ok(detection.language === language || !applied(detection), `"${text}" applied as ${detection.language}`);
+  });
+});
+
+test('Cyrillic languages are told apart', () => {
+  expectLanguage('Добрый день! Пожалуйста, сохраните изменения перед выходом.', 'Russian');
+  expectLanguage('Где находится вокзал?', 'Russian');
+  expectLanguage('Скільки коштує квиток до Києва?', 'Ukrainian');
+  expectLanguage('Колко струва билетът до София?', 'Bulgarian');
+  expectLanguage('Где се налази железничка станица?', 'Serbian');
+  expectLanguage('Каде се наоѓа железничката станица?', 'Macedonian');
+  expectLanguage('Дзе знаходзіцца вакзал?', 'Belarusian');
+  expectLanguage('Алматыға билет қанша тұрады?', 'Kazakh');
+  expectLanguage('Галт тэрэгний буудал хаана байдаг вэ?', 'Mongolian');
+});
+
+test('short texts get a lower confidence than full sentences', () => {
+  const short = detectLanguage('Hola amigo');
+  const long = detectLanguage('¿Dónde está la estación de tren? Necesito comprar un billete para mañana.');
+  assert.ok(short.confidence < long.confidence);
+});
+
+test('text without enough letters is not guessed', () => {
+  assert.equal(detectLanguage('42 !'), null);
+  assert.equal(detectLanguage('{name} https://example.com'), null);
+});
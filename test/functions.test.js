@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFunctionSchema, validateFunctionArgs, mapFunctionArgs } from '../src/functions.js';
+
+const validArgs = { text: 'Hello', sourceLang: 'English', targetLang: 'French', translatedText: 'Bonjour' };
+
+test('accepts complete arguments', () => {
+  assert.deepEqual(validateFunctionArgs({ ...validArgs, confidence: 0.9 }), { valid: true, errors: [] });
+});
+
+test('reports every problem of invalid arguments', () => {
+  const { valid, errors } = validateFunctionArgs({ sourceLang: 'English', targetLang: 'French', translatedText: ' ', confidence: 2, extra: 1 });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'missing required field "text"',
+    '"translatedText" must not be empty',
+    'unexpected field "extra"',
+    '"confidence" must be between 0 and 1, got 2'
+  ]);
+});
+
+test('reports wrong types and missing arguments', () => {
+  assert.deepEqual(validateFunctionArgs({ ...validArgs, confidence: 'high' }).errors, ['"confidence" must be a number, got string']);
+  assert.deepEqual(validateFunctionArgs(null).errors, ['arguments are missing']);
+  assert.deepEqual(validateFunctionArgs([]).errors, ['arguments are missing']);
+});
+
+test('maps only fields of the schema type to result fields', () => {
+  const mapped = mapFunctionArgs({ ...validArgs, confidence: 'high', culturalNotes: 'Informal greeting', reasoning: 1 });
+  assert.deepEqual(mapped, {
+    source_text: 'Hello',
+    source_language: 'English',
+    target_language: 'French',
+    translated_text: 'Bonjour',
+    cultural_notes: 'Informal greeting'
+  });
+  assert.deepEqual(mapFunctionArgs(null), {});
+});
+
+test('the schema requires the fields the pipeline reads', () => {
+  const { required } = getFunctionSchema().parameters;
+  assert.ok(required.includes('translatedText'));
+});
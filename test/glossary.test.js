@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getGlossaryVersion, addToGlossary } from '../src/rag.js';
+import { loadGlossary, getGlossaryEntries } from '../src/glossaryStore.js';
+
+let root;
+let cwd;
+let log;
+
+before(async () => {
+  // The glossary file lives under ./data of the working directory
+  log = console.log;
+  console.log = () => {};
+  cwd = process.cwd();
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'tranzio-glossary-'));
+  process.chdir(root);
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('the built-in glossary has the same version on every load', async () => {
+  const version = await getGlossaryVersion();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await getGlossaryVersion(), version);
+});
+
+test('edits to a loaded built-in glossary do not leak into the next load', async () => {
+  const store = await loadGlossary();
+  store.domains = {};
+  assert.ok(getGlossaryEntries(await loadGlossary()).length > 0);
+});
+
+test('a new entry changes the glossary version', async () => {
+  const version = await getGlossaryVersion();
+  await addToGlossary('good evening', 'bonsoir', 'French', 'English');
+  assert.notEqual(await getGlossaryVersion(), version);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractPlaceholders,
+  maskPlaceholders,
+  unmaskPlaceholders,
+  validatePlaceholders,
+  describePlaceholderErrors
+} from '../src/utils/placeholders.js';
+
+test('finds brace, printf and HTML placeholders', () => {
+  assert.deepEqual(
+    extractPlaceholders('Hi {name}, you have %d <b>new</b> ${kind} messages'),
+    ['{name}', '%d', '<b>', '</b>', '${kind}']
+  );
+});
+
+test('masking and unmasking round-trips', () => {
+  const source = 'Hello {user_name}, see <a href="/x">this</a>';
+  const { masked, placeholders } = maskPlaceholders(source);
+  assert.ok(!masked.includes('{user_name}'));
+  assert.match(masked, /⟦0⟧/);
+  assert.equal(unmaskPlaceholders(masked, placeholders), source);
+});
+
+test('ICU plural branches stay translatable', () => {
+  const { masked } = maskPlaceholders('{count, plural, one {# message} other {# messages}}');
+  assert.match(masked, / message/);
+  assert.match(masked, / messages/);
+  assert.ok(!masked.includes('plural'));
+});
+
+test('validation reports missing and unexpected placeholders', () => {
+  assert.equal(validatePlaceholders('Hi {name}', 'Salut {name}').valid, true);
+
+  const check = validatePlaceholders('Hi {name} {count}', 'Salut {nom} {count}');
+  assert.equal(check.valid, false);
+  assert.deepEqual(check.missing, ['{name}']);
+  assert.deepEqual(check.unexpected, ['{nom}']);
+  assert.equal(describePlaceholderErrors(check), 'Placeholder mismatch: missing "{name}"; unexpected "{nom}"');
+});
+
+test('unknown tokens are left in place', () => {
+  assert.equal(unmaskPlaceholders('A ⟦0⟧ B ⟦7⟧', ['{x}']), 'A {x} B ⟦7⟧');
+});
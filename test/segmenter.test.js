@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentText, reassembleSegments } from '../src/segmenter.js';
+import { estimateTokens } from '../src/utils/tokenLogger.js';
+
+const sentence = (index) => `Sentence number ${index} talks about the weather in some detail.`;
+
+test('short text stays one segment with its surrounding whitespace', () => {
+  const layout = segmentText('  Hello world.\n', 300);
+  assert.equal(layout.segments.length, 1);
+  assert.equal(layout.segments[0].text, 'Hello world.');
+  assert.equal(reassembleSegments(layout, ['Bonjour le monde.']), '  Bonjour le monde.\n');
+});
+
+test('long text is split into segments within the budget', () => {
+  const text = Array.from({ length: 60 }, (_, index) => sentence(index)).join(' ');
+  const layout = segmentText(text, 50);
+  assert.ok(layout.segments.length > 1);
+  layout.segments.forEach(segment => assert.ok(estimateTokens(segment.text) <= 50));
+});
+
+test('reassembling untranslated segments gives back the original text', () => {
+  const text = `\n${Array.from({ length: 30 }, (_, index) => sentence(index)).join(' ')}\n\n  Second part.  \n`;
+  const layout = segmentText(text, 40);
+  assert.equal(reassembleSegments(layout, layout.segments.map(segment => segment.text)), text);
+});
+
+test('single line breaks are whitespace inside a paragraph', () => {
+  const text = 'This paragraph was wrapped\nby hand at a fixed width,\nas plain-text documents often are.';
+  const layout = segmentText(text, 50);
+  assert.equal(layout.segments.length, 1);
+  assert.equal(layout.segments[0].text, text);
+});
+
+test('short paragraphs are packed together up to the budget', () => {
+  const text = Array.from({ length: 40 }, (_, index) => `Paragraph ${index},\nwrapped over two lines.`).join('\n\n');
+  const layout = segmentText(text, 100);
+  assert.ok(layout.segments.length <= 5);
+  layout.segments.forEach(segment => assert.ok(estimateTokens(segment.text) <= 100));
+  assert.equal(reassembleSegments(layout, layout.segments.map(segment => segment.text)), text);
+});
+
+test('a paragraph only breaks when it exceeds the budget', () => {
+  const long = Array.from({ length: 20 }, (_, index) => sentence(index)).join('\n');
+  const layout = segmentText(`Short intro.\n\n${long}`, 60);
+  assert.ok(layout.segments.length > 2);
+  assert.ok(layout.segments[0].text.startsWith('Short intro.\n\nSentence number 0'));
+  // The long paragraph breaks between sentences, at its original line breaks
+  layout.segments.slice(1).forEach(segment => assert.equal(segment.before, '\n'));
+  assert.equal(reassembleSegments(layout, layout.segments.map(segment => segment.text)), `Short intro.\n\n${long}`);
+});
+
+test('CJK text is split on full stops within the budget', () => {
+  const text = '今天天气很好，我们去公园散步吧。'.repeat(40);
+  const layout = segmentText(text, 50);
+  assert.ok(layout.segments.length > 1);
+  layout.segments.forEach(segment => {
+    assert.ok(estimateTokens(segment.text) <= 50);
+    assert.ok(segment.text.endsWith('。'));
+  });
+  assert.equal(layout.segments.map(segment => segment.text).join(''), text);
+});
+
+test('unbroken text longer than the budget is sliced', () => {
+  const layout = segmentText('x'.repeat(100), 5);
+  assert.ok(layout.segments.length > 1);
+  assert.equal(layout.segments.map(segment => segment.text).join(''), 'x'.repeat(100));
+});
+
+test('unbroken CJK text is sliced by its token estimate', () => {
+  const layout = segmentText('字'.repeat(100), 30);
+  assert.ok(layout.segments.length >= 4);
+  layout.segments.forEach(segment => assert.ok(estimateTokens(segment.text) <= 30));
+});
+
+test('whitespace-only text has no segments', () => {
+  const layout = segmentText('  \n ', 10);
+  assert.deepEqual(layout.segments, []);
+  assert.equal(reassembleSegments(layout, []), '  \n ');
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TemplatePack } from '../src/prompts/templatePack.js';
+
+const TEMPLATE = 'Translate into {{target_language}}:\n"{{user_input}}"\n';
+let root;
+
+const writePack = async (name, files) => {
+  const dir = path.join(root, name);
+  await fs.mkdir(dir, { recursive: true });
+  await Promise.all(Object.entries(files).map(([file, content]) => fs.writeFile(path.join(dir, file), content)));
+  return dir;
+};
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'tranzio-templates-'));
+});
+
+after(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('file names give strategy, domain and language pair', async () => {
+  const files = ['zero.txt', 'zero.legal.txt', 'zero.en-fr.txt', 'zero.legal.any-german.txt', 'zero.e-commerce.txt', 'zero.en-pt-br.txt'];
+  const pack = await TemplatePack.load(await writePack('names', Object.fromEntries(files.map(file => [file, TEMPLATE]))));
+  const byFile = Object.fromEntries(pack.templates.map(({ file, domain, source, target }) => [file, { domain, source, target }]));
+
+  assert.deepEqual(byFile['zero.txt'], { domain: null, source: null, target: null });
+  assert.deepEqual(byFile['zero.legal.txt'], { domain: 'legal', source: null, target: null });
+  assert.deepEqual(byFile['zero.en-fr.txt'], { domain: null, source: 'English', target: 'French' });
+  assert.deepEqual(byFile['zero.legal.any-german.txt'], { domain: 'legal', source: null, target: 'German' });
+  assert.deepEqual(byFile['zero.e-commerce.txt'], { domain: 'e-commerce', source: null, target: null });
+  assert.deepEqual(byFile['zero.en-pt-br.txt'], { domain: null, source: 'English', target: 'Portuguese' });
+});
+
+test('the most specific template wins and domains are matched by name', async () => {
+  const pack = await TemplatePack.load(await writePack('resolve', {
+    'zero.txt': TEMPLATE,
+    'zero.it.txt': TEMPLATE,
+    'zero.english-french.txt': TEMPLATE,
+    'zero.legal.any-french.txt': TEMPLATE
+  }));
+  const resolve = (request) => pack.resolve('zero', { domain: null, sourceLang: null, ...request })?.file;
+
+  assert.equal(resolve({ targetLang: 'fr', sourceLang: 'en' }), 'zero.english-french.txt');
+  assert.equal(resolve({ targetLang: 'French', sourceLang: 'German' }), 'zero.txt');
+  assert.equal(resolve({ targetLang: 'French', domain: 'legal' }), 'zero.legal.any-french.txt');
+  assert.equal(resolve({ targetLang: 'Italian' }), 'zero.txt');
+  assert.equal(resolve({ targetLang: 'German', domain: 'it' }), 'zero.it.txt');
+  assert.equal(pack.resolve('cot', { targetLang: 'French' }), null);
+});
+
+test('renders the placeholders of a template', async () => {
+  const pack = await TemplatePack.load(await writePack('render', { 'zero.txt': TEMPLATE }));
+  const template = pack.resolve('zero', { targetLang: 'French' });
+  assert.equal(pack.render(template, 'Hello', 'fr', 'English', 'zero'), 'Translate into French:\n"Hello"');
+});
+
+test('invalid files are all reported when the pack loads', async () => {
+  const dir = await writePack('invalid', {
+    'zero.legal.englsh-french.txt': TEMPLATE,
+    'fast.txt': TEMPLATE,
+    'one.txt': 'No placeholders here',
+    'multi.a.b.c.txt': TEMPLATE
+  });
+  await assert.rejects(TemplatePack.load(dir), (error) => {
+    assert.match(error.message, /zero\.legal\.englsh-french\.txt: Unknown language "englsh"\. Did you mean English\?/);
+    assert.match(error.message, /fast\.txt: unknown strategy "fast"/);
+    assert.match(error.message, /one\.txt: missing required placeholder/);
+    assert.match(error.message, /multi\.a\.b\.c\.txt: expected/);
+    return true;
+  });
+});
+
+test('a missing directory fails with a clear message', async () => {
+  await assert.rejects(TemplatePack.load(path.join(root, 'nowhere')), /Cannot read prompt template directory .*not found/);
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import TranzioTranslator from '../src/translator.js';
+import { LocalProvider } from '../src/providers/local.js';
+import { estimateCompletionTokens } from '../src/budget.js';
+
+let root;
+let cwd;
+let log;
+
+before(async () => {
+  // The pipeline reports every step; the test runner only needs the results
+  log = console.log;
+  console.log = () => {};
+
+  // Glossary, memory, cache and ledger all live under ./data of the working directory
+  cwd = process.cwd();
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'tranzio-translator-'));
+  process.chdir(root);
+  process.env.TRANZIO_USAGE_LEDGER = path.join(root, 'data', 'usage.jsonl');
+  process.env.TRANZIO_MEMORY_PATH = path.join(root, 'data', 'memory.json');
+  process.env.TRANZIO_CACHE_DIR = path.join(root, 'data', 'cache');
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Provider answering with the given function-call arguments, one per call
+ * @param {Array<Object>} answers - translate_text arguments of each call
+ * @returns {Object} Provider recording the requests it received
+ */
+const createScriptedProvider = (answers) => ({
+  name: 'scripted',
+  model: 'gemini-pro',
+  requests: [],
+  async generateContent(request) {
+    const args = answers[Math.min(this.requests.length, answers.length - 1)];
+    this.requests.push(request);
+    return {
+      response: {
+        candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'translate_text', args } }] } }],
+        usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 20, totalTokenCount: 120 },
+        text: () => JSON.stringify(args)
+      }
+    };
+  }
+});
+
+const createTranslator = (provider, options = {}) =>
+  new TranzioTranslator({ provider, resilience: false, cache: false, budget: false, ...options });
+
+const validArgs = { text: 'Good evening', sourceLang: 'English', targetLang: 'French', translatedText: 'Bonsoir', confidence: 0.9 };
+
+test('the local provider runs the whole pipeline offline', async () => {
+  const translator = createTranslator(new LocalProvider({ glossary: {} }));
+  const result = await translator.translate('Good evening, everyone', 'fr', 'en', { memory: false });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.translated_text, '[French] Good evening, everyone');
+  assert.equal(result.source_language, 'English');
+  assert.equal(result.target_language, 'French');
+  assert.ok(result.token_usage.total_tokens > 0);
+});
+
+test('placeholders survive the round trip', async () => {
+  const translator = createTranslator(new LocalProvider({ glossary: {} }));
+  const result = await translator.translate('Hello {user_name}, you have %d messages', 'German', 'English', { memory: false });
+  assert.equal(result.translated_text, '[German] Hello {user_name}, you have %d messages');
+});
+
+test('every segment of a long document fits the output cap', async () => {
+  const provider = new LocalProvider({ glossary: {} });
+  const requests = [];
+  const generateContent = provider.generateContent.bind(provider);
+  provider.generateContent = (request) => {
+    requests.push(request);
+    return generateContent(request);
+  };
+  const translator = createTranslator(provider);
+
+  const english = Array.from({ length: 40 }, (_, index) =>
+    `Paragraph ${index} describes the release schedule,\nthe migration steps and what changes for existing users.`).join('\n\n');
+  const chinese = '今天天气很好，我们去公园散步，然后在湖边的咖啡馆喝茶。'.repeat(60);
+
+  for (const [text, source] of [[english, 'English'], [chinese, 'Chinese']]) {
+    requests.length = 0;
+    const result = await translator.translate(text, 'French', source, { memory: false });
+    assert.equal(result.status, 'success');
+    assert.ok(requests.length > 1);
+    requests.forEach(request =>
+      assert.ok(estimateCompletionTokens(request.metadata.text) <= request.generationConfig.maxOutputTokens));
+  }
+});
+
+test('text already in the target language is passed through', async () => {
+  const provider = createScriptedProvider([validArgs]);
+  const result = await createTranslator(provider).translate('Bonjour à tous', 'French', 'French');
+  assert.equal(result.source, 'passthrough');
+  assert.equal(result.translated_text, 'Bonjour à tous');
+  assert.equal(provider.requests.length, 0);
+});
+
+test('an unknown language fails with suggestions', async () => {
+  const result = await createTranslator(createScriptedProvider([validArgs])).translate('Hello', 'Frnch', 'English');
+  assert.equal(result.status, 'error');
+  assert.equal(result.error_type, 'unknown_language');
+  assert.ok(result.suggestions.includes('French'));
+});
+
+test('an invalid answer is sent back for repair', async () => {
+  const provider = createScriptedProvider([{ ...validArgs, text: undefined, translatedText: ' ' }, validArgs]);
+  const result = await createTranslator(provider).translate('Good evening', 'French', 'English', { memory: false });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.translated_text, 'Bonsoir');
+  assert.equal(result.repairs.length, 1);
+  assert.match(result.repairs[0].reason, /"translatedText" must not be empty/);
+  assert.equal(provider.requests.length, 2);
+  assert.equal(provider.requests[1].contents.at(-1).role, 'function');
+});
+
+test('repairs stop after the last attempt with an invalid_response error', async () => {
+  const provider = createScriptedProvider([{ sourceLang: 'English' }]);
+  const result = await createTranslator(provider).translate('Good evening', 'French', 'English', { memory: false });
+
+  assert.equal(result.status, 'error');
+  assert.equal(result.error_type, 'invalid_response');
+  assert.equal(provider.requests.length, 3);
+});
+
+test('repair calls are only made when the budget has room for them', async () => {
+  const provider = createScriptedProvider([{ sourceLang: 'English' }]);
+  const translator = createTranslator(provider, { budget: { run: { tokens: 300 } } });
+  const result = await translator.translate('Good evening', 'French', 'English', { memory: false });
+
+  assert.equal(result.status, 'error');
+  assert.equal(provider.requests.length, 1);
+  assert.equal(translator.budget.usage.run.tokens, 120);
+  assert.equal(translator.budget.pending.tokens, 0);
+});